@@ -1,9 +1,40 @@
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
 const csv = require('csv-parser');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const XLSX = require('xlsx');
 const readline = require('readline');
+const yaml = require('js-yaml');
+
+// === 新增：內建交易所手續費等級 (USDT 永續合約，% / 單邊) ===
+// 各交易所的第一個等級為一般用戶費率；費率時有調整，可用設定檔 feeSchedules 覆寫或新增等級
+const EXCHANGE_FEE_SCHEDULES = {
+    BYBIT: { VIP0: { maker: 0.02, taker: 0.055 }, VIP1: { maker: 0.018, taker: 0.04 }, VIP2: { maker: 0.016, taker: 0.0375 }, VIP3: { maker: 0.014, taker: 0.035 } },
+    BINANCE: { VIP0: { maker: 0.02, taker: 0.05 }, VIP1: { maker: 0.016, taker: 0.04 }, VIP2: { maker: 0.014, taker: 0.035 }, VIP3: { maker: 0.012, taker: 0.032 } },
+    OKX: { LV1: { maker: 0.02, taker: 0.05 } },
+    BITGET: { VIP0: { maker: 0.02, taker: 0.06 } },
+    GATE: { VIP0: { maker: 0.02, taker: 0.05 } },
+    HUOBI: { VIP0: { maker: 0.02, taker: 0.05 } },
+    KUCOIN: { VIP0: { maker: 0.02, taker: 0.06 } },
+    BINGX: { VIP0: { maker: 0.02, taker: 0.05 } }
+};
+
+// === 新增：參數敏感度掃描的維度 (settingKey: 範圍設定欄位，apply: 套用到產生器) ===
+const SWEEP_DIMENSIONS = {
+    size: { label: '下注大小 (fixed: USDT / 其他: %)', settingKey: 'sweepSizes', current: g => g.positionSize, apply: (g, v) => { g.positionSize = v; } },
+    capital: { label: '初始資金 (USDT)', settingKey: 'sweepCapitals', current: g => g.initialCapital, apply: (g, v) => { g.initialCapital = v; } },
+    // 手續費同時覆寫 maker / taker，交易所費率表模式下亦生效
+    commission: {
+        label: '手續費率 (%)',
+        settingKey: 'sweepCommissions',
+        current: g => g.takerFeePct ?? parseFloat((g.commissionRate * 100).toFixed(10)),
+        apply: (g, v) => { g.commissionRate = v / 100; g.makerFeePct = v; g.takerFeePct = v; }
+    },
+    slippage: { label: '滑價 (bps)', settingKey: 'sweepSlippages', current: g => g.slippageBps, apply: (g, v) => { g.slippageBps = v; } },
+    mode: { label: '下注模型', settingKey: 'sweepModes', current: g => g.positionSizeType, apply: (g, v) => { g.positionSizeType = v; } }
+};
 
 class PortfolioHeatmapGenerator {
     constructor() {
@@ -11,18 +42,92 @@ class PortfolioHeatmapGenerator {
         this.periods = [];
         this.dailyRecords = [];
         this.inputFolder = 'trade log input';
+        this.outputFolder = '.';
+        this.includeFiles = null;
         this.initialCapital = 10000;
         this.commissionRate = 0.0;
-        this.positionSizeType = 'fixed'; // 'fixed' or 'percentage'
-        this.positionSize = 100;
+        this.feeExchange = 'flat'; // 手續費來源: 'flat' = commissionRate 單一費率，'auto' = 依檔名交易所內建費率，或交易所名稱 (如 'BYBIT')
+        this.feeTier = null; // 交易所費率等級 (如 'VIP1')，null = 一般用戶等級
+        this.feeSchedules = null; // 覆寫 / 新增的交易所費率 { BYBIT: { VIP0: { maker, taker, minFee } } }
+        this.makerFeePct = null; // 覆寫 maker 費率 (%，單邊)
+        this.takerFeePct = null; // 覆寫 taker 費率 (%，單邊)
+        this.entryOrderType = 'taker'; // 進場成交方式: 'maker' 或 'taker'
+        this.exitOrderType = 'taker'; // 出場成交方式: 'maker' 或 'taker'
+        this.slippageBps = 0; // taker 成交的滑價 (基點，每邊)
+        this.slippageTicks = 0; // taker 成交的滑價 (跳動點數，每邊，需搭配 tickSize)
+        this.tickSize = null; // 價格最小跳動單位
+        this.minFeeUSD = 0; // 每次成交的最低手續費 (USDT)，0 = 依費率表
+        this.costModelInfo = null; // applyCostModel() 的對應結果 (使用的費率表、無法對應的交易)
+        this.sweepModes = null; // 參數掃描: 下注模型清單
+        this.sweepSizes = null; // 參數掃描: 下注大小清單
+        this.sweepCapitals = null; // 參數掃描: 初始資金清單
+        this.sweepCommissions = null; // 參數掃描: 手續費率清單 (%)
+        this.sweepSlippages = null; // 參數掃描: 滑價清單 (bps)
+        this.sweepX = null; // 敏感度熱力圖橫軸維度，null = 第一個有多個值的維度
+        this.sweepY = null; // 敏感度熱力圖縱軸維度，null = 第二個有多個值的維度
+        this.sweepMaxRuns = 500; // 參數組合數上限
+        this.batchWorkers = null; // 批次模式: 同時執行的 worker 數，null = CPU 核心數
+        this.openOutputFolder = true; // 報告完成後自動開啟輸出資料夾 (僅 Windows)
+        this.positionSizeType = 'fixed'; // 下注模型: 'fixed', 'percentage', 'risk', 'volatility', 'kelly', 'martingale' or 'antimartingale'
+        this.positionSize = 100; // fixed: USDT；其他模型: 權益百分比 (動態模型的基礎 / 暖機下注比例)
+        this.riskPerTradePct = 1; // risk: 每筆承擔的權益風險 (%)
+        this.riskStopPct = null; // risk: 固定停損距離 (%)，null = 使用該筆交易的 MAE
+        this.volTargetPct = 20; // volatility: 目標年化波動率 (%)
+        this.volLookbackDays = 30; // volatility: 估計波動率的回看天數
+        this.kellyFraction = 0.5; // kelly: Kelly 倍數 (1 = 全 Kelly，0.5 = 半 Kelly)
+        this.kellyLookbackTrades = 50; // kelly: 估計勝率 / 盈虧比的回看筆數
+        this.martingaleMultiplier = 2; // martingale / antimartingale: 每一階的下注倍數
+        this.martingaleMaxSteps = 3; // martingale / antimartingale: 最多加碼階數
+        this.maxPositionPct = 100; // 動態模型的單筆部位上限 (權益百分比)
+        this.leverage = 1; // 槓桿倍數: 名目部位 = 保證金 × 槓桿
+        this.marginMode = 'isolated'; // 'isolated' (逐倉，只損失該筆保證金) or 'cross' (全倉，以帳戶權益為擔保)
+        this.maintenanceMarginRate = 0.5; // 維持保證金率 (%，佔名目部位)
         this.binSizeInStdDev = 0.1;
         this.pnlDistributionDisplayRangeSD = 5;
+        this.periodAlignment = 'calendar'; // 'calendar' or 'rolling'
+        this.weekStart = 'monday'; // 'monday' (ISO) or 'sunday'
+        this.inputTimezone = 'UTC'; // 匯出檔中時間字串 / Excel 序號所代表的時區
+        this.reportTimezone = 'UTC'; // 日級 KPI 與週期邊界使用的時區
+        this.sessionRollover = '00:00'; // 報告時區中的換日時間 (HH:mm)
+        this.dailySeriesMode = 'calendar'; // 'calendar' (補齊無交易日) or 'trading' (僅有平倉的日期)
+        this.annualizationFactor = 365; // 年化因子: 365 (加密貨幣)、252 (股票) 或自訂，1 = 不年化
+        this.riskFreeRate = 0; // 年化無風險利率 (%)
+        this.riskFreeRateFile = null; // 無風險利率 CSV (日期, 年化 %)，設定時優先於固定利率
+        this.riskFreeRates = null;
+        this.sortinoTarget = 0; // Sortino 目標報酬 MAR (年化 %)
+        this.varianceMode = 'sample'; // 'sample' (n - 1) or 'population' (n)
+        this.timezoneCache = new Map();
+        this.allocations = null; // [{ match, weight, positionSizeType?, positionSize? }]
+        this.rebalanceSchedule = 'none'; // 'none', 'monthly' or 'quarterly'
+        this.rebalanceThreshold = 0; // 權重偏離超過 N 個百分點即再平衡，0 = 關閉
+        this.subAccountResult = null;
+        this.monteCarloRuns = 1000; // 0 = 不執行蒙地卡羅模擬
+        this.monteCarloMethod = 'bootstrap'; // 'shuffle', 'bootstrap' or 'block'
+        this.monteCarloBlockSize = 0; // 區塊重抽樣長度 (筆)，0 = 自動 (√交易數)
+        this.monteCarloSeed = 42;
+        this.ruinLevelPct = 50; // 權益跌破初始資金的 N% 虧損即視為破產
+        this.splitDate = null; // 樣本外起始日 (YYYY-MM-DD，報告時區)
+        this.walkForwardInSampleDays = 0; // 滾動前進: 樣本內天數
+        this.walkForwardOutSampleDays = 0; // 滾動前進: 樣本外天數 (亦為每次前進的步長)
+        this.edgeRatioWindow = 100; // Edge Ratio 滾動視窗 (筆)
+        this.rollingWindowDays = 90; // 滾動指標視窗 (日，依日序列計算)
+        this.topDrawdownCount = 10; // 回撤排行表列出最深的前 N 個回撤
+        this.whatIfStopLevels = null; // 假設停損水位 (%)，null = 依 MAE 分位數自動產生
+        this.whatIfTakeProfitLevels = null; // 假設停利水位 (%)，null = 依 MFE 分位數自動產生
+        this.benchmarkPath = null; // 買入持有基準: OHLCV CSV 檔案，或依交易對自動尋找的資料夾
+        this.fundingRatePath = null; // 永續合約資金費率: CSV 檔案，或依交易對自動尋找的資料夾
+        this.fundingInfo = null; // applyFundingRates() 的對應結果 (檔案、結算次數、無法計算的交易)
+        this.offlineReport = true; // true = 將 Chart.js 內嵌進 HTML (無網路亦可開啟)，false = 由 CDN 載入
+        this.periodDescription = '';
         this.detectedPnlColumn = null;
         this.detectedDateColumn = null;
+        this.failedFiles = [];
+        this.invalidDateCount = 0;
         this.metricProperties = {
             sharpeRatio: {
                 displayName: 'Sharpe Ratio',
                 higherIsBetter: true,
+                annualizedRatio: true,
                 format: v => v.toFixed(3),
                 colorThresholds: [
                     { threshold: 2.0, color: '#1a9850', description: '極佳 (>= 2.0)' },
@@ -36,6 +141,7 @@ class PortfolioHeatmapGenerator {
             sortinoRatio: {
                 displayName: 'Sortino Ratio',
                 higherIsBetter: true,
+                annualizedRatio: true,
                 format: v => v.toFixed(3),
                 colorThresholds: [
                     { threshold: 3.0, color: '#1a9850', description: '極佳 (>= 3.0)' },
@@ -183,6 +289,63 @@ class PortfolioHeatmapGenerator {
         return `rgb(${result.r}, ${result.g}, ${result.b})`;
     }
 
+    // === 新增：指標配色 (週期熱力圖與參數敏感度熱力圖共用) ===
+    // 有 colorThresholds 的指標依門檻內插；沒有時以 values 的最小 / 最大值正規化
+    getMetricColor(metricKey, value, values = []) {
+        const prop = this.metricProperties[metricKey];
+        if (value === null || isNaN(value) || !isFinite(value)) return '#3a3a3a';
+        if (prop.colorThresholds && prop.colorThresholds.length > 1) {
+            const thresholds = prop.higherIsBetter
+                ? [...prop.colorThresholds].sort((a, b) => b.threshold - a.threshold)
+                : [...prop.colorThresholds].sort((a, b) => a.threshold - b.threshold);
+            if (prop.higherIsBetter) {
+                if (value >= thresholds[0].threshold) return thresholds[0].color;
+                if (value <= thresholds[thresholds.length - 1].threshold) return thresholds[thresholds.length - 1].color;
+            } else {
+                if (value <= thresholds[0].threshold) return thresholds[0].color;
+                if (value >= thresholds[thresholds.length - 1].threshold) return thresholds[thresholds.length - 1].color;
+            }
+            for (let i = 0; i < thresholds.length - 1; i++) {
+                const upperStop = thresholds[i];
+                const lowerStop = thresholds[i + 1];
+                const inRange = prop.higherIsBetter
+                    ? (value < upperStop.threshold && value >= lowerStop.threshold)
+                    : (value > upperStop.threshold && value <= lowerStop.threshold);
+                if (inRange) {
+                    const range = upperStop.threshold - lowerStop.threshold;
+                    if (range === 0) return upperStop.color;
+                    const factor = (value - lowerStop.threshold) / range;
+                    const color1_rgb = this.hexToRgb(lowerStop.color);
+                    const color2_rgb = this.hexToRgb(upperStop.color);
+                    if (!color1_rgb || !color2_rgb) return '#3a3a3a';
+                    return this.interpolateColor(color1_rgb, color2_rgb, factor);
+                }
+            }
+            return thresholds[thresholds.length - 1].color;
+        }
+        const validValues = values.filter(v => v !== null && !isNaN(v) && isFinite(v));
+        const minValue = Math.min(...validValues);
+        const maxValue = Math.max(...validValues);
+        let normalized = (value - minValue) / (maxValue - minValue);
+        if (maxValue === minValue) normalized = 0.5;
+        if (!prop.higherIsBetter) normalized = 1 - normalized;
+        const r = Math.round(255 * Math.min(1, 2 * (1 - normalized)));
+        const g = Math.round(255 * Math.min(1, 2 * normalized));
+        return `rgb(${r}, ${g}, 50)`;
+    }
+
+    generateMetricLegendHTML(metricInfo) {
+        if (!metricInfo.colorThresholds || metricInfo.colorThresholds.length === 0) return '';
+        let legendItems = '';
+        const thresholds = metricInfo.higherIsBetter
+            ? [...metricInfo.colorThresholds].sort((a, b) => b.threshold - a.threshold)
+            : [...metricInfo.colorThresholds].sort((a, b) => a.threshold - b.threshold);
+        for (const item of thresholds) {
+            legendItems += `<div class="legend-item"><span class="legend-color" style="background-color: ${item.color};"></span>${item.description}</div>`;
+        }
+        return `<div class="legend-section"><h3>顏色圖例 (${metricInfo.displayName})</h3><div class="legend">${legendItems}</div></div>`;
+    }
+
     parseFileName(fileName) {
         try {
             const nameWithoutExt = path.basename(fileName, path.extname(fileName));
@@ -193,7 +356,7 @@ class PortfolioHeatmapGenerator {
                 let strategyName = strategyPart.replace(/_/g, ' ');
                 const platformParts = detailsPart.split('_');
                 let platform = '', symbol = '', broker = '';
-                const exchanges = ['BYBIT', 'BINANCE', 'OKX', 'BITGET', 'GATE', 'HUOBI', 'KUCOIN', 'BINGX'];
+                const exchanges = Object.keys(EXCHANGE_FEE_SCHEDULES);
                 const exchangeIndex = platformParts.findIndex(part =>
                     exchanges.some(ex => part.toUpperCase().includes(ex))
                 );
@@ -224,7 +387,8 @@ class PortfolioHeatmapGenerator {
         const inputPath = path.resolve(this.inputFolder);
         if (!fs.existsSync(inputPath)) throw new Error(`❌ 找不到 "${this.inputFolder}" 資料夾`);
         const files = fs.readdirSync(inputPath)
-            .filter(file => (path.extname(file).toLowerCase() === '.csv' || path.extname(file).toLowerCase() === '.xlsx') && !file.startsWith('~'));
+            .filter(file => (path.extname(file).toLowerCase() === '.csv' || path.extname(file).toLowerCase() === '.xlsx') && !file.startsWith('~'))
+            .filter(file => !this.includeFiles || this.includeFiles.includes(file));
         if (files.length === 0) throw new Error(`❌ 在 "${this.inputFolder}" 中找不到任何 CSV 或 Excel 檔案`);
         console.log(`✅ 在 "${this.inputFolder}" 資料夾中找到 ${files.length} 個檔案:`);
         files.forEach(file => console.log(`   - ${file}`));
@@ -329,16 +493,108 @@ class PortfolioHeatmapGenerator {
         return trades;
     }
 
+    // === 新增：時區解析 (UTC、UTC+8、+08:00 等固定偏移，或 Asia/Taipei 等 IANA 名稱) ===
+    parseTimezone(tz) {
+        const value = String(tz || 'UTC').trim();
+        if (this.timezoneCache.has(value)) return this.timezoneCache.get(value);
+        let zone;
+        const offsetMatch = /^(?:utc|gmt)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i.exec(value);
+        if (/^(utc|gmt|z)$/i.test(value)) {
+            zone = { name: 'UTC', fixedOffsetMinutes: 0 };
+        } else if (offsetMatch) {
+            const minutes = parseInt(offsetMatch[2]) * 60 + parseInt(offsetMatch[3] || '0');
+            if (minutes > 14 * 60) throw new Error(`❌ 時區偏移超出範圍: ${value}`);
+            zone = { name: value.toUpperCase(), fixedOffsetMinutes: (offsetMatch[1] === '-' ? -1 : 1) * minutes };
+        } else {
+            try {
+                const formatter = new Intl.DateTimeFormat('en-US', {
+                    timeZone: value, hourCycle: 'h23',
+                    year: 'numeric', month: '2-digit', day: '2-digit',
+                    hour: '2-digit', minute: '2-digit', second: '2-digit'
+                });
+                zone = { name: value, fixedOffsetMinutes: null, formatter };
+            } catch (error) {
+                throw new Error(`❌ 無法辨識的時區: ${value}`);
+            }
+        }
+        this.timezoneCache.set(value, zone);
+        return zone;
+    }
+
+    getTimezoneOffsetMinutes(tz, date) {
+        const zone = this.parseTimezone(tz);
+        if (zone.fixedOffsetMinutes !== null) return zone.fixedOffsetMinutes;
+        const parts = {};
+        zone.formatter.formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+        const wallMs = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+        return Math.round((wallMs - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    }
+
+    // 將某時區的牆上時間 (以 UTC 欄位表示的毫秒) 轉為實際時間點
+    zonedWallTimeToDate(wallMs, tz) {
+        let utcMs = wallMs - this.getTimezoneOffsetMinutes(tz, new Date(wallMs)) * 60000;
+        utcMs = wallMs - this.getTimezoneOffsetMinutes(tz, new Date(utcMs)) * 60000;
+        return new Date(utcMs);
+    }
+
+    parseSessionRollover(rollover) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(rollover || '00:00').trim());
+        if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+            throw new Error(`❌ 換日時間格式錯誤 (應為 HH:mm): ${rollover}`);
+        }
+        return parseInt(match[1]) * 60 + parseInt(match[2]);
+    }
+
+    // 報告時區 + 換日時間下的「交易日牆上時間」，以 UTC 欄位讀取
+    toReportWallClock(date) {
+        const shiftMinutes = this.getTimezoneOffsetMinutes(this.reportTimezone, date) - this.parseSessionRollover(this.sessionRollover);
+        return new Date(date.getTime() + shiftMinutes * 60000);
+    }
+
+    fromReportWallClock(wallDate) {
+        return this.zonedWallTimeToDate(wallDate.getTime() + this.parseSessionRollover(this.sessionRollover) * 60000, this.reportTimezone);
+    }
+
+    getReportDayKey(date) {
+        return this.toReportWallClock(date).toISOString().split('T')[0];
+    }
+
+    formatReportTime(date) {
+        const wall = new Date(date.getTime() + this.getTimezoneOffsetMinutes(this.reportTimezone, date) * 60000);
+        return wall.toISOString().split('T')[1].split('.')[0];
+    }
+
+    // 報告時區的牆上日期時間 (不套用換日時間)
+    formatReportDateTime(date) {
+        const wall = new Date(date.getTime() + this.getTimezoneOffsetMinutes(this.reportTimezone, date) * 60000);
+        return wall.toISOString().replace('T', ' ').split('.')[0];
+    }
+
+    describeDailySeries() {
+        return this.dailySeriesMode === 'calendar'
+            ? '日曆日 (首筆至末筆交易間每日皆計入，無交易日損益為 0)'
+            : '交易日 (僅計入有平倉交易的日期)';
+    }
+
+    describeReportDay() {
+        const zone = this.parseTimezone(this.reportTimezone).name;
+        return this.parseSessionRollover(this.sessionRollover) === 0 ? zone : `${zone}，換日 ${this.sessionRollover}`;
+    }
+
     parseDateTime(dateStr) {
         if (!dateStr) return new Date('invalid');
         if (typeof dateStr === 'string') {
-            if (dateStr.match(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}/)) {
-                return new Date(dateStr);
+            const match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(dateStr.trim());
+            if (match) {
+                const wallMs = Date.UTC(+match[1], +match[2] - 1, +match[3], +match[4], +match[5], +(match[6] || 0));
+                return this.zonedWallTimeToDate(wallMs, this.inputTimezone);
             }
         }
         if (!isNaN(dateStr) && typeof dateStr === 'number') {
-            const excelEpoch = new Date(Date.UTC(1899, 11, 30));
-            return new Date(excelEpoch.getTime() + parseFloat(dateStr) * 24 * 60 * 60 * 1000);
+            // Excel 序號是沒有時區的牆上時間，依輸入時區解讀
+            const excelEpoch = Date.UTC(1899, 11, 30);
+            const wallMs = excelEpoch + Math.round(parseFloat(dateStr) * 24 * 60 * 60) * 1000;
+            return this.zonedWallTimeToDate(wallMs, this.inputTimezone);
         }
         const date = new Date(dateStr);
         if (!isNaN(date.getTime())) return date;
@@ -346,12 +602,398 @@ class PortfolioHeatmapGenerator {
         return new Date('invalid');
     }
 
-    calculatePositionSize(currentEquity, tradeIndex) {
-        if (this.positionSizeType === 'fixed') {
-            return this.positionSize;
+    detectPnlColumn(trade) {
+        const pnlColumns = Object.keys(trade).filter(key =>
+            ['p&l', 'pnl', 'profit', 'return', '損益', '獲利', '盈虧', 'pl', 'net', 'realized']
+                .some(k => key.toLowerCase().includes(k.toLowerCase()))
+        );
+        if (pnlColumns.length === 0) throw new Error('❌ 找不到損益欄位');
+        return pnlColumns.find(col =>
+            col.includes('USD') || col.includes('USDT') || !col.includes('%')
+        ) || pnlColumns[0];
+    }
+
+    calculatePositionSize(currentEquity, trade, sizing = this) {
+        if (sizing.positionSizeType === 'fixed') {
+            return sizing.positionSize;
+        } else if (sizing.positionSizeType === 'percentage') {
+            return currentEquity * (sizing.positionSize / 100);
+        } else {
+            // 動態模型: 權益比例已由 applySizingModel 預先算好
+            return currentEquity * (trade.sizingFraction ?? sizing.positionSize / 100);
+        }
+    }
+
+    // === 新增：單筆交易淨損益 (日級序列 / 權益曲線 / PnL 分佈共用) ===
+    // positionSize 為名目部位；fixed / percentage / 馬丁模型決定保證金 (名目 = 保證金 × 槓桿)，
+    // risk / volatility / kelly 直接決定名目曝險，槓桿只影響所需保證金與清算距離
+    calculateTradeNetPnL(trade, currentEquity, sizing = this) {
+        if (trade.subAccountPnL) return trade.subAccountPnL;
+        if (this.marginMode === 'cross' && this.isLeverageModelled() && currentEquity <= 0) {
+            // 全倉帳戶已爆倉，不再開倉
+            return { positionSize: 0, margin: 0, grossPnL: 0, commission: 0, entryFee: 0, exitFee: 0, slippage: 0, funding: 0, netPnL: 0, liquidation: null };
+        }
+        const sizedAmount = this.calculatePositionSize(currentEquity, trade, sizing);
+        const exposureModel = ['risk', 'volatility', 'kelly'].includes(sizing.positionSizeType);
+        const positionSize = exposureModel ? sizedAmount : sizedAmount * this.leverage;
+        const margin = positionSize / this.leverage;
+        const tvPnLUSD = parseFloat(String(trade[this.detectedPnlColumn] || '0').replace(/,/g, '')) || 0;
+        const tvPnLPercent = parseFloat(String(trade['P&L %'] || '0').replace(/,/g, '')) || 0;
+        let actualPnL;
+        if (tvPnLPercent !== 0) {
+            actualPnL = positionSize * (tvPnLPercent / 100);
+        } else {
+            if (sizing.positionSizeType === 'fixed') {
+                actualPnL = tvPnLUSD * this.leverage;
+            } else {
+                actualPnL = 0;
+            }
+        }
+        const liquidation = this.isLeverageModelled() ? this.checkLiquidation(trade, margin, positionSize, currentEquity) : null;
+        if (liquidation && liquidation.liquidated) {
+            // 觸及清算價: 以擔保品全數損失取代 TradingView 損益 (維持保證金視為清算費用)
+            return { positionSize, margin, grossPnL: -liquidation.collateral, commission: 0, entryFee: 0, exitFee: 0, slippage: 0, funding: 0, netPnL: -liquidation.collateral, liquidation };
+        }
+        const { entryFee, exitFee, slippage } = this.calculateTradeCosts(trade, positionSize);
+        const commission = entryFee + exitFee;
+        // 資金費用以進場名目部位計算 (正值為收取，負值為支付)
+        const funding = trade.fundingRateSum ? positionSize * trade.fundingRateSum : 0;
+        return { positionSize, margin, grossPnL: actualPnL, commission, entryFee, exitFee, slippage, funding, netPnL: actualPnL - commission - slippage + funding, liquidation };
+    }
+
+    // === 新增：槓桿、保證金與清算 ===
+    isLeverageModelled() {
+        return this.leverage > 1 || this.marginMode === 'cross';
+    }
+
+    // 清算距離 = 擔保品 / 名目部位 - 維持保證金率 (價格逆向變動的百分比)；逐倉擔保品為該筆保證金，全倉為進場時的帳戶權益
+    checkLiquidation(trade, margin, positionSize, currentEquity) {
+        if (!(positionSize > 0)) return null;
+        const collateral = this.marginMode === 'cross' ? Math.max(0, currentEquity) : margin;
+        const distancePct = (collateral / positionSize - this.maintenanceMarginRate / 100) * 100;
+        const excursions = this.getTradeExcursions(trade);
+        if (!excursions) return { collateral, distancePct, maePct: null, usagePct: null, liquidated: false };
+        return {
+            collateral,
+            distancePct,
+            maePct: excursions.maePct,
+            usagePct: distancePct > 0 ? (excursions.maePct / distancePct) * 100 : Infinity,
+            liquidated: excursions.maePct >= distancePct
+        };
+    }
+
+    describeLeverage() {
+        const mode = this.marginMode === 'cross' ? '全倉' : '逐倉';
+        if (!this.isLeverageModelled()) return '無槓桿 (1x 現貨式下注，不模擬清算)';
+        const isolatedDistance = (1 / this.leverage - this.maintenanceMarginRate / 100) * 100;
+        return `${this.leverage}x ${mode}，維持保證金率 ${this.maintenanceMarginRate}%${this.marginMode === 'isolated' ? ` (清算距離 ${isolatedDistance.toFixed(2)}%)` : ' (清算距離依帳戶權益而定)'}`;
+    }
+
+    // === 新增：交易成本模型 (maker / taker 手續費、滑價、最低手續費) ===
+    // 內建費率與設定檔 feeSchedules 合併；覆寫時未指定等級者套用至該交易所的一般用戶等級
+    getFeeSchedules() {
+        const schedules = {};
+        Object.entries(EXCHANGE_FEE_SCHEDULES).forEach(([exchange, tiers]) => { schedules[exchange] = { ...tiers }; });
+        Object.entries(this.feeSchedules || {}).forEach(([exchange, tiers]) => {
+            schedules[exchange] = { ...(schedules[exchange] || {}), ...tiers };
+        });
+        return schedules;
+    }
+
+    // 回傳 { label, maker, taker, minFee }；'auto' 模式下檔名交易所不在費率表中時回傳 null
+    resolveFeeSchedule(trade, feeExchange = this.feeExchange) {
+        const source = String(feeExchange || 'flat').toUpperCase();
+        let label, rates;
+        if (source === 'FLAT') {
+            label = '單一費率';
+            rates = { maker: this.commissionRate * 100, taker: this.commissionRate * 100 };
         } else {
-            return currentEquity * (this.positionSize / 100);
+            const schedules = this.getFeeSchedules();
+            const exchange = source === 'AUTO'
+                ? Object.keys(schedules).find(ex => String(trade.platform || '').toUpperCase().includes(ex))
+                : source;
+            if (!exchange) return null;
+            if (!schedules[exchange]) {
+                throw new Error(`❌ 沒有交易所 ${exchange} 的費率表 (可用: ${Object.keys(schedules).join(', ')}，或以 feeSchedules 新增)`);
+            }
+            const tiers = schedules[exchange];
+            const tier = this.feeTier ? String(this.feeTier).toUpperCase() : Object.keys(tiers)[0];
+            if (!tiers[tier]) throw new Error(`❌ ${exchange} 沒有費率等級 ${tier} (可用: ${Object.keys(tiers).join(', ')})`);
+            label = `${exchange} ${tier}`;
+            rates = tiers[tier];
+        }
+        return {
+            label,
+            maker: this.makerFeePct ?? rates.maker,
+            taker: this.takerFeePct ?? rates.taker,
+            minFee: this.minFeeUSD || rates.minFee || 0
+        };
+    }
+
+    // 預先算好每筆交易的費率與滑價比例；出場名目 = 進場名目 × 出場價 / 進場價 (缺價格時以 P&L % 推算)
+    // 滑價只計於 taker 成交 (maker 掛單以指定價格成交)
+    applyCostModel(trades) {
+        this.costModelInfo = null;
+        const cache = new Map();
+        let fallbackTrades = 0, noPriceTrades = 0;
+        trades.forEach(trade => {
+            let schedule = cache.get(trade.platform);
+            if (schedule === undefined) {
+                schedule = this.resolveFeeSchedule(trade);
+                cache.set(trade.platform, schedule);
+            }
+            if (!schedule) fallbackTrades++;
+            if (this.slippageTicks > 0 && !(trade.entryPrice > 0 && trade.exitPrice > 0)) noPriceTrades++;
+            trade.costSchedule = this.buildTradeCostSchedule(trade, schedule || this.resolveFeeSchedule(trade, 'flat'));
+        });
+        const schedules = new Map();
+        cache.forEach(schedule => { if (schedule) schedules.set(schedule.label, schedule); });
+        if (fallbackTrades > 0) schedules.set('單一費率', this.resolveFeeSchedule({}, 'flat'));
+        this.costModelInfo = { schedules: Array.from(schedules.values()), fallbackTrades, noPriceTrades };
+        if (fallbackTrades > 0) console.warn(`⚠️  ${fallbackTrades} 筆交易的交易所不在費率表中，改用單一費率 ${(this.commissionRate * 100).toFixed(3)}%`);
+        if (noPriceTrades > 0) console.warn(`⚠️  ${noPriceTrades} 筆交易缺少進出場價格，未計跳動點滑價`);
+        if (String(this.feeExchange).toLowerCase() !== 'flat' || this.slippageBps > 0 || this.slippageTicks > 0 || this.minFeeUSD > 0) {
+            console.log(`🧾 交易成本: ${this.describeCosts()}`);
+        }
+        return this.costModelInfo;
+    }
+
+    buildTradeCostSchedule(trade, schedule) {
+        const tickFraction = price => (this.slippageTicks > 0 && this.tickSize > 0 && price > 0 ? this.slippageTicks * this.tickSize / price : 0);
+        const slippageFor = (orderType, price) => (orderType === 'taker' ? this.slippageBps / 10000 + tickFraction(price) : 0);
+        const pnlFraction = (parseFloat(String(trade['P&L %'] || '0').replace(/,/g, '')) || 0) / 100;
+        return {
+            label: schedule.label,
+            entryRate: schedule[this.entryOrderType] / 100,
+            exitRate: schedule[this.exitOrderType] / 100,
+            minFee: schedule.minFee,
+            entrySlippage: slippageFor(this.entryOrderType, trade.entryPrice),
+            exitSlippage: slippageFor(this.exitOrderType, trade.exitPrice),
+            exitNotionalRatio: trade.entryPrice > 0 && trade.exitPrice > 0
+                ? trade.exitPrice / trade.entryPrice
+                : Math.max(0, trade.side === 'short' ? 1 - pnlFraction : 1 + pnlFraction)
+        };
+    }
+
+    calculateTradeCosts(trade, positionSize) {
+        const schedule = trade.costSchedule || this.buildTradeCostSchedule(trade, this.resolveFeeSchedule(trade) || this.resolveFeeSchedule(trade, 'flat'));
+        const exitNotional = positionSize * schedule.exitNotionalRatio;
+        const fee = (notional, rate) => (notional > 0 && (rate > 0 || schedule.minFee > 0) ? Math.max(notional * rate, schedule.minFee) : 0);
+        return {
+            entryFee: fee(positionSize, schedule.entryRate),
+            exitFee: fee(exitNotional, schedule.exitRate),
+            slippage: positionSize * schedule.entrySlippage + exitNotional * schedule.exitSlippage
+        };
+    }
+
+    describeCosts() {
+        const schedules = this.costModelInfo ? this.costModelInfo.schedules : [this.resolveFeeSchedule({}) || this.resolveFeeSchedule({}, 'flat')];
+        const parts = [schedules.map(s => s.maker === s.taker
+            ? `${s.label} ${s.taker.toFixed(3)}%`
+            : `${s.label} (maker ${s.maker.toFixed(3)}% / taker ${s.taker.toFixed(3)}%)`).join('、')];
+        parts.push(`進場 ${this.entryOrderType} / 出場 ${this.exitOrderType}，依實際進出場名目各收一次`);
+        const slippage = [];
+        if (this.slippageBps > 0) slippage.push(`${this.slippageBps} bps`);
+        if (this.slippageTicks > 0) slippage.push(`${this.slippageTicks} tick${this.tickSize > 0 ? ` × ${this.tickSize}` : ' (未設定 tickSize，不計)'}`);
+        if (slippage.length > 0) parts.push(`滑價 ${slippage.join(' + ')} / 邊 (僅 taker)`);
+        const minFees = Array.from(new Set(schedules.map(s => s.minFee).filter(v => v > 0)));
+        if (minFees.length > 0) parts.push(`最低手續費 $${minFees.join(' / $')}`);
+        return parts.join('，');
+    }
+
+    generateCostBreakdown() {
+        if (!this.trades || this.trades.length === 0) return null;
+        let equity = this.initialCapital;
+        const totals = { entryFee: 0, exitFee: 0, slippage: 0, funding: 0, grossPnL: 0 };
+        const firstX = this.trades[0].parsedDate.getTime() - 1;
+        const series = { entryFee: [{ x: firstX, y: 0 }], exitFee: [{ x: firstX, y: 0 }], slippage: [{ x: firstX, y: 0 }], funding: [{ x: firstX, y: 0 }] };
+        const bySchedule = new Map();
+        const perTrade = this.trades.map(trade => {
+            const result = this.calculateTradeNetPnL(trade, equity);
+            equity += result.netPnL;
+            const row = { entryFee: result.entryFee || 0, exitFee: result.exitFee || 0, slippage: result.slippage || 0, funding: -(result.funding || 0) };
+            totals.grossPnL += result.grossPnL;
+            Object.keys(series).forEach(key => {
+                totals[key] += row[key];
+                series[key].push({ x: trade.parsedDate.getTime(), y: parseFloat(totals[key].toFixed(2)) });
+            });
+            const label = trade.costSchedule ? trade.costSchedule.label : '單一費率';
+            if (!bySchedule.has(label)) bySchedule.set(label, { label, trades: 0, fees: 0, slippage: 0 });
+            const group = bySchedule.get(label);
+            group.trades++;
+            group.fees += row.entryFee + row.exitFee;
+            group.slippage += row.slippage;
+            return row;
+        });
+        const total = totals.entryFee + totals.exitFee + totals.slippage + totals.funding;
+        if (totals.entryFee + totals.exitFee + totals.slippage === 0 && totals.funding === 0) return null;
+        return {
+            ...totals,
+            fees: totals.entryFee + totals.exitFee,
+            total,
+            costPctOfGross: totals.grossPnL > 0 ? (total / totals.grossPnL) * 100 : null,
+            perTrade,
+            series,
+            bySchedule: Array.from(bySchedule.values())
+        };
+    }
+
+    // === 新增：永續合約資金費率 ===
+    // 費率欄位可為小數 (0.0001) 或百分比字串 (0.01%)；無時區的時間字串視為 UTC (交易所結算時間)
+    readFundingRateFile(filePath) {
+        const lines = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+        if (lines.length < 2) throw new Error(`❌ 資金費率檔案沒有資料: ${filePath}`);
+        const separator = [',', '\t', ';'].find(sep => lines[0].includes(sep)) || ',';
+        const splitLine = line => line.split(separator).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+        const header = splitLine(lines[0]).map(h => h.toLowerCase());
+        const timeIndex = header.findIndex(h => /^(time|date|datetime|timestamp|funding[ _]?(rate[ _]?)?time(stamp)?|calc[ _]?time|日期|時間)/.test(h));
+        const rateIndex = header.findIndex(h => /(funding[ _]?rate|資金費率)$/.test(h) || h === 'rate');
+        if (timeIndex < 0 || rateIndex < 0) {
+            throw new Error(`❌ 資金費率檔案需包含時間與費率欄位 (time, fundingRate)，實際欄位: ${header.join(', ')}`);
         }
+        const marks = [];
+        lines.slice(1).forEach(line => {
+            const cells = splitLine(line);
+            const rawTime = cells[timeIndex];
+            const rawRate = cells[rateIndex] || '';
+            const rate = parseFloat(rawRate) / (rawRate.endsWith('%') ? 100 : 1);
+            if (!rawTime || !isFinite(rate)) return;
+            let time;
+            if (/^\d+(\.\d+)?$/.test(rawTime)) {
+                const epoch = parseFloat(rawTime);
+                time = epoch > 1e11 ? epoch : epoch * 1000;
+            } else if (/^\d{4}-\d{1,2}-\d{1,2}[ T]\d{1,2}:\d{2}(:\d{2})?$/.test(rawTime)) {
+                time = Date.parse(rawTime.replace(' ', 'T') + 'Z');
+            } else {
+                time = new Date(rawTime).getTime();
+            }
+            if (!isNaN(time)) marks.push({ time, rate });
+        });
+        if (marks.length === 0) throw new Error(`❌ 資金費率檔案中沒有可用的結算紀錄: ${filePath}`);
+        return marks.sort((a, b) => a.time - b.time);
+    }
+
+    // 路徑為檔案時套用至所有交易對；為資料夾時依交易對 (含去除 .P 的名稱) 逐一尋找，找不到的交易對回傳 null
+    resolveFundingRateFiles() {
+        const fundingPath = path.resolve(this.fundingRatePath);
+        if (!fs.existsSync(fundingPath)) throw new Error(`❌ 找不到資金費率檔案或資料夾: ${this.fundingRatePath}`);
+        const symbols = Array.from(this.portfolioInfo.symbols);
+        if (!fs.statSync(fundingPath).isDirectory()) return new Map(symbols.map(symbol => [symbol, fundingPath]));
+        const candidates = fs.readdirSync(fundingPath).filter(file => path.extname(file).toLowerCase() === '.csv');
+        return new Map(symbols.map(symbol => {
+            const names = [symbol, symbol.replace(/\.P$/i, '')].map(s => s.toUpperCase());
+            const match = symbol && symbol !== 'N/A'
+                ? candidates.find(file => names.some(name => path.basename(file, '.csv').toUpperCase().includes(name)))
+                : null;
+            return [symbol, match ? path.join(fundingPath, match) : null];
+        }));
+    }
+
+    // 每筆交易累計其持倉期間 (進場後至出場，含出場時點) 所跨越的結算費率；
+    // 多單於正費率時支付、空單收取，結果存為帶正負號的 trade.fundingRateSum，再由 calculateTradeNetPnL 乘上名目部位
+    applyFundingRates(trades) {
+        trades.forEach(trade => {
+            delete trade.fundingRateSum;
+            delete trade.fundingMarks;
+        });
+        this.fundingInfo = null;
+        if (!this.fundingRatePath || trades.length === 0) return null;
+        const files = this.resolveFundingRateFiles();
+        const seriesByFile = new Map();
+        const seriesOf = filePath => {
+            if (!seriesByFile.has(filePath)) {
+                const marks = this.readFundingRateFile(filePath);
+                const prefix = [0];
+                marks.forEach(mark => prefix.push(prefix[prefix.length - 1] + mark.rate));
+                const gaps = marks.slice(1).map((mark, i) => mark.time - marks[i].time).sort((a, b) => a - b);
+                seriesByFile.set(filePath, {
+                    times: marks.map(mark => mark.time),
+                    prefix,
+                    interval: gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : 0
+                });
+            }
+            return seriesByFile.get(filePath);
+        };
+        // 回傳結算時間 <= time 的筆數
+        const countUpTo = (times, time) => {
+            let low = 0, high = times.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (times[mid] <= time) low = mid + 1; else high = mid;
+            }
+            return low;
+        };
+        let chargedTrades = 0, totalMarks = 0, unknownTrades = 0, uncoveredTrades = 0;
+        trades.forEach(trade => {
+            const filePath = files.get(trade.symbol);
+            const hasEntry = trade.entryDate && !isNaN(trade.entryDate.getTime());
+            if (!filePath || !hasEntry || !['long', 'short'].includes(trade.side)) {
+                unknownTrades++;
+                return;
+            }
+            const series = seriesOf(filePath);
+            const entryTime = trade.entryDate.getTime();
+            const exitTime = trade.parsedDate.getTime();
+            const from = countUpTo(series.times, entryTime);
+            const to = countUpTo(series.times, exitTime);
+            const rateSum = series.prefix[to] - series.prefix[from];
+            trade.fundingMarks = to - from;
+            trade.fundingRateSum = trade.side === 'long' ? -rateSum : rateSum;
+            if (trade.fundingMarks > 0) chargedTrades++;
+            totalMarks += trade.fundingMarks;
+            if (entryTime < series.times[0] || exitTime > series.times[series.times.length - 1] + series.interval) uncoveredTrades++;
+        });
+        const missingSymbols = Array.from(files.entries()).filter(([, filePath]) => !filePath).map(([symbol]) => symbol);
+        this.fundingInfo = {
+            files: Array.from(new Set(Array.from(files.values()).filter(Boolean))).map(filePath => path.basename(filePath)),
+            missingSymbols,
+            chargedTrades,
+            totalMarks,
+            unknownTrades,
+            uncoveredTrades
+        };
+        const notes = [];
+        if (unknownTrades > 0) notes.push(`${unknownTrades} 筆缺少進場時間、方向或費率資料，未計資金費用`);
+        if (uncoveredTrades > 0) notes.push(`${uncoveredTrades} 筆持倉期間超出費率資料範圍`);
+        if (missingSymbols.length > 0) console.warn(`⚠️  找不到 ${missingSymbols.join(' / ')} 的資金費率檔案`);
+        console.log(`💸 資金費率: ${this.fundingInfo.files.join(', ')}，${chargedTrades} 筆交易跨越共 ${totalMarks} 次結算${notes.length ? ` (${notes.join('，')})` : ''}`);
+        return this.fundingInfo;
+    }
+
+    describeFunding() {
+        if (!this.fundingInfo) return '未計入 (未指定資金費率檔案)';
+        return `${this.fundingInfo.files.join(', ')} (以進場名目部位計算，多單於正費率時支付、空單收取)`;
+    }
+
+    generateFundingSummary() {
+        if (!this.fundingInfo || !this.trades || this.trades.length === 0) return null;
+        let equity = this.initialCapital;
+        let cumulative = 0, paid = 0, received = 0;
+        const series = [{ x: this.trades[0].parsedDate.getTime() - 1, y: 0 }];
+        const bySymbol = new Map();
+        const perTrade = this.trades.map(trade => {
+            const { funding, netPnL } = this.calculateTradeNetPnL(trade, equity);
+            equity += netPnL;
+            cumulative += funding;
+            if (funding < 0) paid -= funding; else received += funding;
+            series.push({ x: trade.parsedDate.getTime(), y: parseFloat(cumulative.toFixed(2)) });
+            const symbol = trade.symbol || 'N/A';
+            if (!bySymbol.has(symbol)) bySymbol.set(symbol, { symbol, trades: 0, marks: 0, funding: 0 });
+            const row = bySymbol.get(symbol);
+            row.trades++;
+            row.marks += trade.fundingMarks || 0;
+            row.funding += funding;
+            return funding;
+        });
+        return {
+            ...this.fundingInfo,
+            total: cumulative,
+            paid,
+            received,
+            perTrade,
+            series,
+            bySymbol: Array.from(bySymbol.values())
+        };
     }
 
     convertTradingViewPnLToActual(tvPnL, tvPnLPercent, positionSize) {
@@ -366,9 +1008,94 @@ class PortfolioHeatmapGenerator {
         return 0;
     }
 
+    // === 新增：交易回合重建 ===
+    getTradeRowType(row) {
+        const tradeType = String(row['種類'] || row['Type'] || '');
+        const lower = tradeType.toLowerCase();
+        if (tradeType.includes('出場') || lower.includes('close') || lower.includes('exit') || lower.includes('stop loss')) return 'exit';
+        if (tradeType.includes('進場') || lower.includes('entry')) return 'entry';
+        return null;
+    }
+
+    getTradeRowSide(row) {
+        const tradeType = String(row['種類'] || row['Type'] || '').toLowerCase();
+        if (tradeType.includes('做空') || tradeType.includes('short')) return 'short';
+        if (tradeType.includes('做多') || tradeType.includes('long')) return 'long';
+        return 'N/A';
+    }
+
+    // 以「交易 #」將進場 / 出場列組成回合；同一編號可有多筆進場 (加碼) 或多筆出場 (分批平倉)
+    // 損益為各出場列加總，百分比為依出場數量加權；無進場列的舊版匯出仍保留為僅有出場資訊的回合
+    reconstructRoundTrips(rows, dateColumn) {
+        const toNumber = value => parseFloat(String(value ?? '').replace(/,/g, ''));
+        const findColumn = (row, patterns) => Object.keys(row).find(key => patterns.some(p => p.test(key)));
+        const sample = rows[0] || {};
+        const priceColumn = findColumn(sample, [/^價格/, /^price/i]);
+        const quantityColumn = findColumn(sample, [/^數量/, /^quantity/i, /^contracts/i, /^qty/i]);
+        const pnlColumn = this.detectedPnlColumn || this.detectPnlColumn(sample);
+        const groups = new Map();
+        rows.forEach((row, index) => {
+            const type = this.getTradeRowType(row);
+            if (!type) return;
+            const rawNumber = row['交易 #'] ?? row['Trade #'];
+            const key = rawNumber !== undefined && rawNumber !== '' ? String(rawNumber) : `row-${index}`;
+            if (!groups.has(key)) groups.set(key, { tradeNumber: key, entries: [], exits: [] });
+            const parsedDate = this.parseDateTime(row[dateColumn]);
+            groups.get(key)[type === 'exit' ? 'exits' : 'entries'].push({ row, parsedDate });
+        });
+
+        const weightedPrice = legs => {
+            const quantity = legs.reduce((sum, leg) => sum + (toNumber(leg.row[quantityColumn]) || 0), 0);
+            if (quantity === 0) return legs.length > 0 ? toNumber(legs[0].row[priceColumn]) : NaN;
+            return legs.reduce((sum, leg) => sum + toNumber(leg.row[priceColumn]) * (toNumber(leg.row[quantityColumn]) || 0), 0) / quantity;
+        };
+        const roundTrips = [];
+        let openCount = 0, pyramidCount = 0, partialExitCount = 0, exitOnlyCount = 0;
+        groups.forEach(group => {
+            if (group.exits.length === 0) {
+                openCount++;
+                return;
+            }
+            group.entries.sort((a, b) => a.parsedDate - b.parsedDate);
+            group.exits.sort((a, b) => a.parsedDate - b.parsedDate);
+            if (group.entries.length > 1) pyramidCount++;
+            if (group.exits.length > 1) partialExitCount++;
+            if (group.entries.length === 0) exitOnlyCount++;
+            const lastExit = group.exits[group.exits.length - 1];
+            const exitQuantity = group.exits.reduce((sum, leg) => sum + (toNumber(leg.row[quantityColumn]) || 0), 0);
+            const entryQuantity = group.entries.reduce((sum, leg) => sum + (toNumber(leg.row[quantityColumn]) || 0), 0);
+            const pnl = group.exits.reduce((sum, leg) => sum + (toNumber(leg.row[pnlColumn]) || 0), 0);
+            const pnlPercent = exitQuantity > 0
+                ? group.exits.reduce((sum, leg) => sum + (toNumber(leg.row['P&L %']) || 0) * (toNumber(leg.row[quantityColumn]) || 0), 0) / exitQuantity
+                : group.exits.reduce((sum, leg) => sum + (toNumber(leg.row['P&L %']) || 0), 0);
+            const entryDate = group.entries.length > 0 ? group.entries[0].parsedDate : null;
+            const signalsOf = legs => Array.from(new Set(legs.map(leg => leg.row['信號'] || leg.row['Signal']).filter(Boolean))).join(' / ');
+            const sideSource = group.entries.length > 0 ? group.entries[0].row : lastExit.row;
+            roundTrips.push({
+                ...lastExit.row,
+                [pnlColumn]: pnl,
+                'P&L %': pnlPercent,
+                parsedDate: lastExit.parsedDate,
+                tradeNumber: group.tradeNumber,
+                side: this.getTradeRowSide(sideSource),
+                entryDate,
+                exitDate: lastExit.parsedDate,
+                entryPrice: group.entries.length > 0 ? weightedPrice(group.entries) : NaN,
+                exitPrice: weightedPrice(group.exits),
+                quantity: entryQuantity || exitQuantity,
+                entryCount: group.entries.length,
+                exitCount: group.exits.length,
+                entrySignals: signalsOf(group.entries),
+                exitSignals: signalsOf(group.exits),
+                holdingMinutes: entryDate ? (lastExit.parsedDate - entryDate) / 60000 : NaN
+            });
+        });
+        return { roundTrips, openCount, pyramidCount, partialExitCount, exitOnlyCount };
+    }
+
     async autoReadAllFilesAndCombine() {
         const filesToProcess = this.findAllFiles();
-        let allTrades = [];
+        const fileRows = [];
         for (const file of filesToProcess) {
             try {
                 console.log(`\n🔄 正在讀取檔案: ${file.fileName}...`);
@@ -380,43 +1107,19 @@ class PortfolioHeatmapGenerator {
                 }
                 if (tradesFromFile.length > 0) {
                     console.log(`   - 成功讀取 ${tradesFromFile.length} 筆原始記錄。`);
-                    const parsedInfo = this.parseFileName(file.fileName);
-                    const exitTradesOnly = tradesFromFile.filter(trade => {
-                        const tradeType = trade['種類'];
-                        return tradeType && (
-                            tradeType.includes('出場') ||
-                            tradeType.includes('Close') ||
-                            tradeType.includes('Exit') ||
-                            tradeType.includes('Stop Loss') ||
-                            tradeType.toLowerCase().includes('close')
-                        );
-                    });
-                    console.log(`   - 過濾後，保留 ${exitTradesOnly.length} 筆出場交易。`);
-                    const tradesWithInfo = exitTradesOnly.map(trade => ({
-                        ...trade,
-                        sourceFile: file.fileName,
-                        strategyName: parsedInfo.strategyName,
-                        broker: parsedInfo.broker,
-                        platform: parsedInfo.platform,
-                        symbol: parsedInfo.symbol
-                    }));
-                    allTrades.push(...tradesWithInfo);
-                    this.portfolioInfo.strategyNames.add(parsedInfo.strategyName);
-                    if (parsedInfo.broker) this.portfolioInfo.brokers.add(parsedInfo.broker);
-                    if (parsedInfo.platform) this.portfolioInfo.platforms.add(parsedInfo.platform);
-                    if (parsedInfo.symbol) this.portfolioInfo.symbols.add(parsedInfo.symbol);
-                    this.portfolioInfo.sourceFiles.add(file.fileName);
+                    fileRows.push({ file, rows: tradesFromFile, parsedInfo: this.parseFileName(file.fileName) });
                 } else {
                     console.log(`   ⚠️ 檔案 ${file.fileName} 為空，已跳過。`);
                 }
             } catch (error) {
                 console.error(`❌ 讀取檔案 ${file.fileName} 失敗: ${error.message}`);
+                this.failedFiles.push({ fileName: file.fileName, error: error.message });
             }
         }
-        if (allTrades.length === 0) {
+        if (fileRows.length === 0) {
             throw new Error("❌ 所有檔案都讀取失敗或為空，或過濾後沒有留下任何交易記錄。");
         }
-        const firstTrade = allTrades[0];
+        const firstTrade = fileRows[0].rows[0];
         const dateColumns = Object.keys(firstTrade).filter(key =>
             ['date', 'time', 'timestamp', '日期', '時間', '日期/時間', 'created', 'open', 'close'].some(k =>
                 key.toLowerCase().includes(k.toLowerCase())
@@ -427,56 +1130,430 @@ class PortfolioHeatmapGenerator {
         }
         this.detectedDateColumn = dateColumns[0];
         console.log(`\n📅 使用日期欄位進行排序: ${this.detectedDateColumn}`);
-        this.trades = allTrades.map(trade => ({
-            ...trade,
-            parsedDate: this.parseDateTime(trade[this.detectedDateColumn])
-        })).filter(trade => !isNaN(trade.parsedDate.getTime()));
+
+        const allTrades = [];
+        for (const { file, rows, parsedInfo } of fileRows) {
+            const { roundTrips, openCount, pyramidCount, partialExitCount, exitOnlyCount } = this.reconstructRoundTrips(rows, this.detectedDateColumn);
+            const notes = [];
+            if (pyramidCount > 0) notes.push(`加碼 ${pyramidCount}`);
+            if (partialExitCount > 0) notes.push(`分批出場 ${partialExitCount}`);
+            if (exitOnlyCount > 0) notes.push(`缺少進場列 ${exitOnlyCount}`);
+            if (openCount > 0) notes.push(`未平倉略過 ${openCount}`);
+            console.log(`   - ${file.fileName}: 重建 ${roundTrips.length} 筆完整交易回合${notes.length ? ` (${notes.join('，')})` : ''}。`);
+            if (roundTrips.length === 0) continue;
+            allTrades.push(...roundTrips.map(trade => ({
+                ...trade,
+                sourceFile: file.fileName,
+                strategyName: parsedInfo.strategyName,
+                broker: parsedInfo.broker,
+                platform: parsedInfo.platform,
+                symbol: parsedInfo.symbol
+            })));
+            this.portfolioInfo.strategyNames.add(parsedInfo.strategyName);
+            if (parsedInfo.broker) this.portfolioInfo.brokers.add(parsedInfo.broker);
+            if (parsedInfo.platform) this.portfolioInfo.platforms.add(parsedInfo.platform);
+            if (parsedInfo.symbol) this.portfolioInfo.symbols.add(parsedInfo.symbol);
+            this.portfolioInfo.sourceFiles.add(file.fileName);
+        }
+        if (allTrades.length === 0) {
+            throw new Error("❌ 所有檔案都讀取失敗或為空，或過濾後沒有留下任何交易記錄。");
+        }
+        this.trades = allTrades.filter(trade => !isNaN(trade.parsedDate.getTime()));
+        this.invalidDateCount = allTrades.length - this.trades.length;
+        if (this.trades.length === 0) {
+            throw new Error(`❌ 日期欄位 "${this.detectedDateColumn}" 無法解析，沒有留下任何交易記錄。`);
+        }
         this.trades.sort((a, b) => a.parsedDate - b.parsedDate);
-        const startDate = this.trades[0].parsedDate.toISOString().split('T')[0];
-        const endDate = this.trades[this.trades.length - 1].parsedDate.toISOString().split('T')[0];
+        const startDate = this.getReportDayKey(this.trades[0].parsedDate);
+        const endDate = this.getReportDayKey(this.trades[this.trades.length - 1].parsedDate);
         this.portfolioInfo.tradingDateRange = `${startDate} ~ ${endDate}`;
         console.log(`\n📈 所有檔案合併完成！總共 ${this.trades.length} 筆交易紀錄。`);
         console.log(`📊 交易日期範圍: ${this.portfolioInfo.tradingDateRange}`);
+        this.applySizingModel(this.trades);
+        this.applyFundingRates(this.trades);
+        this.applyCostModel(this.trades);
+    }
+
+    // === 新增：日曆週期起點 (傳入與回傳皆為 toReportWallClock 的牆上時間) ===
+    getCalendarPeriodStart(date, unit) {
+        const dayStart = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        switch (unit) {
+            case 'day':
+                return dayStart;
+            case 'week': {
+                const firstWeekday = this.weekStart === 'sunday' ? 0 : 1;
+                const offset = (dayStart.getUTCDay() - firstWeekday + 7) % 7;
+                dayStart.setUTCDate(dayStart.getUTCDate() - offset);
+                return dayStart;
+            }
+            case 'month':
+                return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+            case 'quarter':
+                return new Date(Date.UTC(date.getUTCFullYear(), Math.floor(date.getUTCMonth() / 3) * 3, 1));
+            case 'year':
+                return new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+            default:
+                throw new Error(`❌ 不支援的週期類型: ${unit}`);
+        }
+    }
+
+    // === 新增：日曆週期位移 ===
+    addCalendarPeriods(date, unit, count) {
+        const result = new Date(date);
+        switch (unit) {
+            case 'day': result.setUTCDate(result.getUTCDate() + count); break;
+            case 'week': result.setUTCDate(result.getUTCDate() + 7 * count); break;
+            case 'month': result.setUTCMonth(result.getUTCMonth() + count); break;
+            case 'quarter': result.setUTCMonth(result.getUTCMonth() + 3 * count); break;
+            case 'year': result.setUTCFullYear(result.getUTCFullYear() + count); break;
+            default: throw new Error(`❌ 不支援的週期類型: ${unit}`);
+        }
+        return result;
+    }
+
+    describePeriodSetting(periodType, periodLength) {
+        const unitNames = { day: '日', week: '週', month: '月', quarter: '季', year: '年' };
+        const unitName = unitNames[periodType] || periodType;
+        if (this.periodAlignment === 'rolling') {
+            const note = periodType === 'month' ? ' (每月以 30 天計)' : '';
+            return `滾動固定長度: 每 ${periodLength} ${unitName}一期，自第一筆交易起算${note}`;
+        }
+        const weekNote = periodType === 'week' ? (this.weekStart === 'sunday' ? ' (週日起始)' : ' (ISO 週，週一起始)') : '';
+        const lengthNote = periodLength > 1 ? `，每 ${periodLength} ${unitName}一期` : '';
+        return `日曆${unitName}週期${weekNote}${lengthNote} (${this.describeReportDay()})`;
     }
 
     calculatePeriods(periodType, periodLength) {
         if (!this.trades || this.trades.length === 0) throw new Error('❌ 沒有可分析的交易紀錄');
+        const unit = periodType.toLowerCase();
+        const length = Math.max(1, parseInt(periodLength) || 1);
         const startDate = this.trades[0].parsedDate, endDate = this.trades[this.trades.length - 1].parsedDate;
-        let intervalMs;
-        switch (periodType.toLowerCase()) {
-            case 'day': intervalMs = periodLength * 24 * 60 * 60 * 1000; break;
-            case 'week': intervalMs = periodLength * 7 * 24 * 60 * 60 * 1000; break;
-            case 'month': intervalMs = periodLength * 30 * 24 * 60 * 60 * 1000; break;
-            default: throw new Error('❌ 不支援的週期類型');
+        const isRolling = this.periodAlignment === 'rolling';
+        const boundaries = [];
+        if (isRolling) {
+            let intervalMs;
+            switch (unit) {
+                case 'day': intervalMs = length * 24 * 60 * 60 * 1000; break;
+                case 'week': intervalMs = length * 7 * 24 * 60 * 60 * 1000; break;
+                case 'month': intervalMs = length * 30 * 24 * 60 * 60 * 1000; break;
+                default: throw new Error(`❌ 滾動模式不支援的週期類型: ${unit}`);
+            }
+            for (let currentStart = new Date(startDate); currentStart <= endDate; currentStart = new Date(currentStart.getTime() + intervalMs)) {
+                boundaries.push({ start: currentStart, end: new Date(currentStart.getTime() + intervalMs) });
+            }
+        } else {
+            let wallStart = this.getCalendarPeriodStart(this.toReportWallClock(startDate), unit);
+            let currentStart = this.fromReportWallClock(wallStart);
+            while (currentStart <= endDate) {
+                const wallEnd = this.addCalendarPeriods(wallStart, unit, length);
+                const currentEnd = this.fromReportWallClock(wallEnd);
+                boundaries.push({ start: currentStart, end: currentEnd });
+                wallStart = wallEnd;
+                currentStart = currentEnd;
+            }
         }
+        // 交易已依時間排序，單次掃描分配到各週期；日曆模式保留沒有交易的週期
         const periods = [];
-        let currentStart = new Date(startDate);
+        let tradeIndex = 0;
         let periodIndex = 1;
-        while (currentStart <= endDate) {
-            const currentEnd = new Date(currentStart.getTime() + intervalMs);
-            const periodTrades = this.trades.filter(trade => trade.parsedDate >= currentStart && trade.parsedDate < currentEnd);
-            if (periodTrades.length > 0) {
+        boundaries.forEach(({ start, end }) => {
+            const periodTrades = [];
+            while (tradeIndex < this.trades.length && this.trades[tradeIndex].parsedDate < end) {
+                if (this.trades[tradeIndex].parsedDate >= start) periodTrades.push(this.trades[tradeIndex]);
+                tradeIndex++;
+            }
+            if (periodTrades.length > 0 || !isRolling) {
                 periods.push({
                     index: periodIndex++,
-                    startDate: new Date(currentStart),
-                    endDate: new Date(currentEnd),
+                    startDate: new Date(start),
+                    endDate: new Date(end),
                     trades: periodTrades
                 });
             }
-            currentStart = currentEnd;
-        }
+        });
         this.periods = periods;
-        console.log(`\n📊 組合策略共分割為 ${periods.length} 個週期`);
+        this.periodDescription = this.describePeriodSetting(unit, length);
+        console.log(`\n📊 組合策略共分割為 ${periods.length} 個週期 (${this.periodDescription})`);
         return periods;
     }
 
+    // === 新增：子帳戶資金配置模擬 ===
+    // 每個來源檔案依配置權重分得獨立資金與下注模式，依時間順序交錯執行；再平衡只在子帳戶間移轉資金，不改變總權益
+    simulateSubAccounts() {
+        if (!this.allocations || this.allocations.length === 0) return null;
+        const legFiles = Array.from(new Set(this.trades.map(t => t.sourceFile)));
+        const matchesLeg = (entry, fileName, strategyName) => {
+            const key = String(entry.match).toLowerCase();
+            return [fileName, path.basename(fileName, path.extname(fileName)), strategyName]
+                .some(name => name && name.toLowerCase() === key);
+        };
+        const accounts = legFiles.map(fileName => {
+            const strategyName = this.parseFileName(fileName).strategyName;
+            const entry = this.allocations.find(a => matchesLeg(a, fileName, strategyName));
+            return { fileName, strategyName, entry };
+        });
+        const unmatched = accounts.filter(a => !a.entry).map(a => a.fileName);
+        if (unmatched.length > 0) {
+            throw new Error(`❌ 以下檔案沒有對應的資金配置: ${unmatched.join(', ')}`);
+        }
+        this.allocations.forEach(entry => {
+            if (!accounts.some(a => a.entry === entry)) console.log(`⚠️ 資金配置 "${entry.match}" 沒有對應到任何檔案，已忽略`);
+        });
+        // 同一配置對應多個檔案時平均分配其權重，之後再將所有權重正規化為 100%
+        accounts.forEach(a => {
+            a.rawWeight = a.entry.weight / accounts.filter(b => b.entry === a.entry).length;
+        });
+        const totalWeight = accounts.reduce((s, a) => s + a.rawWeight, 0);
+        if (!(totalWeight > 0)) throw new Error('❌ 資金配置權重總和必須大於 0');
+        accounts.forEach(a => {
+            a.targetWeight = a.rawWeight / totalWeight;
+            a.sizing = {
+                positionSizeType: a.entry.positionSizeType || this.positionSizeType,
+                positionSize: a.entry.positionSize !== undefined ? a.entry.positionSize : this.positionSize
+            };
+            this.applySizingModel(this.trades.filter(t => t.sourceFile === a.fileName), a.sizing);
+            a.startCapital = this.initialCapital * a.targetWeight;
+            a.equity = a.startCapital;
+            a.netPnL = 0;
+            a.numTrades = 0;
+            a.skippedTrades = 0;
+        });
+        const accountByFile = new Map(accounts.map(a => [a.fileName, a]));
+        const rebalances = [];
+        const rebalance = (date, reason) => {
+            const total = accounts.reduce((s, a) => s + a.equity, 0);
+            if (total <= 0) return;
+            accounts.forEach(a => { a.equity = total * a.targetWeight; });
+            rebalances.push({ date: this.getReportDayKey(date), reason, totalEquity: total });
+        };
+        const scheduleKey = (date) => this.rebalanceSchedule === 'none'
+            ? null
+            : this.getCalendarPeriodStart(this.toReportWallClock(date), this.rebalanceSchedule === 'quarterly' ? 'quarter' : 'month').getTime();
+        let lastScheduleKey = scheduleKey(this.trades[0].parsedDate);
+
+        this.trades.forEach((trade, i) => {
+            const key = scheduleKey(trade.parsedDate);
+            if (key !== null && key !== lastScheduleKey) {
+                rebalance(trade.parsedDate, this.rebalanceSchedule === 'quarterly' ? '每季' : '每月');
+                lastScheduleKey = key;
+            }
+            const account = accountByFile.get(trade.sourceFile);
+            delete trade.subAccountPnL;
+            let result;
+            if (account.equity <= 0) {
+                // 子帳戶權益歸零後不再交易
+                result = { positionSize: 0, grossPnL: 0, commission: 0, entryFee: 0, exitFee: 0, slippage: 0, funding: 0, netPnL: 0 };
+                account.skippedTrades++;
+            } else {
+                result = this.calculateTradeNetPnL(trade, account.equity, account.sizing);
+                account.numTrades++;
+            }
+            account.equity += result.netPnL;
+            account.netPnL += result.netPnL;
+            trade.subAccountPnL = result;
+            if (this.rebalanceThreshold > 0) {
+                const total = accounts.reduce((s, a) => s + a.equity, 0);
+                const drifted = total > 0 && accounts.some(a => Math.abs(a.equity / total - a.targetWeight) * 100 > this.rebalanceThreshold);
+                if (drifted) rebalance(trade.parsedDate, `偏離 > ${this.rebalanceThreshold}%`);
+            }
+        });
+        const finalTotal = accounts.reduce((s, a) => s + a.equity, 0);
+        this.subAccountResult = {
+            accounts: accounts.map(a => ({
+                fileName: a.fileName,
+                strategyName: a.strategyName,
+                targetWeight: a.targetWeight,
+                sizing: a.sizing,
+                startCapital: a.startCapital,
+                finalEquity: a.equity,
+                finalWeight: finalTotal > 0 ? a.equity / finalTotal : 0,
+                netPnL: a.netPnL,
+                numTrades: a.numTrades,
+                skippedTrades: a.skippedTrades
+            })),
+            rebalances
+        };
+        console.log(`🏦 子帳戶模擬完成: ${accounts.length} 個子帳戶，再平衡 ${rebalances.length} 次`);
+        return this.subAccountResult;
+    }
+
+    // === 新增：動態下注模型 ===
+    // 依模型算出每筆交易使用的權益比例並寫入 trade.sizingFraction；只使用該筆進場前已平倉的交易資訊，避免前視偏差
+    // (risk 模型以 MAE 為停損距離時例外：等同假設停損正好設在該筆的最大逆行處)
+    applySizingModel(trades, sizing = this) {
+        trades.forEach(trade => delete trade.sizingFraction);
+        sizing.sizingSummary = null;
+        if (['fixed', 'percentage'].includes(sizing.positionSizeType) || trades.length === 0) return null;
+        const baseFraction = sizing.positionSize / 100;
+        const maxFraction = this.maxPositionPct / 100;
+        const tradeReturn = trade => (parseFloat(String(trade['P&L %'] || '0').replace(/,/g, '')) || 0) / 100;
+        const entryTime = trade => (trade.entryDate && !isNaN(trade.entryDate.getTime()) ? trade.entryDate : trade.parsedDate).getTime();
+        // trades 依平倉時間排序；回傳進場前已平倉的筆數
+        const exitTimes = trades.map(trade => trade.parsedDate.getTime());
+        const closedBefore = trade => {
+            const time = entryTime(trade);
+            let low = 0, high = exitTimes.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (exitTimes[mid] < time) low = mid + 1; else high = mid;
+            }
+            return low;
+        };
+        let warmupTrades = 0;
+        let fallbackTrades = 0;
+        let fractionOf;
+        switch (sizing.positionSizeType) {
+            case 'risk':
+                fractionOf = trade => {
+                    let stopPct = this.riskStopPct;
+                    if (stopPct === null) {
+                        const excursions = this.getTradeExcursions(trade);
+                        stopPct = excursions ? excursions.maePct : null;
+                    }
+                    if (!(stopPct > 0)) {
+                        fallbackTrades++;
+                        return maxFraction;
+                    }
+                    return this.riskPerTradePct / stopPct;
+                };
+                break;
+            case 'volatility': {
+                // 單位報酬: 每日平倉交易的 P&L % 加總 (等同每筆 100% 權益下注)，無交易日為 0
+                const unitReturns = new Map();
+                trades.forEach(trade => {
+                    const key = this.getReportDayKey(trade.parsedDate);
+                    unitReturns.set(key, (unitReturns.get(key) || 0) + tradeReturn(trade));
+                });
+                const firstDay = this.getReportDayKey(new Date(Math.min(...trades.map(entryTime))));
+                const shiftDay = (dayKey, days) => new Date(Date.parse(dayKey + 'T00:00:00Z') + days * 86400000).toISOString().slice(0, 10);
+                const fractionByDay = new Map();
+                fractionOf = trade => {
+                    const entryDay = this.getReportDayKey(new Date(entryTime(trade)));
+                    if (!fractionByDay.has(entryDay)) {
+                        const windowStart = shiftDay(entryDay, -this.volLookbackDays);
+                        let fraction = null;
+                        if (windowStart >= firstDay) {
+                            const recentReturns = this.listDayKeys(windowStart, shiftDay(entryDay, -1)).map(key => unitReturns.get(key) || 0);
+                            const annualVol = this.standardDeviation(recentReturns) * Math.sqrt(this.annualizationFactor);
+                            if (annualVol > 0) fraction = (this.volTargetPct / 100) / annualVol;
+                        }
+                        fractionByDay.set(entryDay, fraction);
+                    }
+                    const fraction = fractionByDay.get(entryDay);
+                    if (fraction === null) warmupTrades++;
+                    return fraction ?? baseFraction;
+                };
+                break;
+            }
+            case 'kelly':
+                fractionOf = trade => {
+                    const closed = closedBefore(trade);
+                    if (closed < this.kellyLookbackTrades) {
+                        warmupTrades++;
+                        return baseFraction;
+                    }
+                    const recentReturns = trades.slice(closed - this.kellyLookbackTrades, closed).map(tradeReturn);
+                    const wins = recentReturns.filter(r => r > 0);
+                    const losses = recentReturns.filter(r => r < 0);
+                    if (losses.length === 0) return wins.length > 0 ? maxFraction : 0;
+                    if (wins.length === 0) return 0;
+                    const winRate = wins.length / recentReturns.length;
+                    const avgWin = wins.reduce((s, r) => s + r, 0) / wins.length;
+                    const avgLoss = Math.abs(losses.reduce((s, r) => s + r, 0) / losses.length);
+                    const kelly = winRate - (1 - winRate) / (avgWin / avgLoss);
+                    // Kelly 值為每筆承擔的權益風險，以平均虧損幅度換算成部位大小
+                    return Math.max(0, kelly) * this.kellyFraction / avgLoss;
+                };
+                break;
+            case 'martingale':
+            case 'antimartingale': {
+                const streakOnLoss = sizing.positionSizeType === 'martingale';
+                fractionOf = trade => {
+                    const closed = closedBefore(trade);
+                    let streak = 0;
+                    for (let i = closed - 1; i >= 0 && streak < this.martingaleMaxSteps; i--) {
+                        const r = tradeReturn(trades[i]);
+                        if (streakOnLoss ? r < 0 : r > 0) streak++; else break;
+                    }
+                    return baseFraction * Math.pow(this.martingaleMultiplier, streak);
+                };
+                break;
+            }
+            default:
+                throw new Error(`❌ 不支援的下注模型: ${sizing.positionSizeType}`);
+        }
+        const fractions = trades.map(trade => {
+            const fraction = Math.max(0, Math.min(maxFraction, fractionOf(trade)));
+            trade.sizingFraction = fraction;
+            return fraction;
+        });
+        sizing.sizingSummary = {
+            avgPct: fractions.reduce((s, f) => s + f, 0) / fractions.length * 100,
+            minPct: Math.min(...fractions) * 100,
+            maxPct: Math.max(...fractions) * 100,
+            cappedTrades: fractions.filter(f => f >= maxFraction).length,
+            warmupTrades,
+            fallbackTrades
+        };
+        const notes = [];
+        if (warmupTrades > 0) notes.push(`暖機 ${warmupTrades} 筆使用 ${sizing.positionSize}%`);
+        if (fallbackTrades > 0) notes.push(`${fallbackTrades} 筆缺少停損距離`);
+        console.log(`📐 下注模型 ${sizing.positionSizeType}: 平均部位 ${sizing.sizingSummary.avgPct.toFixed(1)}% 權益 (${sizing.sizingSummary.minPct.toFixed(1)}% ~ ${sizing.sizingSummary.maxPct.toFixed(1)}%)${notes.length ? `，${notes.join('，')}` : ''}`);
+        return sizing.sizingSummary;
+    }
+
+    describeSizing(sizing = this) {
+        const cap = `單筆上限 ${this.maxPositionPct}% 權益`;
+        let text;
+        switch (sizing.positionSizeType) {
+            case 'fixed':
+                return `固定金額: $${sizing.positionSize} USDT`;
+            case 'percentage':
+                return `滾倉模式: ${sizing.positionSize}% (隨獲利增加下注金額)`;
+            case 'risk':
+                text = `固定比例風險: 每筆風險 ${this.riskPerTradePct}% 權益，停損距離 ${this.riskStopPct === null ? '= 該筆 MAE' : `${this.riskStopPct}%`}，${cap}`;
+                break;
+            case 'volatility':
+                text = `波動率目標: 年化 ${this.volTargetPct}% (回看 ${this.volLookbackDays} 日)，暖機期 ${sizing.positionSize}% 權益，${cap}`;
+                break;
+            case 'kelly':
+                text = `Kelly: ${this.kellyFraction} 倍 Kelly (回看 ${this.kellyLookbackTrades} 筆)，暖機期 ${sizing.positionSize}% 權益，${cap}`;
+                break;
+            default:
+                text = `${sizing.positionSizeType === 'martingale' ? '馬丁格爾 (連虧加碼)' : '反馬丁格爾 (連贏加碼)'}: 基礎 ${sizing.positionSize}% 權益，每階 ×${this.martingaleMultiplier}，最多 ${this.martingaleMaxSteps} 階，${cap}`;
+        }
+        return sizing.sizingSummary ? `${text} (平均部位 ${sizing.sizingSummary.avgPct.toFixed(1)}%)` : text;
+    }
+
+    // 檔名用的簡短下注描述
+    describeSizingShort() {
+        switch (this.positionSizeType) {
+            case 'fixed': return `固定${this.positionSize}U`;
+            case 'percentage': return `滾倉${this.positionSize}%`;
+            case 'risk': return `風險${this.riskPerTradePct}%`;
+            case 'volatility': return `波動目標${this.volTargetPct}%`;
+            case 'kelly': return `Kelly${this.kellyFraction}x`;
+            case 'martingale': return `馬丁${this.martingaleMultiplier}x`;
+            default: return `反馬丁${this.martingaleMultiplier}x`;
+        }
+    }
+
+    describeAllocation() {
+        if (!this.subAccountResult) return '單一資金池 (所有策略共用權益)';
+        const schedule = { none: '不定期', monthly: '每月', quarterly: '每季' }[this.rebalanceSchedule];
+        const threshold = this.rebalanceThreshold > 0 ? `，偏離 > ${this.rebalanceThreshold}% 時再平衡` : '';
+        return `子帳戶模式 (${this.subAccountResult.accounts.length} 個子帳戶，${this.rebalanceSchedule === 'none' ? '不做定期再平衡' : `${schedule}再平衡`}${threshold})`;
+    }
+
     // === 新增：建構日級序列 ===
-    buildDailySeries(trades, initialCapital) {
+    // dateRange { start, end (不含) } 指定時，日曆模式補齊至整個區間，而非只到首末筆交易
+    buildDailySeries(trades, initialCapital, dateRange = null) {
         if (!trades || trades.length === 0) {
             return {
                 dailyRecords: [],
                 dailyReturnPctSeries: [],
                 dailyReturnUSDSeries: [],
+                tradePnLs: [],
                 totalTrades: 0,
                 totalDays: 0,
                 finalEquity: initialCapital
@@ -485,38 +1562,19 @@ class PortfolioHeatmapGenerator {
         let currentEquity = initialCapital;
         const dailyMap = new Map();
         const order = [];
+        const tradePnLs = [];
         for (let i = 0; i < trades.length; i++) {
             const trade = trades[i];
             if (!this.detectedPnlColumn) {
-                const pnlColumns = Object.keys(trade).filter(key =>
-                    ['p&l', 'pnl', 'profit', 'return', '損益', '獲利', '盈虧', 'pl', 'net', 'realized']
-                        .some(k => key.toLowerCase().includes(k.toLowerCase()))
-                );
-                if (pnlColumns.length === 0) throw new Error('❌ 找不到損益欄位');
-                this.detectedPnlColumn = pnlColumns.find(col =>
-                    col.includes('USD') || col.includes('USDT') || !col.includes('%')
-                ) || pnlColumns[0];
+                this.detectedPnlColumn = this.detectPnlColumn(trade);
                 console.log(`💰 使用損益欄位: ${this.detectedPnlColumn}`);
             }
             const dateObj = trade.parsedDate;
-            const dateKey = dateObj.toISOString().split('T')[0];
+            const dateKey = this.getReportDayKey(dateObj);
             const equityAtTradeStart = currentEquity;
-            const positionSize = this.calculatePositionSize(equityAtTradeStart, i);
-            const tvPnLUSD = parseFloat(String(trade[this.detectedPnlColumn] || '0').replace(/,/g, '')) || 0;
-            const tvPnLPercent = parseFloat(String(trade['P&L %'] || '0').replace(/,/g, '')) || 0;
-            let actualPnL;
-            if (tvPnLPercent !== 0) {
-                actualPnL = positionSize * (tvPnLPercent / 100);
-            } else {
-                if (this.positionSizeType === 'fixed') {
-                    actualPnL = tvPnLUSD;
-                } else {
-                    actualPnL = 0;
-                }
-            }
-            const commission = positionSize * this.commissionRate * 2;
-            const netPnL = actualPnL - commission;
+            const { netPnL } = this.calculateTradeNetPnL(trade, equityAtTradeStart);
             currentEquity += netPnL;
+            tradePnLs.push(netPnL);
             if (!dailyMap.has(dateKey)) {
                 dailyMap.set(dateKey, {
                     date: dateKey,
@@ -533,6 +1591,24 @@ class PortfolioHeatmapGenerator {
                 rec.tradeCount += 1;
             }
         }
+        // 日曆模式: 補齊無交易日，權益沿用前一日
+        if (this.dailySeriesMode === 'calendar') {
+            let carryEquity = initialCapital;
+            const rangeStartKey = dateRange ? this.getReportDayKey(dateRange.start) : order[0];
+            const rangeEndKey = dateRange ? this.getReportDayKey(new Date(dateRange.end.getTime() - 1)) : order[order.length - 1];
+            const calendarOrder = this.listDayKeys(
+                rangeStartKey < order[0] ? rangeStartKey : order[0],
+                rangeEndKey > order[order.length - 1] ? rangeEndKey : order[order.length - 1]
+            );
+            calendarOrder.forEach(key => {
+                if (dailyMap.has(key)) {
+                    carryEquity = dailyMap.get(key).endEquity;
+                } else {
+                    dailyMap.set(key, { date: key, startEquity: carryEquity, endEquity: carryEquity, dailyPnL: 0, tradeCount: 0 });
+                }
+            });
+            order.splice(0, order.length, ...calendarOrder);
+        }
         const dailyRecords = order.map(k => {
             const r = dailyMap.get(k);
             const dailyReturnPct = r.startEquity > 0 ? (r.endEquity - r.startEquity) / r.startEquity : 0;
@@ -551,14 +1627,87 @@ class PortfolioHeatmapGenerator {
             dailyRecords,
             dailyReturnPctSeries,
             dailyReturnUSDSeries,
+            tradePnLs,
             totalTrades: trades.length,
             totalDays: dailyRecords.length,
             finalEquity: dailyRecords.length ? dailyRecords[dailyRecords.length - 1].endEquity : initialCapital
         };
     }
 
+    // === 新增：報酬計算口徑 (年化、無風險利率、樣本 / 母體變異數) ===
+    standardDeviation(values) {
+        const n = values.length;
+        const divisor = this.varianceMode === 'sample' ? n - 1 : n;
+        if (divisor <= 0) return 0;
+        const mean = values.reduce((s, v) => s + v, 0) / n;
+        return Math.sqrt(values.reduce((s, v) => s + Math.pow(v - mean, 2), 0) / divisor);
+    }
+
+    // 無風險利率檔: 第一欄日期、第二欄年化利率 (%)，每筆利率沿用到下一個日期為止
+    loadRiskFreeRates() {
+        if (this.riskFreeRates) return this.riskFreeRates;
+        if (!fs.existsSync(this.riskFreeRateFile)) throw new Error(`❌ 找不到無風險利率檔案: ${this.riskFreeRateFile}`);
+        const lines = fs.readFileSync(this.riskFreeRateFile, 'utf8').replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+        const rates = [];
+        lines.forEach(line => {
+            const [rawDate, rawRate] = line.split(/[,\t;]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+            const rate = parseFloat(rawRate);
+            if (!/^\d{4}-\d{2}-\d{2}/.test(rawDate) || !isFinite(rate)) return; // 標題列或無效列
+            rates.push({ date: rawDate.slice(0, 10), rate });
+        });
+        if (rates.length === 0) throw new Error(`❌ 無風險利率檔案中沒有可用的資料: ${this.riskFreeRateFile}`);
+        this.riskFreeRates = rates.sort((a, b) => a.date.localeCompare(b.date));
+        console.log(`🏛️  已載入無風險利率 ${rates.length} 筆 (${rates[0].date} ~ ${rates[rates.length - 1].date})`);
+        return this.riskFreeRates;
+    }
+
+    // 回傳該日的單日無風險報酬 (小數)
+    getDailyRiskFreeRate(dayKey) {
+        if (!this.riskFreeRateFile) return this.riskFreeRate / 100 / this.annualizationFactor;
+        const rates = this.loadRiskFreeRates();
+        let low = 0, high = rates.length - 1, found = rates[0];
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (rates[mid].date <= dayKey) {
+                found = rates[mid];
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found.rate / 100 / this.annualizationFactor;
+    }
+
+    describeReturnConventions() {
+        const factorText = this.annualizationFactor === 1 ? '不年化 (單日)' : `年化因子 ${this.annualizationFactor}`;
+        const riskFreeText = this.riskFreeRateFile ? `無風險利率檔 ${path.basename(this.riskFreeRateFile)}` : `無風險利率 ${this.riskFreeRate}%`;
+        const varianceText = this.varianceMode === 'sample' ? '樣本標準差 (n-1)' : '母體標準差 (n)';
+        return `${factorText}，${riskFreeText}，Sortino 目標 ${this.sortinoTarget}%，${varianceText}`;
+    }
+
+    // 年化 Sharpe (超額報酬) 與 Sortino (以目標報酬為下檔門檻)；無下檔日時 Sortino 可能為 Infinity
+    calculateRiskAdjustedRatios(dailyRecords) {
+        const totalDays = dailyRecords.length;
+        const annualizeRatio = Math.sqrt(this.annualizationFactor);
+        const dailyReturnPctSeries = dailyRecords.map(rec => rec.dailyReturnPct);
+        const excessReturns = dailyRecords.map((rec, i) => dailyReturnPctSeries[i] - this.getDailyRiskFreeRate(rec.date));
+        const avgExcessReturn = excessReturns.reduce((s, r) => s + r, 0) / totalDays;
+        const stdDevPct = this.standardDeviation(excessReturns);
+        const sharpeRatio = stdDevPct === 0 ? 0 : (avgExcessReturn / stdDevPct) * annualizeRatio;
+        const avgReturnPct = dailyReturnPctSeries.reduce((s, r) => s + r, 0) / totalDays;
+        const targetReturn = this.sortinoTarget / 100 / this.annualizationFactor;
+        // 下檔偏差: 未達目標的差額平方和除以全部觀察日數 (高於目標的日子以 0 計入)
+        const shortfallSquares = dailyReturnPctSeries.reduce((s, r) => s + Math.pow(Math.min(0, r - targetReturn), 2), 0);
+        const shortfallDivisor = this.varianceMode === 'sample' ? totalDays - 1 : totalDays;
+        const downsideDev = shortfallDivisor > 0 ? Math.sqrt(shortfallSquares / shortfallDivisor) : 0;
+        const sortinoRatio = downsideDev === 0
+            ? (avgReturnPct > targetReturn ? Infinity : 0)
+            : ((avgReturnPct - targetReturn) / downsideDev) * annualizeRatio;
+        return { sharpeRatio, sortinoRatio };
+    }
+
     // === 修改：改為日級 KPI 計算 ===
-    calculatePeriodStats(periodTrades, initialCapital) {
+    calculatePeriodStats(periodTrades, initialCapital, dateRange = null) {
         if (!periodTrades || periodTrades.length === 0) {
             const nullStats = {};
             Object.keys(this.metricProperties).forEach(key => nullStats[key] = 0);
@@ -569,12 +1718,11 @@ class PortfolioHeatmapGenerator {
         periodTrades.sort((a, b) => a.parsedDate - b.parsedDate);
         const {
             dailyRecords,
-            dailyReturnPctSeries,
             dailyReturnUSDSeries,
             totalTrades,
             totalDays,
             finalEquity
-        } = this.buildDailySeries(periodTrades, initialCapital);
+        } = this.buildDailySeries(periodTrades, initialCapital, dateRange);
         if (totalDays === 0) {
             const nullStats = {};
             Object.keys(this.metricProperties).forEach(key => nullStats[key] = 0);
@@ -582,16 +1730,7 @@ class PortfolioHeatmapGenerator {
             nullStats.numDays = 0;
             return nullStats;
         }
-        const avgReturnPct = dailyReturnPctSeries.reduce((s, r) => s + r, 0) / totalDays;
-        const stdDevPct = Math.sqrt(
-            dailyReturnPctSeries.reduce((s, r) => s + Math.pow(r - avgReturnPct, 2), 0) / totalDays
-        );
-        const sharpeRatio = stdDevPct === 0 ? 0 : (avgReturnPct / stdDevPct);
-        const negativeReturns = dailyReturnPctSeries.filter(r => r < 0);
-        const downsideDev = negativeReturns.length > 0
-            ? Math.sqrt(negativeReturns.reduce((s, r) => s + Math.pow(r, 2), 0) / negativeReturns.length)
-            : 0;
-        const sortinoRatio = downsideDev === 0 ? (avgReturnPct > 0 ? Infinity : 0) : avgReturnPct / downsideDev;
+        const { sharpeRatio, sortinoRatio } = this.calculateRiskAdjustedRatios(dailyRecords);
         const gains = dailyReturnUSDSeries.filter(r => r > 0).reduce((s, r) => s + r, 0);
         const lossesAbs = Math.abs(dailyReturnUSDSeries.filter(r => r < 0).reduce((s, r) => s + r, 0));
         const omegaRatio = lossesAbs === 0 ? (gains > 0 ? Infinity : 1) : gains / lossesAbs;
@@ -647,11 +1786,18 @@ class PortfolioHeatmapGenerator {
 
     generateRectangularHeatmapData() {
         if (!this.periods.length) throw new Error('❌ 請先計算時間週期');
+        // 每格的日序列涵蓋整個週期 (首尾週期以整體交易期間為限)，週期內無交易日同樣計入
+        const dataStart = this.trades[0].parsedDate.getTime();
+        const dataEnd = this.trades[this.trades.length - 1].parsedDate.getTime() + 1;
         const heatmapData = this.periods.map(period => ({
             period: period.index,
-            startDate: period.startDate.toISOString().split('T')[0],
-            endDate: period.endDate.toISOString().split('T')[0],
-            ...this.calculatePeriodStats(period.trades, this.initialCapital)
+            startDate: this.getReportDayKey(period.startDate),
+            // 週期結束為不含邊界，顯示時改為週期內最後一天
+            endDate: this.getReportDayKey(new Date(period.endDate.getTime() - 1)),
+            ...this.calculatePeriodStats(period.trades, this.initialCapital, {
+                start: new Date(Math.max(period.startDate.getTime(), dataStart)),
+                end: new Date(Math.min(period.endDate.getTime(), dataEnd))
+            })
         }));
         const cols = 20;
         const totalPeriods = heatmapData.length;
@@ -689,21 +1835,7 @@ class PortfolioHeatmapGenerator {
         }];
         for (let i = 0; i < this.trades.length; i++) {
             const trade = this.trades[i];
-            const positionSize = this.calculatePositionSize(equity, i);
-            const tvPnLUSD = parseFloat(String(trade[this.detectedPnlColumn]).replace(/,/g, '')) || 0;
-            const tvPnLPercent = parseFloat(String(trade['P&L %'] || '').replace(/,/g, '')) || 0;
-            let actualPnL;
-            if (tvPnLPercent !== 0) {
-                actualPnL = positionSize * (tvPnLPercent / 100);
-            } else {
-                if (this.positionSizeType === 'fixed') {
-                    actualPnL = tvPnLUSD;
-                } else {
-                    actualPnL = 0;
-                }
-            }
-            const commission = positionSize * this.commissionRate * 2;
-            const netPnL = actualPnL - commission;
+            const { netPnL } = this.calculateTradeNetPnL(trade, equity);
             equity += netPnL;
             equityData.push({
                 x: trade.parsedDate.getTime(),
@@ -719,23 +1851,9 @@ class PortfolioHeatmapGenerator {
         const returns = [];
         for (let i = 0; i < this.trades.length; i++) {
             const trade = this.trades[i];
-            const positionSize = this.calculatePositionSize(currentEquity, i);
-            const tvPnLUSD = parseFloat(String(trade[this.detectedPnlColumn] || '0').replace(/,/g, '')) || 0;
-            const tvPnLPercent = parseFloat(String(trade['P&L %'] || '0').replace(/,/g, '')) || 0;
-            let actualPnL;
-            if (tvPnLPercent !== 0) {
-                actualPnL = positionSize * (tvPnLPercent / 100);
-            } else {
-                if (this.positionSizeType === 'fixed') {
-                    actualPnL = tvPnLUSD;
-                } else {
-                    actualPnL = 0;
-                }
-            }
-            const commission = positionSize * this.commissionRate * 2;
-            const netPnL = actualPnL - commission;
+            const { netPnL } = this.calculateTradeNetPnL(trade, currentEquity);
             returns.push(netPnL);
-            if (this.positionSizeType === 'percentage') {
+            if (this.positionSizeType !== 'fixed') {
                 currentEquity += netPnL;
             }
         }
@@ -815,23 +1933,613 @@ class PortfolioHeatmapGenerator {
         return Math.max(0, Math.round((b - a) / (1000 * 60 * 60 * 24)));
     }
 
-    // === 新增：由日級權益生成 Drawdown 事件 ===
-    generateDrawdownEventsFromDaily(dailyRecords) {
-        if (!dailyRecords || dailyRecords.length === 0) return [];
-        let peakEquity = dailyRecords[0].endEquity;
-        let peakDate = dailyRecords[0].date;
-        let currentDrawdown = null;
-        const events = [];
-        for (let i = 0; i < dailyRecords.length; i++) {
-            const rec = dailyRecords[i];
-            const eq = rec.endEquity;
-            const date = rec.date;
+    // === 新增：列出兩個交易日之間 (含頭尾) 的所有日期 ===
+    listDayKeys(startKey, endKey) {
+        const keys = [];
+        const end = new Date(endKey + 'T00:00:00Z');
+        for (let d = new Date(startKey + 'T00:00:00Z'); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+            keys.push(d.toISOString().split('T')[0]);
+        }
+        return keys;
+    }
+
+    pearsonCorrelation(seriesA, seriesB) {
+        const n = Math.min(seriesA.length, seriesB.length);
+        if (n < 2) return 0;
+        const meanA = seriesA.slice(0, n).reduce((s, v) => s + v, 0) / n;
+        const meanB = seriesB.slice(0, n).reduce((s, v) => s + v, 0) / n;
+        let cov = 0, varA = 0, varB = 0;
+        for (let i = 0; i < n; i++) {
+            cov += (seriesA[i] - meanA) * (seriesB[i] - meanB);
+            varA += Math.pow(seriesA[i] - meanA, 2);
+            varB += Math.pow(seriesB[i] - meanB, 2);
+        }
+        return varA === 0 || varB === 0 ? 0 : cov / Math.sqrt(varA * varB);
+    }
+
+    // === 新增：依分組鍵彙總交易 (策略 / 多空 / 信號分項共用) ===
+    // KPI 為該組交易單獨以 capitalOf(key) (預設初始資金) 運行的結果；貢獻與權益疊圖則使用組合中實際歸屬的每筆淨損益
+    buildTradeSegments(tradePnLs, keyOf, capitalOf = () => this.initialCapital) {
+        const segmentMap = new Map();
+        this.trades.forEach((trade, i) => {
+            const key = keyOf(trade);
+            if (!segmentMap.has(key)) segmentMap.set(key, { key, trades: [], attributedPnLs: [] });
+            const segment = segmentMap.get(key);
+            segment.trades.push(trade);
+            segment.attributedPnLs.push(tradePnLs[i] || 0);
+        });
+        const totalNetPnL = tradePnLs.reduce((s, v) => s + v, 0);
+        const firstX = this.trades[0].parsedDate.getTime() - 1;
+        return Array.from(segmentMap.values()).map(segment => {
+            const netPnL = segment.attributedPnLs.reduce((s, v) => s + v, 0);
+            let cumulative = 0;
+            const equityCurve = [{ x: firstX, y: this.initialCapital }];
+            segment.trades.forEach((trade, i) => {
+                cumulative += segment.attributedPnLs[i];
+                equityCurve.push({ x: trade.parsedDate.getTime(), y: parseFloat((this.initialCapital + cumulative).toFixed(2)) });
+            });
+            return {
+                ...segment,
+                netPnL,
+                contributionPct: totalNetPnL !== 0 ? (netPnL / Math.abs(totalNetPnL)) * 100 : 0,
+                tradeWinRate: (segment.attributedPnLs.filter(v => v > 0).length / segment.trades.length) * 100,
+                stats: this.calculatePeriodStats([...segment.trades], capitalOf(segment.key)),
+                equityCurve
+            };
+        });
+    }
+
+    // === 新增：各策略 (來源檔案) 分項績效 ===
+    generateStrategyBreakdown(tradePnLs) {
+        if (!this.trades || this.trades.length === 0) return { strategies: [], correlationMatrix: [] };
+        const dayKeys = this.listDayKeys(
+            this.getReportDayKey(this.trades[0].parsedDate),
+            this.getReportDayKey(this.trades[this.trades.length - 1].parsedDate)
+        );
+        // 子帳戶模式下每筆損益以子帳戶權益計算，KPI 也以該子帳戶的起始資金為基準
+        const legCapital = fileName => {
+            const account = this.subAccountResult && this.subAccountResult.accounts.find(a => a.fileName === fileName);
+            return account ? account.startCapital : this.initialCapital;
+        };
+        const strategies = this.buildTradeSegments(tradePnLs, trade => trade.sourceFile, legCapital).map(leg => {
+            const { strategyName, symbol } = leg.trades[0];
+            const dailyPnLMap = new Map();
+            leg.trades.forEach((trade, i) => {
+                const dayKey = this.getReportDayKey(trade.parsedDate);
+                dailyPnLMap.set(dayKey, (dailyPnLMap.get(dayKey) || 0) + leg.attributedPnLs[i]);
+            });
+            return {
+                label: symbol && symbol !== 'N/A' ? `${strategyName} (${symbol})` : strategyName,
+                sourceFile: leg.key,
+                strategyName,
+                symbol,
+                netPnL: leg.netPnL,
+                contributionPct: leg.contributionPct,
+                stats: leg.stats,
+                equityCurve: leg.equityCurve,
+                dailyPnLSeries: dayKeys.map(key => dailyPnLMap.get(key) || 0)
+            };
+        });
+        const correlationMatrix = strategies.map(a =>
+            strategies.map(b => a === b ? 1 : this.pearsonCorrelation(a.dailyPnLSeries, b.dailyPnLSeries))
+        );
+        console.log(`🧩 策略分項: ${strategies.length} 個策略，日損益相關矩陣 ${strategies.length}×${strategies.length}`);
+        return { strategies, correlationMatrix };
+    }
+
+    // === 新增：多空與進場信號分項績效 ===
+    // 信號以開倉的第一筆進場信號歸類 (加碼信號不另計)；缺少進場列時退回出場信號
+    generateSideSignalBreakdown(tradePnLs) {
+        if (!this.trades || this.trades.length === 0) return null;
+        const sideLabels = { long: '做多 (Long)', short: '做空 (Short)' };
+        const signalOf = trade => (trade.entrySignals || trade.exitSignals || 'N/A').split(' / ')[0];
+        const toSegment = segment => ({
+            label: segment.key,
+            numTrades: segment.trades.length,
+            netPnL: segment.netPnL,
+            contributionPct: segment.contributionPct,
+            tradeWinRate: segment.tradeWinRate,
+            stats: segment.stats,
+            equityCurve: segment.equityCurve,
+            tradePnLs: segment.attributedPnLs
+        });
+        const sides = this.buildTradeSegments(tradePnLs, trade => trade.side)
+            .map(toSegment)
+            .map(segment => ({ ...segment, label: sideLabels[segment.label] || segment.label }))
+            .sort((a, b) => a.label.localeCompare(b.label));
+        const signals = this.buildTradeSegments(tradePnLs, signalOf)
+            .map(toSegment)
+            .sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }));
+
+        // 共用等寬區間，讓各組的損益分佈可以直接疊圖比較
+        const binCount = 30;
+        const minPnL = Math.min(...tradePnLs);
+        const maxPnL = Math.max(...tradePnLs);
+        const binWidth = (maxPnL - minPnL) / binCount || 1;
+        const pnlBins = Array.from({ length: binCount }, (_, i) => {
+            const center = minPnL + (i + 0.5) * binWidth;
+            return { label: `$${center.toFixed(Math.abs(center) >= 100 ? 0 : 1)}`, start: minPnL + i * binWidth, end: minPnL + (i + 1) * binWidth };
+        });
+        const histogram = pnls => {
+            const counts = new Array(binCount).fill(0);
+            pnls.forEach(pnl => counts[Math.min(binCount - 1, Math.max(0, Math.floor((pnl - minPnL) / binWidth)))]++);
+            return counts.map(count => parseFloat(((count / pnls.length) * 100).toFixed(2)));
+        };
+        [...sides, ...signals].forEach(segment => {
+            segment.pnlHistogram = histogram(segment.tradePnLs);
+            delete segment.tradePnLs;
+        });
+        console.log(`↕️  多空分項: ${sides.map(s => `${s.label} ${s.numTrades} 筆`).join('，')}；信號分項: ${signals.length} 種進場信號`);
+        return { sides, signals, pnlBins };
+    }
+
+    // === 新增：MAE / MFE 分析 (最大不利 / 有利偏移) ===
+    // 偏移以百分比 (相對進場名目) 表示；缺少百分比欄位時以 USD / (進場均價 × 數量) 換算
+    getTradeExcursions(trade) {
+        const toNumber = value => parseFloat(String(value ?? '').replace(/[,%]/g, ''));
+        const findValue = patterns => {
+            const key = Object.keys(trade).find(k => patterns.some(p => p.test(k)));
+            return key ? toNumber(trade[key]) : NaN;
+        };
+        let mfePct = findValue([/^最大交易獲利\s*%/, /^run-?up\s*%/i]);
+        let maePct = findValue([/^最大交易虧損\s*%/, /^drawdown\s*%/i]);
+        const notional = trade.entryPrice * trade.quantity;
+        if (isNaN(mfePct) && notional > 0) mfePct = (findValue([/^最大交易獲利\s*USD/, /^run-?up\s*USD/i]) / notional) * 100;
+        if (isNaN(maePct) && notional > 0) maePct = (findValue([/^最大交易虧損\s*USD/, /^drawdown\s*USD/i]) / notional) * 100;
+        if (isNaN(mfePct) || isNaN(maePct)) return null;
+        return { mfePct: Math.abs(mfePct), maePct: Math.abs(maePct), finalPct: toNumber(trade['P&L %']) || 0 };
+    }
+
+    // 假設性停損 / 停利: 觸及停損即以 -S% 出場 (同時觸及停利時保守假設先停損)，觸及停利即以 +T% 出場
+    simulateExitRule(excursions, stopLossPct, takeProfitPct) {
+        const modifiedTrades = this.trades.map((trade, i) => {
+            const { mfePct, maePct, finalPct } = excursions[i];
+            let pct = finalPct;
+            if (stopLossPct !== null && maePct >= stopLossPct) pct = -stopLossPct;
+            else if (takeProfitPct !== null && mfePct >= takeProfitPct) pct = takeProfitPct;
+            const originalUSD = parseFloat(String(trade[this.detectedPnlColumn] || '0').replace(/,/g, '')) || 0;
+            return {
+                ...trade,
+                subAccountPnL: undefined,
+                'P&L %': pct,
+                [this.detectedPnlColumn]: finalPct !== 0 ? originalUSD * (pct / finalPct) : 0
+            };
+        });
+        const { tradePnLs } = this.buildDailySeries(modifiedTrades, this.initialCapital);
+        const stats = this.calculatePeriodStats(modifiedTrades, this.initialCapital);
+        return {
+            netPnL: tradePnLs.reduce((s, v) => s + v, 0),
+            tradeWinRate: (tradePnLs.filter(v => v > 0).length / tradePnLs.length) * 100,
+            sharpeRatio: stats.sharpeRatio,
+            mdd: stats.mdd,
+            affectedTrades: modifiedTrades.filter((trade, i) => trade['P&L %'] !== excursions[i].finalPct).length
+        };
+    }
+
+    generateExcursionAnalysis(tradePnLs) {
+        if (!this.trades || this.trades.length === 0) return null;
+        const excursions = this.trades.map(trade => this.getTradeExcursions(trade));
+        if (excursions.some(e => e === null)) {
+            console.log('ℹ️  交易資料缺少最大交易獲利 / 虧損欄位，略過 MAE / MFE 分析');
+            return null;
+        }
+        const points = excursions.map((e, i) => ({
+            mae: parseFloat(e.maePct.toFixed(4)),
+            mfe: parseFloat(e.mfePct.toFixed(4)),
+            pnl: parseFloat(e.finalPct.toFixed(4)),
+            win: (tradePnLs[i] || 0) > 0
+        }));
+        const mean = values => values.length > 0 ? values.reduce((s, v) => s + v, 0) / values.length : 0;
+        const edgeRatio = (from, to) => {
+            const slice = excursions.slice(from, to);
+            const avgMae = mean(slice.map(e => e.maePct));
+            return avgMae === 0 ? null : mean(slice.map(e => e.mfePct)) / avgMae;
+        };
+        const windowSize = Math.min(this.edgeRatioWindow, this.trades.length);
+        const edgeRatioSeries = this.trades.map((trade, i) => {
+            const rolling = i + 1 >= windowSize ? edgeRatio(i + 1 - windowSize, i + 1) : null;
+            return {
+                x: trade.parsedDate.getTime(),
+                cumulative: edgeRatio(0, i + 1),
+                rolling
+            };
+        });
+        const winners = excursions.filter((e, i) => (tradePnLs[i] || 0) > 0);
+        const losers = excursions.filter((e, i) => (tradePnLs[i] || 0) <= 0);
+
+        // 預設假設水位取自 MAE / MFE 分佈的分位數
+        const quantileLevels = values => {
+            const sorted = [...values].filter(v => v > 0).sort((a, b) => a - b);
+            if (sorted.length === 0) return [];
+            return Array.from(new Set([25, 50, 75, 90, 95].map(p => parseFloat(this.percentile(sorted, p).toPrecision(2))))).filter(v => v > 0);
+        };
+        const stopLevels = this.whatIfStopLevels || quantileLevels(excursions.map(e => e.maePct));
+        const takeProfitLevels = this.whatIfTakeProfitLevels || quantileLevels(excursions.map(e => e.mfePct));
+        const baseline = this.simulateExitRule(excursions, null, null);
+        const whatIf = [
+            ...stopLevels.map(level => ({ rule: 'stopLoss', level, ...this.simulateExitRule(excursions, level, null) })),
+            ...takeProfitLevels.map(level => ({ rule: 'takeProfit', level, ...this.simulateExitRule(excursions, null, level) }))
+        ];
+        const overallEdgeRatio = edgeRatio(0, excursions.length);
+        console.log(`🎯 MAE/MFE: Edge Ratio ${overallEdgeRatio === null ? 'N/A' : overallEdgeRatio.toFixed(3)}，假設情境 ${whatIf.length} 組`);
+        return {
+            points,
+            edgeRatio: overallEdgeRatio,
+            edgeRatioWindow: windowSize,
+            edgeRatioSeries,
+            avgMaePct: mean(excursions.map(e => e.maePct)),
+            avgMfePct: mean(excursions.map(e => e.mfePct)),
+            winnerAvgMaePct: mean(winners.map(e => e.maePct)),
+            loserAvgMaePct: mean(losers.map(e => e.maePct)),
+            // 獲利交易最終實現的報酬佔其最大有利偏移的比例
+            winnerMfeCapture: mean(winners.filter(e => e.mfePct > 0).map(e => (e.finalPct / e.mfePct) * 100)),
+            baseline,
+            whatIf
+        };
+    }
+
+    // === 新增：清算統計 (依 MAE 判斷是否觸及清算價，以及距離清算有多近) ===
+    generateLiquidationAnalysis() {
+        if (!this.isLeverageModelled() || !this.trades || this.trades.length === 0) return null;
+        let equity = this.initialCapital;
+        const perTrade = this.trades.map(trade => {
+            const result = this.calculateTradeNetPnL(trade, equity);
+            equity += result.netPnL;
+            return result.liquidation ? { ...result.liquidation, netPnL: result.netPnL, positionSize: result.positionSize } : null;
+        });
+        const checked = perTrade.filter(Boolean);
+        const known = checked.filter(row => row.usagePct !== null);
+        const liquidated = checked.filter(row => row.liquidated);
+        const worstTrades = perTrade
+            .map((row, i) => row && row.usagePct !== null ? { ...row, trade: this.trades[i] } : null)
+            .filter(Boolean)
+            .sort((a, b) => b.usagePct - a.usagePct)
+            .slice(0, 10)
+            .map(row => ({
+                tradeNumber: row.trade.tradeNumber,
+                strategyName: row.trade.strategyName,
+                side: row.trade.side,
+                exitTime: this.formatReportDateTime(row.trade.parsedDate),
+                positionSize: row.positionSize,
+                maePct: row.maePct,
+                distancePct: row.distancePct,
+                usagePct: row.usagePct,
+                liquidated: row.liquidated,
+                netPnL: row.netPnL
+            }));
+        // 保證金使用率 (MAE / 清算距離) 分佈，每 10% 一格，≥ 100% 為清算
+        const usageBins = Array.from({ length: 11 }, (_, i) => ({ label: i < 10 ? `${i * 10}-${i * 10 + 10}%` : '≥100% (清算)', count: 0 }));
+        known.forEach(row => { usageBins[Math.min(10, Math.floor(row.usagePct / 10))].count++; });
+        return {
+            perTrade,
+            checkedTrades: checked.length,
+            unknownTrades: checked.length - known.length,
+            liquidations: liquidated.length,
+            liquidationLoss: liquidated.reduce((s, row) => s - row.netPnL, 0),
+            nearMisses: known.filter(row => !row.liquidated && row.usagePct >= 80).length,
+            maxUsagePct: known.length > 0 ? Math.max(...known.map(row => row.usagePct)) : null,
+            minDistancePct: checked.length > 0 ? Math.min(...checked.map(row => row.distancePct)) : null,
+            worstTrades,
+            usageBins
+        };
+    }
+
+    // === 新增：季節性分析 (時段 × 星期、月份 × 年份) ===
+    // 時段與星期依報告時區的出場時鐘時間歸類；月份依交易日 (含換日設定) 歸類
+    generateSeasonalityData(tradePnLs, chosenMetric) {
+        if (!this.trades || this.trades.length === 0) return null;
+        const weekdayNames = ['週日', '週一', '週二', '週三', '週四', '週五', '週六'];
+        const weekdayOrder = this.weekStart === 'sunday' ? [0, 1, 2, 3, 4, 5, 6] : [1, 2, 3, 4, 5, 6, 0];
+        const hourWeekday = new Map();
+        const monthYear = new Map();
+        const addTo = (map, key, trade, pnl) => {
+            if (!map.has(key)) map.set(key, { trades: [], netPnL: 0 });
+            const bucket = map.get(key);
+            bucket.trades.push(trade);
+            bucket.netPnL += pnl;
+        };
+        this.trades.forEach((trade, i) => {
+            const wall = new Date(trade.parsedDate.getTime() + this.getTimezoneOffsetMinutes(this.reportTimezone, trade.parsedDate) * 60000);
+            addTo(hourWeekday, `${wall.getUTCDay()}-${wall.getUTCHours()}`, trade, tradePnLs[i] || 0);
+            const [year, month] = this.getReportDayKey(trade.parsedDate).split('-');
+            addTo(monthYear, `${year}-${parseInt(month)}`, trade, tradePnLs[i] || 0);
+        });
+        const toCell = bucket => {
+            if (!bucket) return { numTrades: 0, netPnL: 0, value: null };
+            const stats = this.calculatePeriodStats([...bucket.trades], this.initialCapital);
+            return { numTrades: bucket.trades.length, netPnL: bucket.netPnL, value: stats[chosenMetric] };
+        };
+        const hours = Array.from({ length: 24 }, (_, h) => h);
+        const hourGrid = {
+            rowLabels: weekdayOrder.map(d => weekdayNames[d]),
+            colLabels: hours.map(h => `${String(h).padStart(2, '0')}`),
+            cells: weekdayOrder.map(d => hours.map(h => toCell(hourWeekday.get(`${d}-${h}`))))
+        };
+        const years = Array.from(new Set(Array.from(monthYear.keys()).map(key => key.split('-')[0]))).sort();
+        const months = Array.from({ length: 12 }, (_, m) => m + 1);
+        const monthGrid = {
+            rowLabels: years,
+            colLabels: months.map(m => `${m}月`),
+            cells: years.map(year => months.map(month => toCell(monthYear.get(`${year}-${month}`))))
+        };
+        const slots = [];
+        hourGrid.cells.forEach((row, r) => row.forEach((cell, c) => {
+            if (cell.numTrades > 0) slots.push({ label: `${hourGrid.rowLabels[r]} ${hourGrid.colLabels[c]}:00`, ...cell });
+        }));
+        slots.sort((a, b) => b.netPnL - a.netPnL);
+        console.log(`🕐 季節性分析: ${slots.length} 個有交易的時段，${years.length} 個年份`);
+        return {
+            metric: chosenMetric,
+            timezone: this.parseTimezone(this.reportTimezone).name,
+            hourGrid,
+            monthGrid,
+            bestSlots: slots.slice(0, 5),
+            worstSlots: slots.slice(-5).reverse()
+        };
+    }
+
+    // === 新增：讀取本地 OHLCV CSV (買入持有基準) ===
+    // 時間欄可為 Unix 秒 / 毫秒、日期或日期時間字串；僅需收盤價欄位，開盤價用於基準起點
+    readOhlcvFile(filePath) {
+        const lines = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+        if (lines.length < 2) throw new Error(`❌ 基準檔案沒有資料: ${filePath}`);
+        const separator = [',', '\t', ';'].find(sep => lines[0].includes(sep)) || ',';
+        const splitLine = line => line.split(separator).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+        const header = splitLine(lines[0]).map(h => h.toLowerCase());
+        const timeIndex = header.findIndex(h => /^(time|date|datetime|timestamp|open[ _]?time|日期|時間)/.test(h));
+        const closeIndex = header.findIndex(h => /^(close|收盤)/.test(h));
+        const openIndex = header.findIndex(h => /^(open|開盤)$/.test(h));
+        if (timeIndex < 0 || closeIndex < 0) {
+            throw new Error(`❌ 基準檔案需包含時間與收盤價欄位 (time/date, close)，實際欄位: ${header.join(', ')}`);
+        }
+        const bars = [];
+        lines.slice(1).forEach(line => {
+            const cells = splitLine(line);
+            const close = parseFloat(cells[closeIndex]);
+            const rawTime = cells[timeIndex];
+            if (!rawTime || !isFinite(close) || close <= 0) return;
+            let dayKey, time;
+            if (/^\d+(\.\d+)?$/.test(rawTime)) {
+                const epoch = parseFloat(rawTime);
+                time = epoch > 1e11 ? epoch : epoch * 1000;
+                dayKey = this.getReportDayKey(new Date(time));
+            } else if (/^\d{4}-\d{2}-\d{2}$/.test(rawTime)) {
+                // 純日期視為報告時區中的該交易日
+                dayKey = rawTime;
+                time = this.fromReportWallClock(new Date(rawTime + 'T00:00:00Z')).getTime();
+            } else {
+                const date = this.parseDateTime(rawTime);
+                if (isNaN(date.getTime())) return;
+                time = date.getTime();
+                dayKey = this.getReportDayKey(date);
+            }
+            const open = openIndex >= 0 ? parseFloat(cells[openIndex]) : NaN;
+            bars.push({ time, dayKey, open: isFinite(open) && open > 0 ? open : close, close });
+        });
+        if (bars.length === 0) throw new Error(`❌ 基準檔案中沒有可用的 K 線: ${filePath}`);
+        return bars.sort((a, b) => a.time - b.time);
+    }
+
+    // 基準路徑可為檔案，或資料夾 (依 parseFileName() 解析出的交易對自動尋找)
+    resolveBenchmarkFile() {
+        const benchmarkPath = path.resolve(this.benchmarkPath);
+        if (!fs.existsSync(benchmarkPath)) throw new Error(`❌ 找不到基準檔案或資料夾: ${this.benchmarkPath}`);
+        if (!fs.statSync(benchmarkPath).isDirectory()) return benchmarkPath;
+        const symbols = Array.from(this.portfolioInfo.symbols).filter(s => s && s !== 'N/A');
+        if (symbols.length === 0) throw new Error('❌ 無法從檔名解析交易對，請直接指定基準 CSV 檔案');
+        const candidates = fs.readdirSync(benchmarkPath).filter(file => path.extname(file).toLowerCase() === '.csv');
+        for (const symbol of symbols) {
+            const names = [symbol, symbol.replace(/\.P$/i, '')].map(s => s.toUpperCase());
+            const match = candidates.find(file => names.some(name => path.basename(file, '.csv').toUpperCase().includes(name)));
+            if (match) {
+                if (symbols.length > 1) console.log(`ℹ️  組合含多個交易對，基準使用 ${symbol}`);
+                return path.join(benchmarkPath, match);
+            }
+        }
+        throw new Error(`❌ 在 "${this.benchmarkPath}" 中找不到 ${symbols.join(' / ')} 的 OHLCV 檔案`);
+    }
+
+    // === 新增：買入持有基準比較 ===
+    // 基準權益 = 初始資金全額買入持有；報酬序列對齊 buildDailySeries() 的日網格
+    generateBenchmarkComparison(dailyRecords) {
+        if (!this.benchmarkPath || !dailyRecords || dailyRecords.length < 2) return null;
+        const filePath = this.resolveBenchmarkFile();
+        const bars = this.readOhlcvFile(filePath);
+        const closeByDay = new Map();
+        bars.forEach(bar => closeByDay.set(bar.dayKey, bar.close));
+        const firstDay = dailyRecords[0].date;
+        const lastDay = dailyRecords[dailyRecords.length - 1].date;
+        const firstBar = bars.find(bar => bar.dayKey >= firstDay);
+        if (!firstBar || firstBar.dayKey > lastDay) {
+            throw new Error(`❌ 基準檔案 (${bars[0].dayKey} ~ ${bars[bars.length - 1].dayKey}) 未涵蓋交易期間 ${firstDay} ~ ${lastDay}`);
+        }
+        if (firstBar.dayKey > firstDay || bars[bars.length - 1].dayKey < lastDay) {
+            console.log(`⚠️  基準資料僅涵蓋 ${bars[0].dayKey} ~ ${bars[bars.length - 1].dayKey}，缺漏日期沿用最近收盤價`);
+        }
+        const priorBars = bars.filter(bar => bar.dayKey < firstDay);
+        const baseClose = priorBars.length > 0 ? priorBars[priorBars.length - 1].close : firstBar.open;
+
+        // 依日網格取每日收盤 (無資料日沿用前值)
+        const sortedDays = Array.from(closeByDay.keys()).sort();
+        let cursor = 0;
+        let lastClose = baseClose;
+        const gridCloses = dailyRecords.map(rec => {
+            while (cursor < sortedDays.length && sortedDays[cursor] <= rec.date) {
+                lastClose = closeByDay.get(sortedDays[cursor]);
+                cursor++;
+            }
+            return lastClose;
+        });
+        const strategyReturns = dailyRecords.map(rec => rec.dailyReturnPct);
+        const benchmarkReturns = gridCloses.map((close, i) => close / (i === 0 ? baseClose : gridCloses[i - 1]) - 1);
+
+        const n = strategyReturns.length;
+        const mean = series => series.reduce((s, v) => s + v, 0) / series.length;
+        const riskFreeReturns = dailyRecords.map(rec => this.getDailyRiskFreeRate(rec.date));
+        const meanS = mean(strategyReturns);
+        const meanB = mean(benchmarkReturns);
+        const meanRf = mean(riskFreeReturns);
+        let cov = 0, varB = 0;
+        for (let i = 0; i < n; i++) {
+            cov += (strategyReturns[i] - meanS) * (benchmarkReturns[i] - meanB);
+            varB += Math.pow(benchmarkReturns[i] - meanB, 2);
+        }
+        const beta = varB === 0 ? 0 : cov / varB;
+        const correlation = this.pearsonCorrelation(strategyReturns, benchmarkReturns);
+        const durationInYears = (this.diffDays(firstDay, lastDay) + 1) / 365.25;
+        // Jensen's alpha: 超額報酬扣除 Beta 解釋的部分，依年化因子換算
+        const alpha = ((meanS - meanRf) - beta * (meanB - meanRf)) * this.annualizationFactor * 100;
+        const activeReturns = strategyReturns.map((r, i) => r - benchmarkReturns[i]);
+        const meanActive = mean(activeReturns);
+        const activeStdDev = this.standardDeviation(activeReturns);
+        const trackingError = activeStdDev * Math.sqrt(this.annualizationFactor);
+        const informationRatio = activeStdDev === 0 ? 0 : (meanActive / activeStdDev) * Math.sqrt(this.annualizationFactor);
+        const capture = predicate => {
+            const idx = benchmarkReturns.map((r, i) => predicate(r) ? i : -1).filter(i => i >= 0);
+            if (idx.length === 0) return null;
+            const benchmarkMean = mean(idx.map(i => benchmarkReturns[i]));
+            return benchmarkMean === 0 ? null : (mean(idx.map(i => strategyReturns[i])) / benchmarkMean) * 100;
+        };
+
+        // 基準自身績效 (與策略相同的報酬口徑)
+        const benchmarkExcess = benchmarkReturns.map((r, i) => r - riskFreeReturns[i]);
+        const stdB = this.standardDeviation(benchmarkExcess);
+        const finalRatio = gridCloses[n - 1] / baseClose;
+        let peak = 1, maxDrawdown = 0;
+        gridCloses.forEach(close => {
+            const ratio = close / baseClose;
+            if (ratio > peak) peak = ratio;
+            maxDrawdown = Math.max(maxDrawdown, (peak - ratio) / peak);
+        });
+        const benchmarkStats = {
+            totalReturnPct: (finalRatio - 1) * 100,
+            annualReturn: durationInYears > 0 ? (Math.pow(finalRatio, 1 / durationInYears) - 1) * 100 : 0,
+            mdd: maxDrawdown * 100,
+            sharpeRatio: stdB === 0 ? 0 : ((meanB - meanRf) / stdB) * Math.sqrt(this.annualizationFactor)
+        };
+
+        const equityCurve = [{ x: this.trades[0].parsedDate.getTime() - 1, y: this.initialCapital }];
+        bars.filter(bar => bar.dayKey >= firstDay && bar.dayKey <= lastDay).forEach(bar => {
+            const last = equityCurve[equityCurve.length - 1];
+            const point = { x: bar.time, y: parseFloat((this.initialCapital * bar.close / baseClose).toFixed(2)) };
+            // 日內 K 線只保留每日最後一根
+            if (equityCurve.length > 1 && this.getReportDayKey(new Date(last.x)) === bar.dayKey) equityCurve[equityCurve.length - 1] = point;
+            else equityCurve.push(point);
+        });
+
+        const label = path.basename(filePath, path.extname(filePath));
+        console.log(`📈 基準 ${label}: 買入持有 ${benchmarkStats.totalReturnPct.toFixed(2)}%，Beta ${beta.toFixed(3)}，相關係數 ${correlation.toFixed(3)}`);
+        return {
+            label,
+            sourceFile: path.basename(filePath),
+            range: `${firstDay} ~ ${lastDay}`,
+            numDays: n,
+            alpha,
+            beta,
+            correlation,
+            trackingError: trackingError * 100,
+            informationRatio,
+            upCapture: capture(r => r > 0),
+            downCapture: capture(r => r < 0),
+            benchmarkStats,
+            equityCurve
+        };
+    }
+
+    // === 新增：滾動視窗指標 (以日序列的 N 日視窗逐日滑動) ===
+    generateRollingMetrics(dailyRecords) {
+        const windowDays = this.rollingWindowDays;
+        if (!dailyRecords || dailyRecords.length < windowDays) {
+            console.log(`ℹ️  日序列僅 ${dailyRecords ? dailyRecords.length : 0} 天，不足滾動視窗 ${windowDays} 天，略過滾動指標`);
+            return null;
+        }
+        const points = [];
+        for (let end = windowDays - 1; end < dailyRecords.length; end++) {
+            const windowRecords = dailyRecords.slice(end - windowDays + 1, end + 1);
+            const { sharpeRatio, sortinoRatio } = this.calculateRiskAdjustedRatios(windowRecords);
+            const volatility = this.standardDeviation(windowRecords.map(rec => rec.dailyReturnPct)) * Math.sqrt(this.annualizationFactor) * 100;
+            const winRate = (windowRecords.filter(rec => rec.dailyPnL > 0).length / windowDays) * 100;
+            // 視窗內回撤以視窗起點權益為初始高點
+            let peak = windowRecords[0].startEquity;
+            let mdd = 0;
+            windowRecords.forEach(rec => {
+                if (rec.endEquity > peak) peak = rec.endEquity;
+                if (peak > 0) mdd = Math.max(mdd, (peak - rec.endEquity) / peak * 100);
+            });
+            points.push({
+                date: dailyRecords[end].date,
+                sharpeRatio,
+                sortinoRatio: isFinite(sortinoRatio) ? sortinoRatio : null,
+                volatility,
+                winRate,
+                mdd
+            });
+        }
+        // Sharpe 由非負轉為負的日期，最後一次即目前低於 0 的起點
+        const crossBelowZero = points.filter((point, i) => i > 0 && point.sharpeRatio < 0 && points[i - 1].sharpeRatio >= 0).map(point => point.date);
+        const latest = points[points.length - 1];
+        const sharpeValues = points.map(point => point.sharpeRatio);
+        return {
+            windowDays,
+            points,
+            latest,
+            minSharpe: Math.min(...sharpeValues),
+            maxSharpe: Math.max(...sharpeValues),
+            belowZeroPct: (sharpeValues.filter(v => v < 0).length / points.length) * 100,
+            crossBelowZero,
+            belowZeroSince: latest.sharpeRatio < 0 ? (crossBelowZero[crossBelowZero.length - 1] || points[0].date) : null
+        };
+    }
+
+    // === 新增：月報酬表 (年份 × 月份) ===
+    // 由日級權益複利計算每月報酬；年度最大回撤以該年起始權益為初始高點
+    generateMonthlyReturns(dailyRecords) {
+        if (!dailyRecords || dailyRecords.length === 0) return null;
+        const yearMap = new Map();
+        dailyRecords.forEach(rec => {
+            const [year, month] = rec.date.split('-');
+            if (!yearMap.has(year)) {
+                yearMap.set(year, { year, monthGrowth: new Array(12).fill(null), ytdGrowth: 1, peak: rec.startEquity, maxDrawdown: 0 });
+            }
+            const row = yearMap.get(year);
+            const m = parseInt(month) - 1;
+            row.monthGrowth[m] = (row.monthGrowth[m] ?? 1) * (1 + rec.dailyReturnPct);
+            row.ytdGrowth *= 1 + rec.dailyReturnPct;
+            if (rec.endEquity > row.peak) row.peak = rec.endEquity;
+            if (row.peak > 0) row.maxDrawdown = Math.max(row.maxDrawdown, (row.peak - rec.endEquity) / row.peak);
+        });
+        const years = Array.from(yearMap.values()).map(row => ({
+            year: row.year,
+            months: row.monthGrowth.map(g => g === null ? null : (g - 1) * 100),
+            ytd: (row.ytdGrowth - 1) * 100,
+            maxDrawdown: row.maxDrawdown * 100
+        }));
+        const monthValues = years.flatMap(row => row.months.filter(v => v !== null));
+        return {
+            years,
+            maxAbsMonthly: Math.max(...monthValues.map(Math.abs), 0),
+            positiveMonths: monthValues.filter(v => v > 0).length,
+            totalMonths: monthValues.length
+        };
+    }
+
+    // === 新增：由日級權益生成 Drawdown 事件 ===
+    generateDrawdownEventsFromDaily(dailyRecords) {
+        if (!dailyRecords || dailyRecords.length === 0) return [];
+        let peakEquity = dailyRecords[0].endEquity;
+        let peakDate = dailyRecords[0].date;
+        let currentDrawdown = null;
+        const events = [];
+        for (let i = 0; i < dailyRecords.length; i++) {
+            const rec = dailyRecords[i];
+            const eq = rec.endEquity;
+            const date = rec.date;
             if (eq > peakEquity) {
                 if (currentDrawdown) {
                     events.push({
                         ...currentDrawdown,
                         endDate: date,
-                        recovered: false,
+                        recovered: true,
                         recoveryEquity: eq,
                         fullDurationDays: this.diffDays(currentDrawdown.startDate, date)
                     });
@@ -894,10 +2602,68 @@ class PortfolioHeatmapGenerator {
                 ev.toTroughDays = this.diffDays(ev.startDate, ev.troughDate);
                 ev.fullDurationDays = this.diffDays(ev.startDate, ev.endDate);
             }
+            ev.recoveryDays = ev.recovered ? this.diffDays(ev.troughDate, ev.endDate) : null;
         });
         return events;
     }
 
+    // === 新增：水下曲線、最深回撤排行與回撤時間統計 ===
+    generateDrawdownAnalysis(dailyRecords, drawdownEvents) {
+        if (!dailyRecords || dailyRecords.length === 0) return null;
+        // 與回撤事件相同，以首日權益終值為初始高點
+        let peak = dailyRecords[0].endEquity;
+        const underwater = dailyRecords.map(rec => {
+            if (rec.endEquity > peak) peak = rec.endEquity;
+            return { x: rec.date, y: peak > 0 ? -((peak - rec.endEquity) / peak) * 100 : 0 };
+        });
+        const topEvents = [...drawdownEvents]
+            .sort((a, b) => b.depthPct - a.depthPct)
+            .slice(0, this.topDrawdownCount)
+            .map((ev, i) => ({ rank: i + 1, ...ev }));
+        const summarize = (values) => {
+            const sorted = [...values].sort((a, b) => a - b);
+            if (sorted.length === 0) return null;
+            return {
+                count: sorted.length,
+                mean: sorted.reduce((s, v) => s + v, 0) / sorted.length,
+                median: this.percentile(sorted, 50),
+                p75: this.percentile(sorted, 75),
+                p90: this.percentile(sorted, 90),
+                p95: this.percentile(sorted, 95),
+                max: sorted[sorted.length - 1]
+            };
+        };
+        const recoveredEvents = drawdownEvents.filter(ev => ev.recovered);
+        const durationStats = {
+            duration: summarize(drawdownEvents.map(ev => ev.fullDurationDays)),
+            toTrough: summarize(drawdownEvents.map(ev => ev.toTroughDays)),
+            recovery: summarize(recoveredEvents.map(ev => ev.recoveryDays))
+        };
+        // 持續天數與恢復天數共用同一組天數區間
+        const maxDays = Math.max(0, ...drawdownEvents.map(ev => ev.fullDurationDays));
+        const binWidth = Math.max(1, Math.ceil((maxDays + 1) / 20));
+        const durationHistogram = Array.from({ length: Math.floor(maxDays / binWidth) + 1 }, (_, i) => ({
+            label: binWidth === 1 ? `${i}` : `${i * binWidth}-${(i + 1) * binWidth - 1}`,
+            duration: 0,
+            recovery: 0
+        }));
+        drawdownEvents.forEach(ev => {
+            durationHistogram[Math.floor(ev.fullDurationDays / binWidth)].duration++;
+            if (ev.recovered) durationHistogram[Math.floor(ev.recoveryDays / binWidth)].recovery++;
+        });
+        const lastEvent = drawdownEvents[drawdownEvents.length - 1];
+        return {
+            underwater,
+            topEvents,
+            numEvents: drawdownEvents.length,
+            recoveredCount: recoveredEvents.length,
+            ongoing: lastEvent && !lastEvent.recovered ? lastEvent : null,
+            durationStats,
+            durationHistogram,
+            binWidth
+        };
+    }
+
     // === 新增：Drawdown 分佈資料 ===
     generateDrawdownDistributionData(drawdownEvents) {
         if (!drawdownEvents || drawdownEvents.length === 0) return [];
@@ -963,6 +2729,233 @@ class PortfolioHeatmapGenerator {
         return bins;
     }
 
+    percentile(sortedValues, p) {
+        if (sortedValues.length === 0) return 0;
+        const pos = (sortedValues.length - 1) * (p / 100);
+        const lower = Math.floor(pos), upper = Math.ceil(pos);
+        return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (pos - lower);
+    }
+
+    // 可重現的亂數產生器 (mulberry32)
+    createRandom(seed) {
+        let state = (seed === null || seed === undefined ? Date.now() : seed) >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // === 新增：蒙地卡羅交易重抽樣 ===
+    // 固定金額模式重抽每筆淨損益 (USD)；滾倉模式重抽每筆相對權益的報酬率並複利
+    runMonteCarloSimulation() {
+        if (!this.trades || this.trades.length < 2 || !(this.monteCarloRuns > 0)) return null;
+        const compounding = !this.subAccountResult && this.positionSizeType !== 'fixed';
+        const samples = [];
+        const historicalPath = [this.initialCapital];
+        let equity = this.initialCapital;
+        for (let i = 0; i < this.trades.length; i++) {
+            const { netPnL } = this.calculateTradeNetPnL(this.trades[i], equity);
+            samples.push(compounding ? (equity > 0 ? netPnL / equity : 0) : netPnL);
+            equity += netPnL;
+            historicalPath.push(equity);
+        }
+        const n = samples.length;
+        const blockSize = this.monteCarloBlockSize > 0 ? Math.min(n, Math.round(this.monteCarloBlockSize)) : Math.max(1, Math.round(Math.sqrt(n)));
+        const random = this.createRandom(this.monteCarloSeed);
+        const ruinEquity = this.initialCapital * (1 - this.ruinLevelPct / 100);
+        const checkpointCount = Math.min(n, 200);
+        const checkpoints = Array.from({ length: checkpointCount }, (_, k) => Math.round(((k + 1) / checkpointCount) * n));
+        const checkpointEquity = checkpoints.map(() => []);
+
+        const resample = () => {
+            if (this.monteCarloMethod === 'shuffle') {
+                const order = samples.slice();
+                for (let i = order.length - 1; i > 0; i--) {
+                    const j = Math.floor(random() * (i + 1));
+                    [order[i], order[j]] = [order[j], order[i]];
+                }
+                return order;
+            }
+            if (this.monteCarloMethod === 'block') {
+                const order = [];
+                while (order.length < n) {
+                    const start = Math.floor(random() * n);
+                    for (let k = 0; k < blockSize && order.length < n; k++) order.push(samples[(start + k) % n]);
+                }
+                return order;
+            }
+            return Array.from({ length: n }, () => samples[Math.floor(random() * n)]);
+        };
+
+        const finalEquities = [], maxDrawdowns = [], underwaterLengths = [];
+        let ruinCount = 0;
+        for (let run = 0; run < this.monteCarloRuns; run++) {
+            const sequence = resample();
+            let eq = this.initialCapital, peak = eq, maxDD = 0, underwater = 0, longestUnderwater = 0, ruined = false;
+            let nextCheckpoint = 0;
+            for (let i = 0; i < n; i++) {
+                if (eq > 0) eq = compounding ? eq * (1 + sequence[i]) : eq + sequence[i];
+                if (eq <= 0) eq = 0;
+                if (eq >= peak) {
+                    peak = eq;
+                    underwater = 0;
+                } else {
+                    underwater++;
+                    if (underwater > longestUnderwater) longestUnderwater = underwater;
+                    if (peak > 0) maxDD = Math.max(maxDD, (peak - eq) / peak * 100);
+                }
+                if (!ruined && eq <= ruinEquity) ruined = true;
+                while (nextCheckpoint < checkpoints.length && checkpoints[nextCheckpoint] === i + 1) {
+                    checkpointEquity[nextCheckpoint++].push(eq);
+                }
+            }
+            finalEquities.push(eq);
+            maxDrawdowns.push(maxDD);
+            underwaterLengths.push(longestUnderwater);
+            if (ruined) ruinCount++;
+        }
+
+        const levels = [5, 25, 50, 75, 95];
+        const bands = (values) => {
+            const sorted = [...values].sort((a, b) => a - b);
+            return Object.fromEntries(levels.map(p => [`p${p}`, this.percentile(sorted, p)]));
+        };
+        const firstDay = this.trades[0].parsedDate, lastDay = this.trades[n - 1].parsedDate;
+        const daysPerTrade = Math.max(1, (lastDay - firstDay) / (24 * 60 * 60 * 1000)) / n;
+        const fan = { steps: [0, ...checkpoints], historical: [this.initialCapital, ...checkpoints.map(c => historicalPath[c])] };
+        levels.forEach(p => { fan[`p${p}`] = [this.initialCapital]; });
+        checkpointEquity.forEach(values => {
+            const sorted = values.sort((a, b) => a - b);
+            levels.forEach(p => fan[`p${p}`].push(parseFloat(this.percentile(sorted, p).toFixed(2))));
+        });
+        const methodNames = { shuffle: '隨機排列 (Shuffle)', bootstrap: '重抽樣 (Bootstrap)', block: `區塊重抽樣 (Block, ${blockSize} 筆)` };
+        const result = {
+            method: this.monteCarloMethod,
+            methodName: methodNames[this.monteCarloMethod],
+            runs: this.monteCarloRuns,
+            numTrades: n,
+            blockSize,
+            compounding,
+            seed: this.monteCarloSeed,
+            ruinLevelPct: this.ruinLevelPct,
+            ruinEquity,
+            ruinProbability: (ruinCount / this.monteCarloRuns) * 100,
+            daysPerTrade,
+            finalEquity: bands(finalEquities),
+            maxDrawdownPct: bands(maxDrawdowns),
+            longestUnderwaterTrades: bands(underwaterLengths),
+            fan
+        };
+        console.log(`🎲 蒙地卡羅模擬: ${result.methodName} × ${result.runs} 次，破產機率 (虧損 ${this.ruinLevelPct}%) = ${result.ruinProbability.toFixed(2)}%`);
+        return result;
+    }
+
+    // === 新增：樣本內 / 樣本外切分與滾動前進 (Walk-Forward) ===
+    generateSampleSplitAnalysis() {
+        const useWalkForward = this.walkForwardInSampleDays > 0 || this.walkForwardOutSampleDays > 0;
+        if (!this.splitDate && !useWalkForward) return null;
+        if (this.splitDate && useWalkForward) throw new Error('❌ 切分日期 (splitDate) 與滾動前進 (walkForward) 不可同時使用');
+        if (!this.trades || this.trades.length === 0) return null;
+        const ratioKeys = ['sharpeRatio', 'calmarRatio', 'winRate'];
+        const dayStart = (dayKey) => this.fromReportWallClock(new Date(dayKey + 'T00:00:00Z'));
+        const tradesBetween = (start, end) => this.trades.filter(t => t.parsedDate >= start && t.parsedDate < end);
+        const lastDayKey = (end) => this.getReportDayKey(new Date(end.getTime() - 1));
+        const firstTradeDay = this.getReportDayKey(this.trades[0].parsedDate);
+        const lastTradeDay = this.getReportDayKey(this.trades[this.trades.length - 1].parsedDate);
+        const dataStart = dayStart(firstTradeDay);
+        const dataEnd = this.fromReportWallClock(this.addCalendarPeriods(new Date(lastTradeDay + 'T00:00:00Z'), 'day', 1));
+        const computeRatios = (isStats, oosStats) => Object.fromEntries(ratioKeys.map(key =>
+            [key, isStats[key] > 0 ? oosStats[key] / isStats[key] : null]
+        ));
+
+        if (!useWalkForward) {
+            const cutoff = dayStart(this.splitDate);
+            if (cutoff <= dataStart || cutoff >= dataEnd) {
+                console.log(`⚠️ 切分日期 ${this.splitDate} 不在交易期間 (${this.portfolioInfo.tradingDateRange}) 內，略過樣本內外分析`);
+                return null;
+            }
+            const isTrades = tradesBetween(dataStart, cutoff);
+            const oosTrades = tradesBetween(cutoff, dataEnd);
+            const inSample = this.calculatePeriodStats(isTrades, this.initialCapital, { start: dataStart, end: cutoff });
+            const outOfSample = this.calculatePeriodStats(oosTrades, this.initialCapital, { start: cutoff, end: dataEnd });
+            console.log(`✂️  樣本內外切分於 ${this.splitDate}: 樣本內 ${isTrades.length} 筆 / 樣本外 ${oosTrades.length} 筆`);
+            return {
+                mode: 'split',
+                description: `固定切分: ${this.splitDate} 起為樣本外`,
+                segments: [
+                    { type: 'is', start: dataStart.getTime(), end: cutoff.getTime() },
+                    { type: 'oos', start: cutoff.getTime(), end: dataEnd.getTime() }
+                ],
+                inSample,
+                outOfSample,
+                inSampleRange: `${firstTradeDay} ~ ${lastDayKey(cutoff)}`,
+                outOfSampleRange: `${this.splitDate} ~ ${lastDayKey(dataEnd)}`,
+                ratios: computeRatios(inSample, outOfSample),
+                windows: []
+            };
+        }
+
+        if (!(this.walkForwardInSampleDays > 0 && this.walkForwardOutSampleDays > 0)) {
+            throw new Error('❌ 滾動前進需同時設定樣本內與樣本外天數');
+        }
+        const windows = [];
+        let wallStart = this.toReportWallClock(dataStart);
+        for (;;) {
+            const wallIsEnd = this.addCalendarPeriods(wallStart, 'day', this.walkForwardInSampleDays);
+            const wallOosEnd = this.addCalendarPeriods(wallIsEnd, 'day', this.walkForwardOutSampleDays);
+            const isStart = this.fromReportWallClock(wallStart);
+            const isEnd = this.fromReportWallClock(wallIsEnd);
+            if (isEnd >= dataEnd) break;
+            const oosEnd = new Date(Math.min(this.fromReportWallClock(wallOosEnd).getTime(), dataEnd.getTime()));
+            windows.push({
+                index: windows.length + 1,
+                isStart, isEnd, oosStart: isEnd, oosEnd,
+                inSampleRange: `${this.getReportDayKey(isStart)} ~ ${lastDayKey(isEnd)}`,
+                outOfSampleRange: `${this.getReportDayKey(isEnd)} ~ ${lastDayKey(oosEnd)}`,
+                inSample: this.calculatePeriodStats(tradesBetween(isStart, isEnd), this.initialCapital, { start: isStart, end: isEnd }),
+                outOfSample: this.calculatePeriodStats(tradesBetween(isEnd, oosEnd), this.initialCapital, { start: isEnd, end: oosEnd })
+            });
+            wallStart = this.addCalendarPeriods(wallStart, 'day', this.walkForwardOutSampleDays);
+        }
+        if (windows.length === 0) {
+            console.log('⚠️ 交易期間短於一個樣本內視窗，略過滾動前進分析');
+            return null;
+        }
+        const averageStats = (side) => {
+            const avg = {};
+            [...Object.keys(this.metricProperties), 'numTrades', 'numDays'].forEach(key => {
+                avg[key] = windows.reduce((s, w) => s + (w[side][key] || 0), 0) / windows.length;
+            });
+            return avg;
+        };
+        const inSample = averageStats('inSample');
+        const outOfSample = averageStats('outOfSample');
+        console.log(`🚶 滾動前進分析: ${windows.length} 個視窗 (樣本內 ${this.walkForwardInSampleDays} 天 / 樣本外 ${this.walkForwardOutSampleDays} 天)`);
+        return {
+            mode: 'walkForward',
+            description: `滾動前進: 樣本內 ${this.walkForwardInSampleDays} 天 → 樣本外 ${this.walkForwardOutSampleDays} 天，共 ${windows.length} 個視窗 (數值為各視窗平均)`,
+            segments: [
+                { type: 'is', start: windows[0].isStart.getTime(), end: windows[0].isEnd.getTime() },
+                ...windows.map(w => ({ type: 'oos', start: w.oosStart.getTime(), end: w.oosEnd.getTime() }))
+            ],
+            inSample,
+            outOfSample,
+            inSampleRange: `${windows.length} 個視窗平均`,
+            outOfSampleRange: `${windows.length} 個視窗平均`,
+            ratios: computeRatios(inSample, outOfSample),
+            windows: windows.map(w => ({
+                index: w.index,
+                inSampleRange: w.inSampleRange,
+                outOfSampleRange: w.outOfSampleRange,
+                inSample: w.inSample,
+                outOfSample: w.outOfSample
+            }))
+        };
+    }
+
     generateRadarChartData(overallStats) {
         const radarMetrics = ['sharpeRatio', 'var95', 'calmarRatio', 'sortinoRatio', 'omegaRatio', 'mdd'];
         const radarData = radarMetrics.map(metricKey => {
@@ -971,13 +2964,17 @@ class PortfolioHeatmapGenerator {
             if (!isFinite(value) || isNaN(value)) {
                 value = 0;
             }
+            // 比率類的 radarMax 以年化因子 365 為基準，隨年化設定等比例縮放
+            const radarMax = metric.annualizedRatio
+                ? metric.radarMax * Math.sqrt(this.annualizationFactor / 365)
+                : metric.radarMax;
             let normalizedValue;
             if (metric.radarInvert) {
-                normalizedValue = Math.max(0, metric.radarMax - Math.abs(value));
+                normalizedValue = Math.max(0, radarMax - Math.abs(value));
             } else {
-                normalizedValue = Math.max(0, Math.min(value, metric.radarMax));
+                normalizedValue = Math.max(0, Math.min(value, radarMax));
             }
-            const percentage = (normalizedValue / metric.radarMax) * 100;
+            const percentage = (normalizedValue / radarMax) * 100;
             return {
                 label: metric.displayName,
                 value: percentage,
@@ -988,132 +2985,676 @@ class PortfolioHeatmapGenerator {
         return radarData;
     }
 
-    generateHeatmapHTML(heatmapData, rectangularMatrix, dimensions, chosenMetric, overallStats, equityCurveData, pnlDistributionData, radarData, drawdownDistributionData) {
+    // === 新增：圖表函式庫內嵌 (離線報告) ===
+    // 從 node_modules 讀取 Chart.js 與日期轉接器的瀏覽器版 (與套件入口同在 dist/) 並內嵌為 <script>；
+    // 任何一個無法內嵌即中止，避免產生空白圖表的報告
+    buildChartLibraryTags() {
+        const assets = [
+            { name: 'Chart.js', module: 'chart.js', file: 'chart.umd.min.js', cdn: 'https://cdn.jsdelivr.net/npm/chart.js', marker: 'Chart' },
+            { name: 'chartjs-adapter-date-fns', module: 'chartjs-adapter-date-fns', file: 'chartjs-adapter-date-fns.bundle.min.js', cdn: 'https://cdn.jsdelivr.net/npm/chartjs-adapter-date-fns/dist/chartjs-adapter-date-fns.bundle.min.js', marker: '_adapters' }
+        ];
+        if (!this.offlineReport) {
+            return assets.map(asset => `<script src="${asset.cdn}"></script>`).join('\n    ');
+        }
+        return assets.map(asset => {
+            let filePath = null;
+            try {
+                filePath = path.join(path.dirname(require.resolve(asset.module)), asset.file);
+            } catch (error) {
+                // 套件未安裝，由下方統一回報
+            }
+            if (!filePath || !fs.existsSync(filePath)) {
+                throw new Error(`❌ 無法內嵌 ${asset.name}: 找不到 ${asset.module} 的 ${asset.file}，請先執行 npm install (或改用 --offline=false 由 CDN 載入)`);
+            }
+            const code = fs.readFileSync(filePath, 'utf8');
+            if (!code.trim() || !code.includes(asset.marker)) {
+                throw new Error(`❌ 無法內嵌 ${asset.name}: ${filePath} 內容為空或不是預期的函式庫`);
+            }
+            // 避免函式庫中的 </script 或 <!-- 提前結束 / 干擾 HTML 的 script 區塊
+            const safeCode = code.replace(/<\/script/gi, '<\\/script').replace(/<!--/g, '<\\!--');
+            return `<script>/* ${asset.name} (內嵌自 ${asset.module}/${asset.file}) */\n${safeCode}\n</script>`;
+        }).join('\n    ');
+    }
+
+    describeReportAssets() {
+        return this.offlineReport ? '離線 (Chart.js 已內嵌，無需網路)' : 'CDN (開啟報告時需連網載入 Chart.js)';
+    }
+
+    generateHeatmapHTML(heatmapData, rectangularMatrix, dimensions, chosenMetric, overallStats, equityCurveData, pnlDistributionData, radarData, drawdownDistributionData, reportExtras = {}) {
         const { cols } = dimensions;
+        const chartLibraryTags = this.buildChartLibraryTags();
+        const { strategyBreakdown = { strategies: [], correlationMatrix: [] }, subAccountResult = null, monteCarlo = null, sampleSplit = null, benchmark = null, sideSignalBreakdown = null, excursionAnalysis = null, seasonality = null, monthlyReturns = null, rollingMetrics = null, drawdownAnalysis = null, liquidationAnalysis = null, fundingSummary = null, costBreakdown = null } = reportExtras;
         const metricInfo = this.metricProperties[chosenMetric];
         const portfolioName = Array.from(this.portfolioInfo.strategyNames).join(' + ') || '組合策略';
         const brokers = Array.from(this.portfolioInfo.brokers).join(', ') || 'N/A';
         const platforms = Array.from(this.portfolioInfo.platforms).join(', ') || 'N/A';
         const symbols = Array.from(this.portfolioInfo.symbols).join(', ') || 'N/A';
-        const positionModeDesc = this.positionSizeType === 'fixed'
-            ? `固定金額: $${this.positionSize} USDT`
-            : `滾倉模式: ${this.positionSize}% (隨獲利增加下注金額)`;
+        const positionModeDesc = this.describeSizing();
         
-        const getColor = (value) => {
-            if (value === null || isNaN(value) || !isFinite(value)) return '#3a3a3a';
-            if (metricInfo.colorThresholds && metricInfo.colorThresholds.length > 1) {
-                const thresholds = metricInfo.higherIsBetter
-                    ? [...metricInfo.colorThresholds].sort((a, b) => b.threshold - a.threshold)
-                    : [...metricInfo.colorThresholds].sort((a, b) => a.threshold - b.threshold);
-                if (metricInfo.higherIsBetter) {
-                    if (value >= thresholds[0].threshold) return thresholds[0].color;
-                    if (value <= thresholds[thresholds.length - 1].threshold) return thresholds[thresholds.length - 1].color;
-                } else {
-                    if (value <= thresholds[0].threshold) return thresholds[0].color;
-                    if (value >= thresholds[thresholds.length - 1].threshold) return thresholds[thresholds.length - 1].color;
-                }
-                for (let i = 0; i < thresholds.length - 1; i++) {
-                    const upperStop = thresholds[i];
-                    const lowerStop = thresholds[i + 1];
-                    const inRange = metricInfo.higherIsBetter
-                        ? (value < upperStop.threshold && value >= lowerStop.threshold)
-                        : (value > upperStop.threshold && value <= lowerStop.threshold);
-                    if (inRange) {
-                        const range = upperStop.threshold - lowerStop.threshold;
-                        if (range === 0) return upperStop.color;
-                        const factor = (value - lowerStop.threshold) / range;
-                        const color1_rgb = this.hexToRgb(lowerStop.color);
-                        const color2_rgb = this.hexToRgb(upperStop.color);
-                        if (!color1_rgb || !color2_rgb) return '#3a3a3a';
-                        return this.interpolateColor(color1_rgb, color2_rgb, factor);
-                    }
-                }
-                return thresholds[thresholds.length - 1].color;
-            }
-            const validValues = heatmapData
-                .map(d => d[chosenMetric])
-                .filter(v => v !== null && !isNaN(v) && isFinite(v));
-            const minValue = Math.min(...validValues);
-            const maxValue = Math.max(...validValues);
-            let normalized = (value - minValue) / (maxValue - minValue);
-            if (maxValue === minValue) normalized = 0.5;
-            if (!metricInfo.higherIsBetter) normalized = 1 - normalized;
-            const r = Math.round(255 * Math.min(1, 2 * (1 - normalized)));
-            const g = Math.round(255 * Math.min(1, 2 * normalized));
-            return `rgb(${r}, ${g}, 50)`;
-        };
+        const getMetricColor = (metricKey, value) => this.getMetricColor(metricKey, value, heatmapData.map(d => d[metricKey]));
+        const getColor = (value) => getMetricColor(chosenMetric, value);
     
-        const generateLegendHTML = (metricInfo) => {
-            if (!metricInfo.colorThresholds || metricInfo.colorThresholds.length === 0) return '';
-            let legendItems = '';
-            const thresholds = metricInfo.higherIsBetter
-                ? [...metricInfo.colorThresholds].sort((a, b) => b.threshold - a.threshold)
-                : [...metricInfo.colorThresholds].sort((a, b) => a.threshold - b.threshold);
-            for (const item of thresholds) {
-                legendItems += `<div class="legend-item"><span class="legend-color" style="background-color: ${item.color};"></span>${item.description}</div>`;
-            }
-            return `<div class="legend-section"><h3>顏色圖例 (${metricInfo.displayName})</h3><div class="legend">${legendItems}</div></div>`;
-        };
+        const generateLegendHTML = (metricInfo) => this.generateMetricLegendHTML(metricInfo);
     
-        return `
-    <!DOCTYPE html>
-    <html lang="zh-TW">
-    <head>
-    <meta charset="UTF-8">
-    <title>${portfolioName} 組合策略分析報告</title>
-    <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
-    <script src="https://cdn.jsdelivr.net/npm/chartjs-adapter-date-fns/dist/chartjs-adapter-date-fns.bundle.min.js"></script>
-    <style>
-    * { box-sizing: border-box; }
-    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background: #000000; color: #e0e0e0; line-height: 1.6; }
-    .container { max-width: 1400px; margin: 0 auto; padding: 30px; background: linear-gradient(145deg, #1a1a1a 0%, #000000 100%); min-height: 100vh; box-shadow: 0 0 50px rgba(0,0,0,0.5); border-radius: 20px; }
-    .header { text-align: center; margin-bottom: 30px; }
-    h1, h2 { color: #ffffff; text-shadow: 0 2px 4px rgba(0,0,0,0.3); }
-    h1 { font-size: 32px; margin-bottom: 8px; background: linear-gradient(45deg, #64b5f6, #42a5f5, #2196f3); -webkit-background-clip: text; -webkit-text-fill-color: transparent; background-clip: text; }
-    h2 { font-size: 24px; margin-top: 40px; padding-bottom: 12px; border-bottom: 2px solid rgba(100, 181, 246, 0.3); position: relative; }
-    h2::after { content: ''; position: absolute; bottom: -2px; left: 0; width: 60px; height: 2px; background: linear-gradient(45deg, #64b5f6, #2196f3); }
-    .header h2 { font-size: 18px; color: #64b5f6; font-weight: 500; border-bottom: none; margin-top: 0; }
-    .strategy-info { display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 20px; margin-bottom: 30px; padding: 25px; background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); border-radius: 15px; border: 1px solid rgba(100, 181, 246, 0.2); box-shadow: inset 0 1px 0 rgba(255,255,255,0.1); }
-    .info-item { text-align: center; }
-    .info-label { font-weight: 600; color: #9e9e9e; font-size: 13px; text-transform: uppercase; letter-spacing: 1px; margin-bottom: 8px; }
-    .info-value { font-size: 18px; color: #ffffff; margin-top: 6px; font-weight: 500; word-break: break-word; }
-    .position-info { background: linear-gradient(145deg, #1e3a5f 0%, #1a2332 100%); border: 2px solid rgba(100, 181, 246, 0.4); margin-bottom: 25px; padding: 20px; border-radius: 12px; text-align: center; box-shadow: 0 4px 12px rgba(0,0,0,0.2); }
-    .position-info h3 { margin: 0 0 12px 0; color: #64b5f6; font-size: 18px; }
-    .position-details { font-size: 14px; color: #e0e0e0; line-height: 1.6; }
-    .chart-half { padding: 25px 25px 70px 25px; background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); border-radius: 15px; height: 470px; border: 1px solid rgba(100, 181, 246, 0.2); box-shadow: 0 4px 12px rgba(0,0,0,0.2); }
-    .chart-full { padding: 25px 25px 70px 25px; background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); border-radius: 15px; height: 470px; border: 1px solid rgba(100, 181, 246, 0.2); box-shadow: 0 4px 12px rgba(0,0,0,0.2); width: 100%; }
-    .charts-row { display: grid; gap: 25px; margin-top: 25px; }
-    .charts-row.two-col { grid-template-columns: 1fr 1fr; }
-    .charts-row.one-col { grid-template-columns: 1fr; }
-    .chart-title { margin-top: 0; font-size: 20px; text-align: center; color: #64b5f6; margin-bottom: 20px; text-shadow: 0 2px 4px rgba(0,0,0,0.3); }
-    .heatmap-container { overflow-x: auto; padding: 20px; background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); border-radius: 15px; margin-bottom: 20px; border: 1px solid rgba(100, 181, 246, 0.2); }
-    .heatmap { display: grid; grid-template-columns: repeat(${cols}, 1fr); gap: 4px; min-width: ${cols * 50}px; }
-    .cell { aspect-ratio: 1.2; min-width: 45px; display: flex; align-items: center; justify-content: center; font-size: 12px; font-weight: 600; color: white; border-radius: 8px; cursor: pointer; transition: all 0.3s ease; position: relative; text-shadow: 1px 1px 2px rgba(0,0,0,0.6); border: 1px solid rgba(255,255,255,0.1); }
-    .cell:hover { transform: scale(1.15) translateZ(10px); z-index: 10; box-shadow: 0 8px 25px rgba(0,0,0,0.4), 0 0 0 2px rgba(100, 181, 246, 0.5); }
-    .cell.empty { background: linear-gradient(145deg, #3a3a3a 0%, #2a2a2a 100%); border: 1px solid rgba(255,255,255,0.05); }
-    .tooltip { visibility: hidden; position: absolute; background: linear-gradient(145deg, rgba(0,0,0,0.95) 0%, rgba(20,20,30,0.95) 100%); color: white; padding: 12px; border-radius: 8px; font-size: 12px; pointer-events: none; z-index: 1000; white-space: nowrap; transform: translate(-50%, -110%); top: 0; left: 50%; opacity: 0; transition: all 0.3s ease; border: 1px solid rgba(100, 181, 246, 0.3); box-shadow: 0 4px 20px rgba(0,0,0,0.5); }
-    .tooltip-grid { display: grid; grid-template-columns: auto auto; gap: 6px 15px; }
-    .tooltip-label { font-weight: 600; color: #64b5f6; }
-    .cell:hover .tooltip { visibility: visible; opacity: 1; }
-    .legend-section { margin-top: 30px; padding: 20px; background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); border-radius: 12px; border: 1px solid rgba(100, 181, 246, 0.2); }
-    .legend-section h3 { margin-top: 0; text-align: center; font-size: 16px; color: #ffffff; }
-    .legend { display: flex; flex-wrap: wrap; justify-content: center; gap: 20px; }
-    .legend-item { display: flex; align-items: center; font-size: 13px; color: #e0e0e0; }
-    .legend-color { width: 16px; height: 16px; border-radius: 4px; margin-right: 8px; border: 1px solid rgba(255,255,255,0.2); }
-    .stats-section { margin-top: 25px; }
-    .stats-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px; }
-    .stat-card { background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); padding: 25px; border-radius: 12px; text-align: center; border: 1px solid rgba(100, 181, 246, 0.2); transition: transform 0.2s ease, box-shadow 0.2s ease; box-shadow: 0 4px 12px rgba(0,0,0,0.2); }
-    .stat-card:hover { transform: translateY(-2px); box-shadow: 0 8px 25px rgba(0,0,0,0.3); }
-    .stat-value { font-size: 28px; font-weight: 700; color: #64b5f6; text-shadow: 0 2px 4px rgba(0,0,0,0.3); }
-    .stat-label { font-size: 13px; color: #b0b0b0; margin-top: 8px; text-transform: uppercase; letter-spacing: 0.5px; }
-    .footer { margin-top: 40px; text-align: center; color: #888; font-size: 12px; padding-top: 20px; border-top: 1px solid rgba(100, 181, 246, 0.2); }
-    .radar-container { position: relative; height: 380px; display: flex; align-items: center; justify-content: center; }
-    @media (max-width: 1200px) {
-        .charts-row.two-col { grid-template-columns: 1fr; }
-        .chart-half, .chart-full { height: 460px; }
-    }
-    @media (max-width: 768px) {
-        .strategy-info { grid-template-columns: 1fr; }
+        const formatStat = (prop, value) => (value !== null && value !== undefined && isFinite(value)) ? prop.format(value) : 'N/A';
+
+        const correlationColor = (value) => {
+            const neutral = this.hexToRgb('#3a3a3a');
+            const target = this.hexToRgb(value >= 0 ? '#1a9850' : '#d73027');
+            return this.interpolateColor(neutral, target, Math.min(1, Math.abs(value)));
+        };
+
+        const generateStrategyBreakdownHTML = () => {
+            const { strategies, correlationMatrix } = strategyBreakdown;
+            if (!strategies || strategies.length === 0) return '';
+            const metricKeys = Object.keys(this.metricProperties);
+            const kpiRows = strategies.map(leg => `<tr>
+                    <td class="text-left">${leg.label}</td>
+                    <td>${leg.stats.numTrades}</td>
+                    <td>$${leg.netPnL.toFixed(2)}</td>
+                    <td style="color: ${leg.netPnL >= 0 ? '#66bd63' : '#d73027'};">${leg.contributionPct.toFixed(1)}%</td>
+                    ${metricKeys.map(key => `<td>${formatStat(this.metricProperties[key], leg.stats[key])}</td>`).join('')}
+                </tr>`).join('');
+            const corrHeader = strategies.map((leg, i) => `<th title="${leg.label}">#${i + 1}</th>`).join('');
+            const corrRows = strategies.map((leg, i) => `<tr>
+                    <td class="text-left">#${i + 1} ${leg.label}</td>
+                    ${correlationMatrix[i].map(v => `<td style="background-color: ${correlationColor(v)};">${v.toFixed(2)}</td>`).join('')}
+                </tr>`).join('');
+            return `
+        <h2>策略分項績效 (Strategy Breakdown)</h2>
+        <div class="table-container">
+            <table class="data-table">
+                <thead><tr>
+                    <th class="text-left">策略</th><th>交易數</th><th>組合內淨損益</th><th>損益貢獻</th>
+                    ${metricKeys.map(key => `<th>${this.metricProperties[key].displayName}</th>`).join('')}
+                </tr></thead>
+                <tbody>${kpiRows}</tbody>
+            </table>
+            <p class="table-note">KPI 為各策略單獨以${subAccountResult ? '各自子帳戶的起始資金' : `初始資金 $${this.initialCapital.toLocaleString()} `}運行的結果；損益貢獻為組合中實際歸屬的淨損益佔總淨損益絕對值的比例。</p>
+        </div>
+        <h3 class="sub-title">策略間日損益相關係數 (Daily PnL Correlation)</h3>
+        <div class="table-container">
+            <table class="data-table">
+                <thead><tr><th class="text-left">策略</th>${corrHeader}</tr></thead>
+                <tbody>${corrRows}</tbody>
+            </table>
+        </div>`;
+        };
+
+        const generateBenchmarkHTML = () => {
+            if (!benchmark) return '';
+            const captureText = value => value === null ? 'N/A' : `${value.toFixed(1)}%`;
+            const strategyReturnPct = this.initialCapital > 0 ? (overallStats.totalReturn / this.initialCapital) * 100 : 0;
+            const compareRows = [
+                ['總報酬率 (%)', strategyReturnPct, benchmark.benchmarkStats.totalReturnPct, 2],
+                ['年化報酬率 (%)', overallStats.annualReturn, benchmark.benchmarkStats.annualReturn, 2],
+                ['最大回撤 (%)', overallStats.mdd, benchmark.benchmarkStats.mdd, 2],
+                ['Sharpe Ratio', overallStats.sharpeRatio, benchmark.benchmarkStats.sharpeRatio, 3]
+            ].map(([name, strategyValue, benchmarkValue, digits]) => `<tr>
+                    <td class="text-left">${name}</td><td>${strategyValue.toFixed(digits)}</td><td>${benchmarkValue.toFixed(digits)}</td>
+                </tr>`).join('');
+            return `
+        <h2>基準比較 (Benchmark: ${benchmark.label} 買入持有)</h2>
+        <div class="stats-grid">
+            <div class="stat-card"><div class="stat-value">${benchmark.alpha.toFixed(2)}%</div><div class="stat-label">年化 Alpha</div></div>
+            <div class="stat-card"><div class="stat-value">${benchmark.beta.toFixed(3)}</div><div class="stat-label">Beta</div></div>
+            <div class="stat-card"><div class="stat-value">${benchmark.correlation.toFixed(3)}</div><div class="stat-label">相關係數</div></div>
+            <div class="stat-card"><div class="stat-value">${benchmark.informationRatio.toFixed(3)}</div><div class="stat-label">Information Ratio</div></div>
+            <div class="stat-card"><div class="stat-value">${captureText(benchmark.upCapture)}</div><div class="stat-label">上漲捕獲率</div></div>
+            <div class="stat-card"><div class="stat-value">${captureText(benchmark.downCapture)}</div><div class="stat-label">下跌捕獲率</div></div>
+        </div>
+        <div class="table-container">
+            <table class="data-table">
+                <thead><tr><th class="text-left">指標</th><th>策略</th><th>${benchmark.label} 買入持有</th></tr></thead>
+                <tbody>${compareRows}</tbody>
+            </table>
+            <p class="table-note">基準資料: ${benchmark.sourceFile}，以初始資金全額買入持有並對齊策略日網格 (${benchmark.range}，${benchmark.numDays} 個資料點)。Alpha、追蹤誤差與 Information Ratio 採與 Sharpe 相同的報酬口徑 (${this.describeReturnConventions()})；捕獲率為基準上漲 / 下跌日的策略平均報酬相對基準平均報酬。</p>
+        </div>`;
+        };
+
+        const generateSideSignalHTML = () => {
+            if (!sideSignalBreakdown) return '';
+            const metricKeys = Object.keys(this.metricProperties);
+            const segmentTable = (title, segments) => `
+        <div class="table-container">
+            <table class="data-table">
+                <thead><tr>
+                    <th class="text-left">${title}</th><th>交易數</th><th>勝率 (筆)</th><th>組合內淨損益</th><th>損益貢獻</th>
+                    ${metricKeys.map(key => `<th>${this.metricProperties[key].displayName}</th>`).join('')}
+                </tr></thead>
+                <tbody>${segments.map(segment => `<tr>
+                    <td class="text-left">${segment.label}</td>
+                    <td>${segment.numTrades}</td>
+                    <td>${segment.tradeWinRate.toFixed(1)}%</td>
+                    <td>$${segment.netPnL.toFixed(2)}</td>
+                    <td style="color: ${segment.netPnL >= 0 ? '#66bd63' : '#d73027'};">${segment.contributionPct.toFixed(1)}%</td>
+                    ${metricKeys.map(key => `<td>${formatStat(this.metricProperties[key], segment.stats[key])}</td>`).join('')}
+                </tr>`).join('')}</tbody>
+            </table>
+        </div>`;
+            return `
+        <h2>多空與信號分項 (Long / Short & Signal Breakdown)</h2>
+        ${segmentTable('方向', sideSignalBreakdown.sides)}
+        <div class="charts-row two-col">
+            <div class="chart-half">
+                <h2 class="chart-title">多空權益曲線</h2>
+                <canvas id="sideEquityChart" style="height: 320px;"></canvas>
+            </div>
+            <div class="chart-half">
+                <h2 class="chart-title">多空 PnL 分佈</h2>
+                <canvas id="sidePnlChart" style="height: 320px;"></canvas>
+            </div>
+        </div>
+        <h3 class="sub-title">進場信號分項</h3>
+        ${segmentTable('進場信號', sideSignalBreakdown.signals)}
+        <div class="charts-row two-col">
+            <div class="chart-half">
+                <h2 class="chart-title">各信號權益曲線</h2>
+                <canvas id="signalEquityChart" style="height: 320px;"></canvas>
+            </div>
+            <div class="chart-half">
+                <h2 class="chart-title">各信號 PnL 分佈</h2>
+                <canvas id="signalPnlChart" style="height: 320px;"></canvas>
+            </div>
+        </div>
+        <p class="table-note">KPI 為各組交易單獨以初始資金運行的結果；權益曲線與損益貢獻使用組合中實際歸屬的淨損益。信號以開倉的第一筆進場信號歸類；PnL 分佈為組內佔比 (%)，各組共用相同區間。</p>`;
+        };
+
+        const generateExcursionHTML = () => {
+            if (!excursionAnalysis) return '';
+            const { baseline, whatIf } = excursionAnalysis;
+            const deltaCell = (value, base, digits, suffix = '') => {
+                const delta = value - base;
+                const color = delta > 0 ? '#66bd63' : (delta < 0 ? '#d73027' : '#b0b0b0');
+                return `<td>${value.toFixed(digits)}${suffix} <span style="color: ${color}; font-size: 0.85em;">(${delta >= 0 ? '+' : ''}${delta.toFixed(digits)})</span></td>`;
+            };
+            const whatIfRows = whatIf.map(row => `<tr>
+                    <td class="text-left">${row.rule === 'stopLoss' ? '停損' : '停利'} ${row.level}%</td>
+                    <td>${row.affectedTrades}</td>
+                    ${deltaCell(row.netPnL, baseline.netPnL, 2)}
+                    ${deltaCell(row.tradeWinRate, baseline.tradeWinRate, 1, '%')}
+                    ${deltaCell(row.sharpeRatio, baseline.sharpeRatio, 3)}
+                    ${deltaCell(row.mdd, baseline.mdd, 2, '%')}
+                </tr>`).join('');
+            return `
+        <h2>MAE / MFE 分析 (Trade Excursions)</h2>
+        <div class="stats-grid">
+            <div class="stat-card"><div class="stat-value">${excursionAnalysis.edgeRatio === null ? 'N/A' : excursionAnalysis.edgeRatio.toFixed(3)}</div><div class="stat-label">Edge Ratio (平均 MFE / 平均 MAE)</div></div>
+            <div class="stat-card"><div class="stat-value">${excursionAnalysis.avgMfePct.toFixed(3)}%</div><div class="stat-label">平均 MFE</div></div>
+            <div class="stat-card"><div class="stat-value">${excursionAnalysis.avgMaePct.toFixed(3)}%</div><div class="stat-label">平均 MAE</div></div>
+            <div class="stat-card"><div class="stat-value">${excursionAnalysis.winnerAvgMaePct.toFixed(3)}%</div><div class="stat-label">獲利交易平均 MAE</div></div>
+            <div class="stat-card"><div class="stat-value">${excursionAnalysis.loserAvgMaePct.toFixed(3)}%</div><div class="stat-label">虧損交易平均 MAE</div></div>
+            <div class="stat-card"><div class="stat-value">${excursionAnalysis.winnerMfeCapture.toFixed(1)}%</div><div class="stat-label">獲利交易 MFE 捕獲率</div></div>
+        </div>
+        <div class="charts-row two-col">
+            <div class="chart-half">
+                <h2 class="chart-title">MAE vs 最終損益</h2>
+                <canvas id="maeScatterChart" style="height: 340px;"></canvas>
+            </div>
+            <div class="chart-half">
+                <h2 class="chart-title">MFE vs 最終損益</h2>
+                <canvas id="mfeScatterChart" style="height: 340px;"></canvas>
+            </div>
+        </div>
+        <div class="charts-row one-col">
+            <div class="chart-full">
+                <h2 class="chart-title">Edge Ratio 走勢 (累積 / 滾動 ${excursionAnalysis.edgeRatioWindow} 筆)</h2>
+                <canvas id="edgeRatioChart" style="height: 300px;"></canvas>
+            </div>
+        </div>
+        <h3 class="sub-title">假設性停損 / 停利 (What-if)</h3>
+        <div class="table-container">
+            <table class="data-table">
+                <thead><tr><th class="text-left">規則</th><th>受影響交易</th><th>淨損益 (USD)</th><th>勝率 (筆)</th><th>Sharpe Ratio</th><th>最大回撤</th></tr></thead>
+                <tbody>
+                    <tr><td class="text-left">原始出場</td><td>-</td><td>${baseline.netPnL.toFixed(2)}</td><td>${baseline.tradeWinRate.toFixed(1)}%</td><td>${baseline.sharpeRatio.toFixed(3)}</td><td>${baseline.mdd.toFixed(2)}%</td></tr>
+                    ${whatIfRows}
+                </tbody>
+            </table>
+            <p class="table-note">觸及停損即以 -S% 出場；同一筆交易同時觸及停損與停利時，因無法得知先後，保守假設先觸及停損。水位預設取自 MAE / MFE 分佈的 25/50/75/90/95 分位數。假設情境以組合層級下注設定重新計算 (不套用子帳戶)。括號內為相對原始出場的差異。</p>
+        </div>`;
+        };
+
+        // 每個指標預先算好各格顏色與標籤，供頁面內切換指標與 small multiples 使用
+        const heatmapMetricViews = Object.fromEntries(Object.entries(this.metricProperties).map(([key, prop]) => [key, {
+            displayName: prop.displayName,
+            legendHTML: generateLegendHTML(prop),
+            cells: rectangularMatrix.filter(cell => cell.period !== null).map(cell => cell.numTrades === 0
+                ? { color: '#2a2a2a', label: '-' }
+                : { color: getMetricColor(key, cell[key]), label: formatStat(prop, cell[key]) })
+        }]));
+
+        const generateLiquidationHTML = () => {
+            if (!liquidationAnalysis) return '';
+            const usageText = value => isFinite(value) ? `${value.toFixed(1)}%` : '∞';
+            const rows = liquidationAnalysis.worstTrades.map(row => `<tr>
+                    <td class="text-left">${row.exitTime}</td>
+                    <td class="text-left">${row.strategyName} #${row.tradeNumber}</td>
+                    <td>${row.side === 'long' ? '做多' : (row.side === 'short' ? '做空' : 'N/A')}</td>
+                    <td>$${row.positionSize.toFixed(2)}</td>
+                    <td>${row.maePct.toFixed(2)}%</td>
+                    <td>${row.distancePct.toFixed(2)}%</td>
+                    <td style="color: ${row.liquidated ? '#d73027' : (row.usagePct >= 80 ? '#ffb74d' : '#e0e0e0')};">${usageText(row.usagePct)}</td>
+                    <td style="color: ${row.liquidated ? '#d73027' : '#66bd63'};">${row.liquidated ? '已清算' : '未清算'}</td>
+                    <td style="color: ${row.netPnL >= 0 ? '#66bd63' : '#d73027'};">$${row.netPnL.toFixed(2)}</td>
+                </tr>`).join('');
+            return `
+        <h2>槓桿與清算 (Leverage & Liquidation)</h2>
+        <div class="stats-grid">
+            <div class="stat-card"><div class="stat-value" style="color: ${liquidationAnalysis.liquidations > 0 ? '#d73027' : '#66bd63'};">${liquidationAnalysis.liquidations}</div><div class="stat-label">清算次數</div></div>
+            <div class="stat-card"><div class="stat-value">$${liquidationAnalysis.liquidationLoss.toFixed(2)}</div><div class="stat-label">清算損失合計</div></div>
+            <div class="stat-card"><div class="stat-value">${liquidationAnalysis.nearMisses}</div><div class="stat-label">險些清算 (使用率 ≥ 80%)</div></div>
+            <div class="stat-card"><div class="stat-value">${liquidationAnalysis.maxUsagePct === null ? 'N/A' : usageText(liquidationAnalysis.maxUsagePct)}</div><div class="stat-label">最高保證金使用率</div></div>
+            <div class="stat-card"><div class="stat-value">${liquidationAnalysis.minDistancePct === null ? 'N/A' : `${liquidationAnalysis.minDistancePct.toFixed(2)}%`}</div><div class="stat-label">最小清算距離</div></div>
+            <div class="stat-card"><div class="stat-value">${liquidationAnalysis.unknownTrades}</div><div class="stat-label">缺少 MAE 無法判斷</div></div>
+        </div>
+        <div class="charts-row one-col">
+            <div class="chart-full">
+                <h2 class="chart-title">保證金使用率分佈 (MAE / 清算距離)</h2>
+                <canvas id="liquidationUsageChart" style="height: 300px;"></canvas>
+            </div>
+        </div>
+        <h3 class="sub-title">最接近清算的 ${liquidationAnalysis.worstTrades.length} 筆交易</h3>
+        <div class="table-container">
+            <table class="data-table">
+                <thead><tr><th class="text-left">出場時間</th><th class="text-left">交易</th><th>方向</th><th>名目部位</th><th>MAE</th><th>清算距離</th><th>使用率</th><th>結果</th><th>淨損益 (USD)</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="table-note">${this.describeLeverage()}。使用率 = 該筆 MAE / 清算距離，達 100% 即視為清算，損失為全部擔保品 (${this.marginMode === 'cross' ? '全倉: 進場時帳戶權益' : '逐倉: 該筆保證金'})。</p>
+        </div>`;
+        };
+
+        const generateSeasonalityHTML = () => {
+            if (!seasonality) return '';
+            const renderGrid = (grid, rowTitle, cellTitle) => `
+        <div class="heatmap-container">
+            <div class="season-grid" style="grid-template-columns: 60px repeat(${grid.colLabels.length}, 1fr); min-width: ${60 + grid.colLabels.length * 46}px;">
+                <div class="season-label"></div>
+                ${grid.colLabels.map(label => `<div class="season-label">${label}</div>`).join('')}
+                ${grid.cells.map((row, r) => `
+                <div class="season-label">${grid.rowLabels[r]}</div>
+                ${row.map((cell, c) => {
+                    const isIdle = cell.numTrades === 0;
+                    const displayValue = isIdle ? '-' : formatStat(metricInfo, cell.value);
+                    return `<div class="cell${isIdle ? ' idle' : ''}" style="background-color: ${isIdle ? '#2a2a2a' : getColor(cell.value)};">
+                        ${displayValue}
+                        <div class="tooltip">
+                            <div class="tooltip-grid">
+                                <div class="tooltip-label">${rowTitle}:</div><div>${grid.rowLabels[r]}</div>
+                                <div class="tooltip-label">${cellTitle}:</div><div>${grid.colLabels[c]}</div>
+                                <hr style="grid-column: 1 / -1; border-color: rgba(100,181,246,0.3); margin: 4px 0;">
+                                <div class="tooltip-label">淨損益:</div><div>$${cell.netPnL.toFixed(2)}</div>
+                                <div class="tooltip-label">交易數:</div><div>${cell.numTrades}</div>
+                                <div class="tooltip-label">${metricInfo.displayName}:</div><div>${isIdle ? 'N/A' : formatStat(metricInfo, cell.value)}</div>
+                            </div>
+                        </div>
+                    </div>`;
+                }).join('')}`).join('')}
+            </div>
+        </div>`;
+            return `
+        <h2>季節性熱力圖 (Seasonality: ${metricInfo.displayName})</h2>
+        <h3 class="sub-title">出場時段 × 星期 (${seasonality.timezone})</h3>
+        ${renderGrid(seasonality.hourGrid, '星期', '時段')}
+        <h3 class="sub-title">月份 × 年份</h3>
+        ${renderGrid(seasonality.monthGrid, '年份', '月份')}
+        <p class="table-note">每格顯示只交易該時段 / 月份時的 ${metricInfo.displayName}，顏色沿用上方圖例；游標停留可查看淨損益與交易數。</p>`;
+        };
+
+        const generateMonthlyReturnsHTML = () => {
+            if (!monthlyReturns) return '';
+            const scale = monthlyReturns.maxAbsMonthly || 1;
+            const returnCell = value => {
+                if (value === null) return '<td style="color: #555;">-</td>';
+                const alpha = 0.15 + 0.65 * Math.min(1, Math.abs(value) / scale);
+                const background = value >= 0 ? `rgba(26, 152, 80, ${alpha.toFixed(2)})` : `rgba(215, 48, 39, ${alpha.toFixed(2)})`;
+                return `<td style="background-color: ${background};">${value.toFixed(2)}%</td>`;
+            };
+            const rows = monthlyReturns.years.map(row => `<tr>
+                    <td class="text-left"><strong>${row.year}</strong></td>
+                    ${row.months.map(returnCell).join('')}
+                    <td style="font-weight: 700; color: ${row.ytd >= 0 ? '#66bd63' : '#d73027'};">${row.ytd.toFixed(2)}%</td>
+                    <td>${row.maxDrawdown.toFixed(2)}%</td>
+                </tr>`).join('');
+            return `
+        <h2>月報酬表 (Monthly Returns)</h2>
+        <div class="table-container">
+            <table class="data-table">
+                <thead><tr>
+                    <th class="text-left">年份</th>${Array.from({ length: 12 }, (_, i) => `<th>${i + 1}月</th>`).join('')}<th>YTD</th><th>年度最大回撤</th>
+                </tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="table-note">由日級權益複利計算 (${this.describeReportDay()} 換日)；正報酬月份 ${monthlyReturns.positiveMonths} / ${monthlyReturns.totalMonths}。年度最大回撤以該年起始權益為初始高點。</p>
+        </div>`;
+        };
+
+        const generateDrawdownAnalysisHTML = () => {
+            if (!drawdownAnalysis) return '';
+            const { durationStats, topEvents } = drawdownAnalysis;
+            const dayText = value => value === undefined || value === null ? 'N/A' : `${value.toFixed(1)} 天`;
+            const rows = topEvents.map(ev => `<tr>
+                    <td data-sort="${ev.rank}">${ev.rank}</td>
+                    <td class="text-left" data-sort="${ev.startDate}">${ev.startDate}</td>
+                    <td class="text-left" data-sort="${ev.troughDate}">${ev.troughDate}</td>
+                    <td class="text-left" data-sort="${ev.recovered ? ev.endDate : '9999-12-31'}">${ev.recovered ? ev.endDate : '-'}</td>
+                    <td data-sort="${ev.depthPct}" style="color: #d73027;">-${ev.depthPct.toFixed(2)}%</td>
+                    <td data-sort="${ev.depthUSD}">-$${ev.depthUSD.toFixed(2)}</td>
+                    <td data-sort="${ev.toTroughDays}">${ev.toTroughDays}</td>
+                    <td data-sort="${ev.recovered ? ev.recoveryDays : Infinity}">${ev.recovered ? ev.recoveryDays : '-'}</td>
+                    <td data-sort="${ev.fullDurationDays}">${ev.fullDurationDays}</td>
+                    <td data-sort="${ev.recovered ? 0 : 1}" style="color: ${ev.recovered ? '#66bd63' : '#ffb74d'};">${ev.recovered ? '已恢復' : '進行中'}</td>
+                </tr>`).join('');
+            const statRow = (label, stats) => `<tr>
+                    <td class="text-left">${label}</td>
+                    <td>${stats ? stats.count : 0}</td>
+                    ${['mean', 'median', 'p75', 'p90', 'p95', 'max'].map(key => `<td>${stats ? dayText(stats[key]) : 'N/A'}</td>`).join('')}
+                </tr>`;
+            return `
+        <div class="charts-row one-col">
+            <div class="chart-full">
+                <h2 class="chart-title">水下曲線 (Underwater，距前高 %)</h2>
+                <canvas id="underwaterChart" style="height: 300px;"></canvas>
+            </div>
+        </div>
+        <h2>回撤事件分析 (Drawdown Events)</h2>
+        <div class="stats-grid">
+            <div class="stat-card"><div class="stat-value">${drawdownAnalysis.numEvents}</div><div class="stat-label">回撤事件數</div></div>
+            <div class="stat-card"><div class="stat-value">${drawdownAnalysis.recoveredCount} / ${drawdownAnalysis.numEvents - drawdownAnalysis.recoveredCount}</div><div class="stat-label">已恢復 / 進行中</div></div>
+            <div class="stat-card"><div class="stat-value">${dayText(durationStats.duration && durationStats.duration.mean)}</div><div class="stat-label">平均回撤持續</div></div>
+            <div class="stat-card"><div class="stat-value">${dayText(durationStats.recovery && durationStats.recovery.mean)}</div><div class="stat-label">平均恢復時間 (谷底→前高)</div></div>
+            <div class="stat-card"><div class="stat-value">${dayText(durationStats.recovery && durationStats.recovery.p90)}</div><div class="stat-label">恢復時間 P90</div></div>
+            <div class="stat-card"><div class="stat-value">${drawdownAnalysis.ongoing ? `-${drawdownAnalysis.ongoing.depthPct.toFixed(2)}%` : '無'}</div><div class="stat-label">${drawdownAnalysis.ongoing ? `進行中回撤 (自 ${drawdownAnalysis.ongoing.startDate}，${drawdownAnalysis.ongoing.fullDurationDays} 天)` : '進行中回撤'}</div></div>
+        </div>
+        <h3 class="sub-title">最深 ${topEvents.length} 個回撤 (點選欄位標題排序)</h3>
+        <div class="table-container">
+            <table class="data-table sortable-table">
+                <thead><tr><th>排名</th><th class="text-left">高點日期</th><th class="text-left">谷底日期</th><th class="text-left">恢復日期</th><th>深度 %</th><th>深度 (USD)</th><th>跌至谷底 (天)</th><th>恢復 (天)</th><th>總持續 (天)</th><th>狀態</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="table-note">回撤以每日權益終值 (endEquity) 偵測；恢復天數為谷底至重回前高的天數，進行中的回撤不計入恢復時間統計。</p>
+        </div>
+        <h3 class="sub-title">回撤時間統計</h3>
+        <div class="table-container">
+            <table class="data-table">
+                <thead><tr><th class="text-left">項目</th><th>事件數</th><th>平均</th><th>中位數</th><th>P75</th><th>P90</th><th>P95</th><th>最長</th></tr></thead>
+                <tbody>
+                    ${statRow('總持續 (高點→恢復)', durationStats.duration)}
+                    ${statRow('跌至谷底 (高點→谷底)', durationStats.toTrough)}
+                    ${statRow('恢復時間 (谷底→前高)', durationStats.recovery)}
+                </tbody>
+            </table>
+        </div>
+        <div class="charts-row one-col">
+            <div class="chart-full">
+                <h2 class="chart-title">回撤持續 / 恢復時間分佈 (每區間 ${drawdownAnalysis.binWidth} 天)</h2>
+                <canvas id="drawdownDurationChart" style="height: 340px;"></canvas>
+            </div>
+        </div>`;
+        };
+
+        const generateCostBreakdownHTML = () => {
+            if (!costBreakdown) return '';
+            const scheduleRows = costBreakdown.bySchedule.map(row => `<tr>
+                    <td class="text-left">${row.label}</td>
+                    <td>${row.trades}</td>
+                    <td>$${row.fees.toFixed(2)}</td>
+                    <td>$${row.slippage.toFixed(2)}</td>
+                </tr>`).join('');
+            return `
+        <div class="stats-grid" style="margin-top: 25px;">
+            <div class="stat-card"><div class="stat-value">$${costBreakdown.entryFee.toFixed(2)}</div><div class="stat-label">進場手續費</div></div>
+            <div class="stat-card"><div class="stat-value">$${costBreakdown.exitFee.toFixed(2)}</div><div class="stat-label">出場手續費</div></div>
+            <div class="stat-card"><div class="stat-value">$${costBreakdown.slippage.toFixed(2)}</div><div class="stat-label">滑價</div></div>
+            ${fundingSummary ? `<div class="stat-card"><div class="stat-value">$${costBreakdown.funding.toFixed(2)}</div><div class="stat-label">資金費用 (淨支付)</div></div>` : ''}
+            <div class="stat-card"><div class="stat-value">$${costBreakdown.total.toFixed(2)}</div><div class="stat-label">交易成本合計</div></div>
+            <div class="stat-card"><div class="stat-value">${costBreakdown.costPctOfGross === null ? 'N/A' : `${costBreakdown.costPctOfGross.toFixed(1)}%`}</div><div class="stat-label">成本佔毛利</div></div>
+        </div>
+        <div class="charts-row two-col">
+            <div class="chart-half">
+                <h2 class="chart-title">累計交易成本 (Cumulative Costs)</h2>
+                <canvas id="costCumulativeChart" style="height: 320px;"></canvas>
+            </div>
+            <div class="chart-half">
+                <h2 class="chart-title">成本組成 (Fee Breakdown)</h2>
+                <canvas id="costCompositionChart" style="height: 320px;"></canvas>
+            </div>
+        </div>
+        ${costBreakdown.bySchedule.length > 1 ? `
+        <div class="table-container">
+            <table class="data-table">
+                <thead><tr><th class="text-left">費率表</th><th>交易數</th><th>手續費 (USD)</th><th>滑價 (USD)</th></tr></thead>
+                <tbody>${scheduleRows}</tbody>
+            </table>
+        </div>` : ''}
+        <p class="table-note">${this.describeCosts()}。成本以正值表示支付；資金費用為淨支付 (負值代表淨收取)。</p>`;
+        };
+
+        const generateRollingMetricsHTML = () => {
+            if (!rollingMetrics) return '';
+            const { latest, windowDays } = rollingMetrics;
+            const signalColor = latest.sharpeRatio < 0 ? '#d73027' : '#66bd63';
+            return `
+        <h2>滾動視窗指標 (Rolling ${windowDays}-Day Metrics)</h2>
+        <div class="stats-grid">
+            <div class="stat-card"><div class="stat-value" style="color: ${signalColor};">${latest.sharpeRatio.toFixed(3)}</div><div class="stat-label">最新滾動 Sharpe (${windowDays} 日)</div></div>
+            <div class="stat-card"><div class="stat-value">${latest.sortinoRatio === null ? 'N/A' : latest.sortinoRatio.toFixed(3)}</div><div class="stat-label">最新滾動 Sortino</div></div>
+            <div class="stat-card"><div class="stat-value">${latest.volatility.toFixed(2)}%</div><div class="stat-label">最新年化波動率</div></div>
+            <div class="stat-card"><div class="stat-value">${latest.winRate.toFixed(1)}%</div><div class="stat-label">最新勝率 (盈利日)</div></div>
+            <div class="stat-card"><div class="stat-value">${latest.mdd.toFixed(2)}%</div><div class="stat-label">最新視窗最大回撤</div></div>
+            <div class="stat-card"><div class="stat-value">${rollingMetrics.belowZeroPct.toFixed(1)}%</div><div class="stat-label">滾動 Sharpe &lt; 0 的天數比例</div></div>
+        </div>
+        <div class="charts-row one-col">
+            <div class="chart-full">
+                <h2 class="chart-title">滾動 ${windowDays} 日 Sharpe / Sortino</h2>
+                <canvas id="rollingRatioChart" style="height: 340px;"></canvas>
+            </div>
+        </div>
+        <div class="charts-row one-col">
+            <div class="chart-full">
+                <h2 class="chart-title">滾動 ${windowDays} 日 年化波動率 / 勝率 / 最大回撤</h2>
+                <canvas id="rollingRiskChart" style="height: 340px;"></canvas>
+            </div>
+        </div>
+        <p class="table-note">每個點為截至該日 (含) 的 ${windowDays} 日視窗，依日序列計算，口徑同總體 KPI；視窗最大回撤以視窗起點權益為初始高點。${
+            rollingMetrics.belowZeroSince
+                ? `<span style="color: #d73027;">⚠️ 滾動 Sharpe 自 ${rollingMetrics.belowZeroSince} 起低於 0。</span>`
+                : `滾動 Sharpe 目前高於 0${rollingMetrics.crossBelowZero.length > 0 ? `，最近一次跌破 0 為 ${rollingMetrics.crossBelowZero[rollingMetrics.crossBelowZero.length - 1]}` : ''}。`
+        }</p>`;
+        };
+
+        const generateAllocationHTML = () => {
+            if (!subAccountResult) return '';
+            const rows = subAccountResult.accounts.map(a => `<tr>
+                    <td class="text-left">${a.strategyName}<br><span class="table-note">${a.fileName}</span></td>
+                    <td>${(a.targetWeight * 100).toFixed(1)}%</td>
+                    <td class="text-left">${this.describeSizing(a.sizing)}</td>
+                    <td>$${a.startCapital.toFixed(2)}</td>
+                    <td>$${a.finalEquity.toFixed(2)}</td>
+                    <td>${(a.finalWeight * 100).toFixed(1)}%</td>
+                    <td style="color: ${a.netPnL >= 0 ? '#66bd63' : '#d73027'};">$${a.netPnL.toFixed(2)}</td>
+                    <td>${a.numTrades}${a.skippedTrades > 0 ? ` (略過 ${a.skippedTrades})` : ''}</td>
+                </tr>`).join('');
+            return `
+        <h2>資金配置與子帳戶 (Capital Allocation)</h2>
+        <div class="table-container">
+            <table class="data-table">
+                <thead><tr>
+                    <th class="text-left">子帳戶</th><th>目標權重</th><th class="text-left">下注模式</th><th>起始資金</th>
+                    <th>最終權益</th><th>最終權重</th><th>淨損益</th><th>交易數</th>
+                </tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="table-note">${this.describeAllocation()}；共再平衡 ${subAccountResult.rebalances.length} 次。組合權益與 KPI 由各子帳戶加總而得。</p>
+        </div>`;
+        };
+
+        const generateMonteCarloHTML = () => {
+            if (!monteCarlo) return '';
+            const levels = ['p5', 'p25', 'p50', 'p75', 'p95'];
+            const row = (label, bands, fmt) => `<tr><td class="text-left">${label}</td>${levels.map(l => `<td>${fmt(bands[l])}</td>`).join('')}</tr>`;
+            return `
+        <h2>蒙地卡羅模擬 (Monte Carlo)</h2>
+        <div class="stats-grid">
+            <div class="stat-card"><div class="stat-value">${monteCarlo.ruinProbability.toFixed(2)}%</div><div class="stat-label">破產機率 (虧損 ≥ ${monteCarlo.ruinLevelPct}%)</div></div>
+            <div class="stat-card"><div class="stat-value">$${monteCarlo.finalEquity.p50.toFixed(0)}</div><div class="stat-label">最終權益中位數</div></div>
+            <div class="stat-card"><div class="stat-value">${monteCarlo.maxDrawdownPct.p95.toFixed(2)}%</div><div class="stat-label">最大回撤 (95 百分位)</div></div>
+            <div class="stat-card"><div class="stat-value">${monteCarlo.runs}</div><div class="stat-label">模擬次數</div></div>
+        </div>
+        <div class="table-container" style="margin-top: 25px;">
+            <table class="data-table">
+                <thead><tr><th class="text-left">指標</th>${levels.map(l => `<th>${l.replace('p', '')}%</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${row('最終權益 (USD)', monteCarlo.finalEquity, v => `$${v.toFixed(2)}`)}
+                    ${row('最大回撤 (%)', monteCarlo.maxDrawdownPct, v => `${v.toFixed(2)}%`)}
+                    ${row('最長水下期間 (筆)', monteCarlo.longestUnderwaterTrades, v => `${Math.round(v)} 筆 (約 ${(v * monteCarlo.daysPerTrade).toFixed(0)} 天)`)}
+                </tbody>
+            </table>
+            <p class="table-note">方法: ${monteCarlo.methodName}；${monteCarlo.compounding ? '重抽每筆相對權益報酬率並複利' : '重抽每筆淨損益 (USD)'}；共 ${monteCarlo.numTrades} 筆交易；亂數種子 ${monteCarlo.seed ?? '隨機'}。</p>
+        </div>
+        <div class="charts-row one-col">
+            <div class="chart-full">
+                <h2 class="chart-title">蒙地卡羅權益扇形圖 (Monte Carlo Fan Chart)</h2>
+                <canvas id="monteCarloChart" style="height: 380px;"></canvas>
+            </div>
+        </div>`;
+        };
+
+        const generateSampleSplitHTML = () => {
+            if (!sampleSplit) return '';
+            const ratioCell = (key) => {
+                if (!(key in sampleSplit.ratios)) return '<td>-</td>';
+                const ratio = sampleSplit.ratios[key];
+                if (ratio === null) return '<td>N/A</td>';
+                const color = ratio >= 0.8 ? '#66bd63' : (ratio >= 0.5 ? '#fee08b' : '#d73027');
+                return `<td style="color: ${color}; font-weight: 600;">${ratio.toFixed(2)}</td>`;
+            };
+            const metricRows = Object.entries(this.metricProperties).map(([key, prop]) => `<tr>
+                    <td class="text-left">${prop.displayName}</td>
+                    <td>${formatStat(prop, sampleSplit.inSample[key])}</td>
+                    <td>${formatStat(prop, sampleSplit.outOfSample[key])}</td>
+                    ${ratioCell(key)}
+                </tr>`).join('');
+            const windowRows = sampleSplit.windows.map(w => `<tr>
+                    <td>${w.index}</td>
+                    <td class="text-left">${w.inSampleRange}</td>
+                    <td class="text-left">${w.outOfSampleRange}</td>
+                    <td>${w.inSample.sharpeRatio.toFixed(3)}</td><td>${w.outOfSample.sharpeRatio.toFixed(3)}</td>
+                    <td>${w.inSample.calmarRatio.toFixed(3)}</td><td>${w.outOfSample.calmarRatio.toFixed(3)}</td>
+                    <td>${w.inSample.winRate.toFixed(1)}%</td><td>${w.outOfSample.winRate.toFixed(1)}%</td>
+                </tr>`).join('');
+            return `
+        <h2>樣本內 / 樣本外 (In-Sample vs Out-of-Sample)</h2>
+        <div class="table-container">
+            <table class="data-table">
+                <thead><tr>
+                    <th class="text-left">指標</th><th>樣本內 (${sampleSplit.inSampleRange})</th><th>樣本外 (${sampleSplit.outOfSampleRange})</th><th>OOS / IS</th>
+                </tr></thead>
+                <tbody>
+                    ${metricRows}
+                    <tr><td class="text-left">交易數</td><td>${Math.round(sampleSplit.inSample.numTrades)}</td><td>${Math.round(sampleSplit.outOfSample.numTrades)}</td><td>-</td></tr>
+                </tbody>
+            </table>
+            <p class="table-note">${sampleSplit.description}。OOS / IS 僅在樣本內數值為正時計算；低於 0.5 通常代表參數過度擬合。</p>
+        </div>
+        ${sampleSplit.windows.length > 0 ? `
+        <div class="table-container">
+            <table class="data-table">
+                <thead><tr>
+                    <th>視窗</th><th class="text-left">樣本內</th><th class="text-left">樣本外</th>
+                    <th>IS Sharpe</th><th>OOS Sharpe</th><th>IS Calmar</th><th>OOS Calmar</th><th>IS 勝率</th><th>OOS 勝率</th>
+                </tr></thead>
+                <tbody>${windowRows}</tbody>
+            </table>
+        </div>` : ''}`;
+        };
+
+        const strategyEquityData = strategyBreakdown.strategies.length > 1
+            ? strategyBreakdown.strategies.map(leg => ({ label: leg.label, data: leg.equityCurve }))
+            : [];
+        if (benchmark) strategyEquityData.push({ label: `${benchmark.label} 買入持有`, data: benchmark.equityCurve, benchmark: true });
+
+        return `
+    <!DOCTYPE html>
+    <html lang="zh-TW">
+    <head>
+    <meta charset="UTF-8">
+    <title>${portfolioName} 組合策略分析報告</title>
+    ${chartLibraryTags}
+    <style>
+    * { box-sizing: border-box; }
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background: #000000; color: #e0e0e0; line-height: 1.6; }
+    .container { max-width: 1400px; margin: 0 auto; padding: 30px; background: linear-gradient(145deg, #1a1a1a 0%, #000000 100%); min-height: 100vh; box-shadow: 0 0 50px rgba(0,0,0,0.5); border-radius: 20px; }
+    .header { text-align: center; margin-bottom: 30px; }
+    h1, h2 { color: #ffffff; text-shadow: 0 2px 4px rgba(0,0,0,0.3); }
+    h1 { font-size: 32px; margin-bottom: 8px; background: linear-gradient(45deg, #64b5f6, #42a5f5, #2196f3); -webkit-background-clip: text; -webkit-text-fill-color: transparent; background-clip: text; }
+    h2 { font-size: 24px; margin-top: 40px; padding-bottom: 12px; border-bottom: 2px solid rgba(100, 181, 246, 0.3); position: relative; }
+    h2::after { content: ''; position: absolute; bottom: -2px; left: 0; width: 60px; height: 2px; background: linear-gradient(45deg, #64b5f6, #2196f3); }
+    .header h2 { font-size: 18px; color: #64b5f6; font-weight: 500; border-bottom: none; margin-top: 0; }
+    .strategy-info { display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 20px; margin-bottom: 30px; padding: 25px; background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); border-radius: 15px; border: 1px solid rgba(100, 181, 246, 0.2); box-shadow: inset 0 1px 0 rgba(255,255,255,0.1); }
+    .info-item { text-align: center; }
+    .info-label { font-weight: 600; color: #9e9e9e; font-size: 13px; text-transform: uppercase; letter-spacing: 1px; margin-bottom: 8px; }
+    .info-value { font-size: 18px; color: #ffffff; margin-top: 6px; font-weight: 500; word-break: break-word; }
+    .position-info { background: linear-gradient(145deg, #1e3a5f 0%, #1a2332 100%); border: 2px solid rgba(100, 181, 246, 0.4); margin-bottom: 25px; padding: 20px; border-radius: 12px; text-align: center; box-shadow: 0 4px 12px rgba(0,0,0,0.2); }
+    .position-info h3 { margin: 0 0 12px 0; color: #64b5f6; font-size: 18px; }
+    .position-details { font-size: 14px; color: #e0e0e0; line-height: 1.6; }
+    .chart-half { padding: 25px 25px 70px 25px; background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); border-radius: 15px; height: 470px; border: 1px solid rgba(100, 181, 246, 0.2); box-shadow: 0 4px 12px rgba(0,0,0,0.2); }
+    .chart-full { padding: 25px 25px 70px 25px; background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); border-radius: 15px; height: 470px; border: 1px solid rgba(100, 181, 246, 0.2); box-shadow: 0 4px 12px rgba(0,0,0,0.2); width: 100%; }
+    .charts-row { display: grid; gap: 25px; margin-top: 25px; }
+    .charts-row.two-col { grid-template-columns: 1fr 1fr; }
+    .charts-row.one-col { grid-template-columns: 1fr; }
+    .chart-title { margin-top: 0; font-size: 20px; text-align: center; color: #64b5f6; margin-bottom: 20px; text-shadow: 0 2px 4px rgba(0,0,0,0.3); }
+    .heatmap-container { overflow-x: auto; padding: 20px; background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); border-radius: 15px; margin-bottom: 20px; border: 1px solid rgba(100, 181, 246, 0.2); }
+    .heatmap { display: grid; grid-template-columns: repeat(${cols}, 1fr); gap: 4px; min-width: ${cols * 50}px; }
+    .cell { aspect-ratio: 1.2; min-width: 45px; display: flex; align-items: center; justify-content: center; font-size: 12px; font-weight: 600; color: white; border-radius: 8px; cursor: pointer; transition: all 0.3s ease; position: relative; text-shadow: 1px 1px 2px rgba(0,0,0,0.6); border: 1px solid rgba(255,255,255,0.1); }
+    .cell:hover { transform: scale(1.15) translateZ(10px); z-index: 10; box-shadow: 0 8px 25px rgba(0,0,0,0.4), 0 0 0 2px rgba(100, 181, 246, 0.5); }
+    .cell.empty { background: linear-gradient(145deg, #3a3a3a 0%, #2a2a2a 100%); border: 1px solid rgba(255,255,255,0.05); }
+    .cell.idle { color: #777; text-shadow: none; }
+    .metric-selector { display: flex; align-items: center; justify-content: flex-end; gap: 10px; margin-bottom: 10px; color: #b0b0b0; }
+    .metric-selector select { background: #1a1a1a; color: #e0e0e0; border: 1px solid rgba(100, 181, 246, 0.4); border-radius: 6px; padding: 6px 10px; font-size: 14px; }
+    .small-multiples { display: grid; grid-template-columns: repeat(auto-fill, minmax(240px, 1fr)); gap: 12px; margin-bottom: 20px; }
+    .mini-heatmap-card { padding: 10px; background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); border-radius: 10px; border: 1px solid rgba(100, 181, 246, 0.15); cursor: pointer; }
+    .mini-heatmap-card.active { border-color: #64b5f6; box-shadow: 0 0 0 1px #64b5f6; }
+    .mini-title { font-size: 12px; color: #e0e0e0; margin-bottom: 6px; text-align: center; }
+    .mini-heatmap { display: grid; gap: 1px; }
+    .mini-cell { aspect-ratio: 1; border-radius: 1px; }
+    .season-grid { display: grid; gap: 4px; }
+    .season-grid .cell { aspect-ratio: auto; min-width: 40px; height: 34px; font-size: 11px; }
+    .season-label { display: flex; align-items: center; justify-content: center; font-size: 12px; color: #b0b0b0; }
+    .tooltip { visibility: hidden; position: absolute; background: linear-gradient(145deg, rgba(0,0,0,0.95) 0%, rgba(20,20,30,0.95) 100%); color: white; padding: 12px; border-radius: 8px; font-size: 12px; pointer-events: none; z-index: 1000; white-space: nowrap; transform: translate(-50%, -110%); top: 0; left: 50%; opacity: 0; transition: all 0.3s ease; border: 1px solid rgba(100, 181, 246, 0.3); box-shadow: 0 4px 20px rgba(0,0,0,0.5); }
+    .tooltip-grid { display: grid; grid-template-columns: auto auto; gap: 6px 15px; }
+    .tooltip-label { font-weight: 600; color: #64b5f6; }
+    .cell:hover .tooltip { visibility: visible; opacity: 1; }
+    .legend-section { margin-top: 30px; padding: 20px; background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); border-radius: 12px; border: 1px solid rgba(100, 181, 246, 0.2); }
+    .legend-section h3 { margin-top: 0; text-align: center; font-size: 16px; color: #ffffff; }
+    .legend { display: flex; flex-wrap: wrap; justify-content: center; gap: 20px; }
+    .legend-item { display: flex; align-items: center; font-size: 13px; color: #e0e0e0; }
+    .legend-color { width: 16px; height: 16px; border-radius: 4px; margin-right: 8px; border: 1px solid rgba(255,255,255,0.2); }
+    .stats-section { margin-top: 25px; }
+    .stats-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px; }
+    .stat-card { background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); padding: 25px; border-radius: 12px; text-align: center; border: 1px solid rgba(100, 181, 246, 0.2); transition: transform 0.2s ease, box-shadow 0.2s ease; box-shadow: 0 4px 12px rgba(0,0,0,0.2); }
+    .stat-card:hover { transform: translateY(-2px); box-shadow: 0 8px 25px rgba(0,0,0,0.3); }
+    .stat-value { font-size: 28px; font-weight: 700; color: #64b5f6; text-shadow: 0 2px 4px rgba(0,0,0,0.3); }
+    .stat-label { font-size: 13px; color: #b0b0b0; margin-top: 8px; text-transform: uppercase; letter-spacing: 0.5px; }
+    .footer { margin-top: 40px; text-align: center; color: #888; font-size: 12px; padding-top: 20px; border-top: 1px solid rgba(100, 181, 246, 0.2); }
+    .radar-container { position: relative; height: 380px; display: flex; align-items: center; justify-content: center; }
+    .table-container { overflow-x: auto; padding: 20px; background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); border-radius: 15px; margin-bottom: 20px; border: 1px solid rgba(100, 181, 246, 0.2); }
+    .data-table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    .data-table th { color: #64b5f6; font-weight: 600; padding: 8px 10px; border-bottom: 1px solid rgba(100, 181, 246, 0.3); white-space: nowrap; text-align: right; }
+    .data-table td { padding: 6px 10px; border-bottom: 1px solid rgba(255,255,255,0.05); text-align: right; white-space: nowrap; }
+    .data-table .text-left { text-align: left; }
+    .data-table tbody tr:hover { background: rgba(100, 181, 246, 0.08); }
+    .sortable-table th { cursor: pointer; user-select: none; }
+    .sortable-table th.sorted-asc::after { content: ' ▲'; }
+    .sortable-table th.sorted-desc::after { content: ' ▼'; }
+    .table-note { font-size: 12px; color: #888; margin: 12px 0 0 0; }
+    .sub-title { color: #ffffff; font-size: 18px; margin: 25px 0 12px 0; }
+    @media (max-width: 1200px) {
+        .charts-row.two-col { grid-template-columns: 1fr; }
+        .chart-half, .chart-full { height: 460px; }
+    }
+    @media (max-width: 768px) {
+        .strategy-info { grid-template-columns: 1fr; }
         .stats-grid { grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); }
         .heatmap { min-width: ${cols * 35}px; }
         .cell { min-width: 30px; font-size: 10px; }
@@ -1127,8 +3668,16 @@ class PortfolioHeatmapGenerator {
             <h3>📊 下注設定 & 費用配置</h3>
             <div class="position-details">
                 <strong>下注模式:</strong> ${positionModeDesc}<br>
-                <strong>手續費率:</strong> ${(this.commissionRate * 100).toFixed(3)}% (雙向)<br>
-                <strong>初始資金:</strong> $${this.initialCapital.toLocaleString()} USDT
+                <strong>資金配置:</strong> ${this.describeAllocation()}<br>
+                <strong>槓桿 / 保證金:</strong> ${this.describeLeverage()}<br>
+                <strong>交易成本:</strong> ${this.describeCosts()}<br>
+                <strong>資金費率:</strong> ${this.describeFunding()}<br>
+                <strong>初始資金:</strong> $${this.initialCapital.toLocaleString()} USDT<br>
+                <strong>分析週期:</strong> ${this.periodDescription}<br>
+                <strong>日序列:</strong> ${this.describeDailySeries()}<br>
+                <strong>報酬口徑:</strong> ${this.describeReturnConventions()}<br>
+                <strong>時區:</strong> 輸入 ${this.parseTimezone(this.inputTimezone).name} / 報告換日 ${this.describeReportDay()}<br>
+                <strong>圖表資源:</strong> ${this.describeReportAssets()}
             </div>
         </div>
         <div class="strategy-info">
@@ -1164,20 +3713,28 @@ class PortfolioHeatmapGenerator {
                 <canvas id="equityCurveChart" style="height: 380px;"></canvas>
             </div>
         </div>
+        ${generateCostBreakdownHTML()}
+        ${generateDrawdownAnalysisHTML()}
+        ${generateRollingMetricsHTML()}
     
-        <h2>週期性表現熱力圖 (${metricInfo.displayName})</h2>
+        <h2>週期性表現熱力圖 (<span id="heatmapMetricName">${metricInfo.displayName}</span>)</h2>
+        <div class="metric-selector">
+            <label for="heatmapMetricSelect">切換指標:</label>
+            <select id="heatmapMetricSelect">
+                ${Object.entries(this.metricProperties).map(([key, prop]) => `<option value="${key}"${key === chosenMetric ? ' selected' : ''}>${prop.displayName}</option>`).join('')}
+            </select>
+        </div>
         <div class="heatmap-container">
             <div class="heatmap">${
-                rectangularMatrix.map(cell => {
+                rectangularMatrix.map((cell, index) => {
                     if (cell.period === null) return `<div class="cell empty"></div>`;
-                    const cellValue = cell[chosenMetric];
-                    const displayValue = (cellValue !== null && isFinite(cellValue)) ? metricInfo.format(cellValue) : 'N/A';
-                    return `<div class="cell" style="background-color: ${getColor(cellValue)};">
-                        ${displayValue}
+                    const { color, label } = heatmapMetricViews[chosenMetric].cells[index];
+                    return `<div class="cell${cell.numTrades === 0 ? ' idle' : ''}" data-index="${index}" style="background-color: ${color};">
+                        <span class="cell-value">${label}</span>
                         <div class="tooltip">
                             <div class="tooltip-grid">
                                 <div class="tooltip-label">週期:</div><div>${cell.period}</div>
-                                <div class="tooltip-label">日期:</div><div>${cell.startDate}</div>
+                                <div class="tooltip-label">日期:</div><div>${cell.startDate === cell.endDate ? cell.startDate : `${cell.startDate} ~ ${cell.endDate}`}</div>
                                 <hr style="grid-column: 1 / -1; border-color: rgba(100,181,246,0.3); margin: 4px 0;">
                                 ${
                                     Object.entries(this.metricProperties).map(([key, prop]) =>
@@ -1192,7 +3749,10 @@ class PortfolioHeatmapGenerator {
                 }).join('')
             }</div>
         </div>
-        ${generateLegendHTML(metricInfo)}
+        <div id="heatmapLegend">${generateLegendHTML(metricInfo)}</div>
+        <h3 class="sub-title">全部指標一覽 (Small Multiples，點選可切換上方熱力圖)</h3>
+        <div class="small-multiples" id="heatmapSmallMultiples"></div>
+        ${generateSeasonalityHTML()}
         
         <h2>總體績效指標 (Overall Performance)</h2>
         <div class="stats-section">
@@ -1205,8 +3765,18 @@ class PortfolioHeatmapGenerator {
                 }
                 <div class="stat-card"><div class="stat-value">${overallStats.numTrades}</div><div class="stat-label">Total Trades</div></div>
                 <div class="stat-card"><div class="stat-value">${overallStats.numDays ?? '-'}</div><div class="stat-label">Total Days</div></div>
+                ${fundingSummary ? `<div class="stat-card"><div class="stat-value">$${fundingSummary.total.toFixed(2)}</div><div class="stat-label">Funding (${fundingSummary.totalMarks} 次結算)</div></div>` : ''}
             </div>
         </div>
+        ${generateMonthlyReturnsHTML()}
+        ${generateBenchmarkHTML()}
+        ${generateAllocationHTML()}
+        ${generateStrategyBreakdownHTML()}
+        ${generateSideSignalHTML()}
+        ${generateExcursionHTML()}
+        ${generateLiquidationHTML()}
+        ${generateSampleSplitHTML()}
+        ${generateMonteCarloHTML()}
             
         <div class="footer">
             <p>報告生成於 ${new Date().toLocaleString('zh-TW')} | 數據來源: ${Array.from(this.portfolioInfo.sourceFiles).join(', ')} | 回測分析工具創作者: LionAlgo</p>
@@ -1217,12 +3787,73 @@ class PortfolioHeatmapGenerator {
     const pnlDistributionData = ${JSON.stringify(pnlDistributionData)};
     const drawdownDistributionData = ${JSON.stringify(drawdownDistributionData)};
     const radarData = ${JSON.stringify(radarData)};
+    const strategyEquityData = ${JSON.stringify(strategyEquityData)};
+    const fundingSeries = ${JSON.stringify(fundingSummary ? fundingSummary.series : null)};
+    const monteCarloFan = ${JSON.stringify(monteCarlo ? monteCarlo.fan : null)};
+    const sideSignalData = ${JSON.stringify(sideSignalBreakdown)};
+    const heatmapMetricViews = ${JSON.stringify(heatmapMetricViews)};
+    const heatmapCols = ${cols};
+    const liquidationBins = ${JSON.stringify(liquidationAnalysis ? liquidationAnalysis.usageBins : null)};
+    const costData = ${JSON.stringify(costBreakdown ? { series: costBreakdown.series, entryFee: costBreakdown.entryFee, exitFee: costBreakdown.exitFee, slippage: costBreakdown.slippage, funding: costBreakdown.funding, hasFunding: !!fundingSummary } : null)};
+    const excursionData = ${JSON.stringify(excursionAnalysis ? { points: excursionAnalysis.points, edgeRatioSeries: excursionAnalysis.edgeRatioSeries } : null)};
+    const sampleSegments = ${JSON.stringify(sampleSplit ? sampleSplit.segments : [])};
+    const rollingData = ${JSON.stringify(rollingMetrics ? rollingMetrics.points : null)};
+    const drawdownData = ${JSON.stringify(drawdownAnalysis ? { underwater: drawdownAnalysis.underwater, durationHistogram: drawdownAnalysis.durationHistogram } : null)};
     const initialCapital = ${this.initialCapital};
+    const seriesPalette = ['#ffb74d', '#81c784', '#ba68c8', '#4dd0e1', '#f06292', '#aed581', '#ff8a65', '#9575cd'];
             
     Chart.defaults.color = '#e0e0e0';
     Chart.defaults.borderColor = 'rgba(100, 181, 246, 0.2)';
     Chart.defaults.backgroundColor = 'rgba(100, 181, 246, 0.1)';
             
+    // Heatmap 指標切換與 Small Multiples
+    const heatmapMetricSelect = document.getElementById('heatmapMetricSelect');
+    const applyHeatmapMetric = (metricKey) => {
+        const view = heatmapMetricViews[metricKey];
+        document.querySelectorAll('.heatmap .cell[data-index]').forEach(cell => {
+            const entry = view.cells[cell.dataset.index];
+            cell.style.backgroundColor = entry.color;
+            cell.querySelector('.cell-value').textContent = entry.label;
+        });
+        document.getElementById('heatmapMetricName').textContent = view.displayName;
+        document.getElementById('heatmapLegend').innerHTML = view.legendHTML;
+        document.querySelectorAll('.mini-heatmap-card').forEach(card => card.classList.toggle('active', card.dataset.metric === metricKey));
+    };
+    const smallMultiples = document.getElementById('heatmapSmallMultiples');
+    Object.entries(heatmapMetricViews).forEach(([metricKey, view]) => {
+        const card = document.createElement('div');
+        card.className = 'mini-heatmap-card' + (metricKey === heatmapMetricSelect.value ? ' active' : '');
+        card.dataset.metric = metricKey;
+        card.innerHTML = \`<div class="mini-title">\${view.displayName}</div><div class="mini-heatmap" style="grid-template-columns: repeat(\${heatmapCols}, 1fr);">\${view.cells.map(c => \`<div class="mini-cell" style="background-color: \${c.color};"></div>\`).join('')}</div>\`;
+        card.addEventListener('click', () => {
+            heatmapMetricSelect.value = metricKey;
+            applyHeatmapMetric(metricKey);
+        });
+        smallMultiples.appendChild(card);
+    });
+    heatmapMetricSelect.addEventListener('change', () => applyHeatmapMetric(heatmapMetricSelect.value));
+
+    // 樣本內 / 樣本外區段底色
+    const segmentShadingPlugin = {
+        id: 'segmentShading',
+        beforeDatasetsDraw(chart) {
+            if (sampleSegments.length === 0) return;
+            const { ctx, chartArea, scales } = chart;
+            ctx.save();
+            sampleSegments.forEach(segment => {
+                const left = Math.max(chartArea.left, scales.x.getPixelForValue(segment.start));
+                const right = Math.min(chartArea.right, scales.x.getPixelForValue(segment.end));
+                if (right <= left) return;
+                ctx.fillStyle = segment.type === 'oos' ? 'rgba(255, 183, 77, 0.10)' : 'rgba(100, 181, 246, 0.06)';
+                ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+                ctx.fillStyle = segment.type === 'oos' ? 'rgba(255, 183, 77, 0.8)' : 'rgba(100, 181, 246, 0.8)';
+                ctx.font = '11px sans-serif';
+                if (right - left > 30) ctx.fillText(segment.type === 'oos' ? 'OOS' : 'IS', left + 4, chartArea.top + 12);
+            });
+            ctx.restore();
+        }
+    };
+
     // Equity Curve
     const equityCtx = document.getElementById('equityCurveChart').getContext('2d');
     const equityGradient = equityCtx.createLinearGradient(0, 0, 0, 380);
@@ -1244,15 +3875,37 @@ class PortfolioHeatmapGenerator {
                 pointBackgroundColor: '#64b5f6',
                 pointBorderColor: '#ffffff',
                 pointBorderWidth: 2
-            }]
+            }, ...strategyEquityData.map((series, i) => ({
+                label: series.label,
+                data: series.data,
+                borderColor: series.benchmark ? '#9e9e9e' : seriesPalette[i % seriesPalette.length],
+                borderDash: series.benchmark ? [6, 4] : [],
+                borderWidth: 1.5,
+                pointRadius: 0,
+                pointHoverRadius: 4,
+                tension: 0.4,
+                fill: false
+            })), ...(fundingSeries ? [{
+                label: '累計資金費用 (右軸)',
+                data: fundingSeries,
+                yAxisID: 'yFunding',
+                borderColor: '#ffb74d',
+                borderDash: [3, 3],
+                borderWidth: 1.5,
+                pointRadius: 0,
+                pointHoverRadius: 4,
+                stepped: true,
+                fill: false
+            }] : [])]
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
             plugins: {
-                legend: { display: false },
+                legend: { display: strategyEquityData.length > 0 || !!fundingSeries, labels: { color: '#e0e0e0' } },
                 tooltip: {
-                    mode: 'index',
+                    mode: strategyEquityData.length > 0 ? 'nearest' : 'index',
+                    axis: 'x',
                     intersect: false,
                     backgroundColor: 'rgba(0, 0, 0, 0.8)',
                     titleColor: '#64b5f6',
@@ -1261,10 +3914,12 @@ class PortfolioHeatmapGenerator {
                     borderWidth: 1,
                     callbacks: {
                         label: function(context) {
+                            if (context.dataset.yAxisID === 'yFunding') return \`累計資金費用: $\${context.parsed.y.toFixed(2)}\`;
                             const equity = context.parsed.y;
                             const profitUSD = equity - initialCapital;
                             const profitPercent = initialCapital !== 0 ? (profitUSD / initialCapital) * 100 : 0;
-                            return \`權益: $\${equity.toFixed(2)} (盈虧: $\${profitUSD.toFixed(2)} / \${profitPercent.toFixed(2)}%)\`;
+                            const prefix = context.datasetIndex === 0 ? '權益' : context.dataset.label;
+                            return \`\${prefix}: $\${equity.toFixed(2)} (盈虧: $\${profitUSD.toFixed(2)} / \${profitPercent.toFixed(2)}%)\`;
                         }
                     }
                 }
@@ -1284,11 +3939,153 @@ class PortfolioHeatmapGenerator {
                         color: '#b0b0b0',
                         callback: function(value) { return '$' + value.toLocaleString(); }
                     }
+                },
+                ...(fundingSeries ? { yFunding: {
+                    position: 'right',
+                    title: { display: true, text: '累計資金費用 (USDT)', color: '#ffb74d' },
+                    grid: { drawOnChartArea: false },
+                    ticks: {
+                        color: '#ffb74d',
+                        callback: function(value) { return '$' + value.toLocaleString(); }
+                    }
+                } } : {})
+            },
+            interaction: { intersect: false, mode: strategyEquityData.length > 0 ? 'nearest' : 'index', axis: 'x' }
+        },
+        plugins: [segmentShadingPlugin]
+    });
+
+    // Underwater & Drawdown Duration
+    if (drawdownData) {
+        new Chart(document.getElementById('underwaterChart').getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [{ label: '距前高 (%)', data: drawdownData.underwater, borderColor: '#d73027', backgroundColor: 'rgba(215, 48, 39, 0.25)', borderWidth: 1.5, pointRadius: 0, fill: 'origin', stepped: true }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: { mode: 'index', intersect: false, callbacks: { label: context => \`距前高: \${context.parsed.y.toFixed(2)}%\` } }
+                },
+                scales: {
+                    x: {
+                        type: 'time',
+                        time: { unit: 'month', tooltipFormat: 'yyyy-MM-dd', displayFormats: { month: 'yyyy-MM' } },
+                        grid: { color: 'rgba(100, 181, 246, 0.1)' },
+                        ticks: { color: '#b0b0b0' }
+                    },
+                    y: { max: 0, title: { display: true, text: '回撤 (%)', color: '#e0e0e0' }, grid: { color: 'rgba(100, 181, 246, 0.1)' }, ticks: { color: '#b0b0b0' } }
                 }
             },
-            interaction: { intersect: false, mode: 'index' }
-        }
+            plugins: [segmentShadingPlugin]
+        });
+        new Chart(document.getElementById('drawdownDurationChart').getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: drawdownData.durationHistogram.map(bin => bin.label),
+                datasets: [
+                    { label: '總持續天數', data: drawdownData.durationHistogram.map(bin => bin.duration), backgroundColor: 'rgba(100, 181, 246, 0.7)' },
+                    { label: '恢復天數 (谷底→前高)', data: drawdownData.durationHistogram.map(bin => bin.recovery), backgroundColor: 'rgba(255, 183, 77, 0.7)' }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend: { display: true, labels: { color: '#e0e0e0' } } },
+                scales: {
+                    x: { title: { display: true, text: '天數', color: '#e0e0e0' }, grid: { display: false }, ticks: { color: '#b0b0b0' } },
+                    y: { title: { display: true, text: '事件數', color: '#e0e0e0' }, grid: { color: 'rgba(100, 181, 246, 0.1)' }, ticks: { color: '#b0b0b0', precision: 0 } }
+                }
+            }
+        });
+    }
+
+    // 可排序表格: 依儲存格 data-sort 值排序 (數字優先)
+    document.querySelectorAll('.sortable-table').forEach(table => {
+        table.querySelectorAll('th').forEach((th, columnIndex) => {
+            th.addEventListener('click', () => {
+                const ascending = !th.classList.contains('sorted-asc');
+                table.querySelectorAll('th').forEach(other => other.classList.remove('sorted-asc', 'sorted-desc'));
+                th.classList.add(ascending ? 'sorted-asc' : 'sorted-desc');
+                const tbody = table.querySelector('tbody');
+                const sortValue = row => {
+                    const raw = row.children[columnIndex].dataset.sort;
+                    const numeric = Number(raw);
+                    return raw !== '' && !isNaN(numeric) ? numeric : raw;
+                };
+                Array.from(tbody.rows)
+                    .sort((a, b) => {
+                        const va = sortValue(a), vb = sortValue(b);
+                        const order = typeof va === 'number' && typeof vb === 'number' ? va - vb : String(va).localeCompare(String(vb));
+                        return ascending ? order : -order;
+                    })
+                    .forEach(row => tbody.appendChild(row));
+            });
+        });
     });
+
+    // Rolling Metrics
+    if (rollingData) {
+        const rollingSeries = (key) => rollingData.map(p => ({ x: p.date, y: p[key] }));
+        const rollingTimeAxis = {
+            type: 'time',
+            time: { unit: 'month', tooltipFormat: 'yyyy-MM-dd', displayFormats: { month: 'yyyy-MM' } },
+            grid: { color: 'rgba(100, 181, 246, 0.1)' },
+            ticks: { color: '#b0b0b0' }
+        };
+        new Chart(document.getElementById('rollingRatioChart').getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [
+                    { label: '滾動 Sharpe', data: rollingSeries('sharpeRatio'), borderColor: '#64b5f6', borderWidth: 2, pointRadius: 0, fill: { target: 'origin', above: 'rgba(0, 0, 0, 0)', below: 'rgba(215, 48, 39, 0.2)' } },
+                    { label: '滾動 Sortino', data: rollingSeries('sortinoRatio'), borderColor: '#ffb74d', borderWidth: 1.5, pointRadius: 0, fill: false, spanGaps: false },
+                    { label: '0 (退場門檻)', data: [{ x: rollingData[0].date, y: 0 }, { x: rollingData[rollingData.length - 1].date, y: 0 }], borderColor: 'rgba(215, 48, 39, 0.7)', borderDash: [6, 4], borderWidth: 1, pointRadius: 0, fill: false }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: true, labels: { color: '#e0e0e0' } },
+                    tooltip: { mode: 'index', intersect: false, filter: item => item.datasetIndex < 2 }
+                },
+                scales: {
+                    x: rollingTimeAxis,
+                    y: { title: { display: true, text: '年化比率', color: '#e0e0e0' }, grid: { color: 'rgba(100, 181, 246, 0.1)' }, ticks: { color: '#b0b0b0' } }
+                }
+            },
+            plugins: [segmentShadingPlugin]
+        });
+        new Chart(document.getElementById('rollingRiskChart').getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [
+                    { label: '年化波動率 (%)', data: rollingSeries('volatility'), borderColor: '#ba68c8', borderWidth: 1.5, pointRadius: 0, fill: false },
+                    { label: '勝率 (%)', data: rollingSeries('winRate'), borderColor: '#81c784', borderWidth: 1.5, pointRadius: 0, fill: false },
+                    { label: '最大回撤 (%)', data: rollingSeries('mdd'), borderColor: '#d73027', borderWidth: 1.5, pointRadius: 0, fill: false }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: true, labels: { color: '#e0e0e0' } },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        callbacks: { label: context => \`\${context.dataset.label}: \${context.parsed.y.toFixed(2)}\` }
+                    }
+                },
+                scales: {
+                    x: rollingTimeAxis,
+                    y: { title: { display: true, text: '%', color: '#e0e0e0' }, grid: { color: 'rgba(100, 181, 246, 0.1)' }, ticks: { color: '#b0b0b0' } }
+                }
+            },
+            plugins: [segmentShadingPlugin]
+        });
+    }
             
     // PnL Distribution
     const pnlCtx = document.getElementById('pnlDistributionChart').getContext('2d');
@@ -1456,45 +4253,347 @@ class PortfolioHeatmapGenerator {
         }
     });
     
-    // Radar
-    const radarCtx = document.getElementById('radarChart').getContext('2d');
-    new Chart(radarCtx, {
-        type: 'radar',
-        data: {
-            labels: radarData.map(item => item.label),
-            datasets: [{
-                label: '績效評分',
-                data: radarData.map(item => item.value),
-                backgroundColor: 'rgba(100, 181, 246, 0.2)',
-                borderColor: '#64b5f6',
-                borderWidth: 3,
-                pointBackgroundColor: '#64b5f6',
-                pointBorderColor: '#ffffff',
-                pointBorderWidth: 2,
-                pointRadius: 4,
-                pointHoverRadius: 6,
-                fill: true
-            }]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: true,
-            plugins: {
-                legend: { display: false },
-                tooltip: {
-                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
-                    titleColor: '#64b5f6',
-                    bodyColor: '#ffffff',
-                    borderColor: '#64b5f6',
-                    borderWidth: 1,
-                    callbacks: {
-                        label: function(context) {
-                            const dataIndex = context.dataIndex;
-                            const metric = radarData[dataIndex];
-                            return [
-                                \`評分: \${context.parsed.r.toFixed(1)}%\`,
-                                \`實際值: \${metric.formattedValue}\`
-                            ];
+    // Long / Short & Signal Breakdown
+    const renderSegmentCharts = (segments, equityCanvasId, pnlCanvasId) => {
+        new Chart(document.getElementById(equityCanvasId).getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: segments.map((segment, i) => ({
+                    label: segment.label,
+                    data: segment.equityCurve,
+                    borderColor: seriesPalette[i % seriesPalette.length],
+                    borderWidth: 1.5,
+                    pointRadius: 0,
+                    tension: 0.2,
+                    fill: false
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: true, labels: { color: '#e0e0e0', boxWidth: 12 } },
+                    tooltip: {
+                        mode: 'nearest',
+                        axis: 'x',
+                        intersect: false,
+                        callbacks: {
+                            label: function(context) { return \`\${context.dataset.label}: $\${context.parsed.y.toFixed(2)}\`; }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'time',
+                        time: { unit: 'month', tooltipFormat: 'yyyy-MM-dd HH:mm', displayFormats: { month: 'yyyy-MM' } },
+                        grid: { color: 'rgba(100, 181, 246, 0.1)' },
+                        ticks: { color: '#b0b0b0' }
+                    },
+                    y: {
+                        grid: { color: 'rgba(100, 181, 246, 0.1)' },
+                        ticks: { color: '#b0b0b0', callback: function(value) { return '$' + value.toLocaleString(); } }
+                    }
+                }
+            }
+        });
+        new Chart(document.getElementById(pnlCanvasId).getContext('2d'), {
+            type: segments.length > 2 ? 'line' : 'bar',
+            data: {
+                labels: sideSignalData.pnlBins.map(bin => bin.label),
+                datasets: segments.map((segment, i) => ({
+                    label: segment.label,
+                    data: segment.pnlHistogram,
+                    borderColor: seriesPalette[i % seriesPalette.length],
+                    backgroundColor: seriesPalette[i % seriesPalette.length] + '99',
+                    borderWidth: 1.5,
+                    pointRadius: 0,
+                    tension: 0.3
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: true, labels: { color: '#e0e0e0', boxWidth: 12 } },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        callbacks: {
+                            title: function(context) {
+                                const bin = sideSignalData.pnlBins[context[0].dataIndex];
+                                return \`PnL區間: \${bin.start.toFixed(2)} ~ \${bin.end.toFixed(2)} USDT\`;
+                            },
+                            label: function(context) { return \`\${context.dataset.label}: \${context.parsed.y.toFixed(1)}%\`; }
+                        }
+                    }
+                },
+                scales: {
+                    x: { grid: { color: 'rgba(100, 181, 246, 0.1)' }, ticks: { color: '#b0b0b0', maxRotation: 45 } },
+                    y: {
+                        title: { display: true, text: '組內佔比 (%)', color: '#e0e0e0' },
+                        grid: { color: 'rgba(100, 181, 246, 0.1)' },
+                        ticks: { color: '#b0b0b0' }
+                    }
+                }
+            }
+        });
+    };
+    if (sideSignalData) {
+        renderSegmentCharts(sideSignalData.sides, 'sideEquityChart', 'sidePnlChart');
+        renderSegmentCharts(sideSignalData.signals, 'signalEquityChart', 'signalPnlChart');
+    }
+
+    // MAE / MFE
+    if (excursionData) {
+        const renderExcursionScatter = (canvasId, field, axisTitle) => {
+            const toPoint = p => ({ x: p[field], y: p.pnl });
+            new Chart(document.getElementById(canvasId).getContext('2d'), {
+                type: 'scatter',
+                data: {
+                    datasets: [
+                        { label: '獲利交易', data: excursionData.points.filter(p => p.win).map(toPoint), backgroundColor: 'rgba(102, 189, 99, 0.6)', pointRadius: 2.5 },
+                        { label: '虧損交易', data: excursionData.points.filter(p => !p.win).map(toPoint), backgroundColor: 'rgba(215, 48, 39, 0.6)', pointRadius: 2.5 }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { display: true, labels: { color: '#e0e0e0' } },
+                        tooltip: {
+                            callbacks: {
+                                label: function(context) { return \`\${axisTitle}: \${context.parsed.x.toFixed(3)}% / 最終損益: \${context.parsed.y.toFixed(3)}%\`; }
+                            }
+                        }
+                    },
+                    scales: {
+                        x: { title: { display: true, text: axisTitle + ' (%)', color: '#e0e0e0' }, grid: { color: 'rgba(100, 181, 246, 0.1)' }, ticks: { color: '#b0b0b0' } },
+                        y: { title: { display: true, text: '最終損益 (%)', color: '#e0e0e0' }, grid: { color: 'rgba(100, 181, 246, 0.1)' }, ticks: { color: '#b0b0b0' } }
+                    }
+                }
+            });
+        };
+        renderExcursionScatter('maeScatterChart', 'mae', 'MAE');
+        renderExcursionScatter('mfeScatterChart', 'mfe', 'MFE');
+        new Chart(document.getElementById('edgeRatioChart').getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [
+                    { label: '累積 Edge Ratio', data: excursionData.edgeRatioSeries.map(p => ({ x: p.x, y: p.cumulative })), borderColor: '#64b5f6', borderWidth: 2, pointRadius: 0, fill: false },
+                    { label: '滾動 Edge Ratio', data: excursionData.edgeRatioSeries.map(p => ({ x: p.x, y: p.rolling })), borderColor: '#ffb74d', borderWidth: 1.5, pointRadius: 0, fill: false, spanGaps: false }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: true, labels: { color: '#e0e0e0' } },
+                    tooltip: { mode: 'index', intersect: false }
+                },
+                scales: {
+                    x: {
+                        type: 'time',
+                        time: { unit: 'month', tooltipFormat: 'yyyy-MM-dd HH:mm', displayFormats: { month: 'yyyy-MM' } },
+                        grid: { color: 'rgba(100, 181, 246, 0.1)' },
+                        ticks: { color: '#b0b0b0' }
+                    },
+                    y: { title: { display: true, text: 'Edge Ratio', color: '#e0e0e0' }, grid: { color: 'rgba(100, 181, 246, 0.1)' }, ticks: { color: '#b0b0b0' } }
+                }
+            }
+        });
+    }
+
+    // Liquidation Usage
+    if (liquidationBins) {
+        new Chart(document.getElementById('liquidationUsageChart').getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: liquidationBins.map(bin => bin.label),
+                datasets: [{
+                    label: '交易數',
+                    data: liquidationBins.map(bin => bin.count),
+                    backgroundColor: liquidationBins.map((bin, i) => i === liquidationBins.length - 1 ? 'rgba(215, 48, 39, 0.8)' : (i >= 8 ? 'rgba(255, 183, 77, 0.7)' : 'rgba(100, 181, 246, 0.6)'))
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend: { display: false } },
+                scales: {
+                    x: { title: { display: true, text: '保證金使用率', color: '#e0e0e0' }, grid: { display: false }, ticks: { color: '#b0b0b0' } },
+                    y: { title: { display: true, text: '交易數', color: '#e0e0e0' }, grid: { color: 'rgba(100, 181, 246, 0.1)' }, ticks: { color: '#b0b0b0', precision: 0 } }
+                }
+            }
+        });
+    }
+
+    // Cost Breakdown
+    if (costData) {
+        const costComponents = [
+            { key: 'entryFee', label: '進場手續費', color: '#64b5f6' },
+            { key: 'exitFee', label: '出場手續費', color: '#ba68c8' },
+            { key: 'slippage', label: '滑價', color: '#ff8a65' },
+            ...(costData.hasFunding ? [{ key: 'funding', label: '資金費用 (淨支付)', color: '#ffb74d' }] : [])
+        ];
+        new Chart(document.getElementById('costCumulativeChart').getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: costComponents.map((component, i) => ({
+                    label: component.label,
+                    data: costData.series[component.key],
+                    borderColor: component.color,
+                    backgroundColor: component.color + '55',
+                    borderWidth: 1.5,
+                    pointRadius: 0,
+                    stepped: true,
+                    fill: i === 0 ? 'origin' : '-1'
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { labels: { color: '#e0e0e0' } },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        callbacks: { label: function(context) { return \`\${context.dataset.label}: $\${context.parsed.y.toFixed(2)}\`; } }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'time',
+                        time: { unit: 'month', tooltipFormat: 'yyyy-MM-dd HH:mm', displayFormats: { month: 'yyyy-MM' } },
+                        grid: { color: 'rgba(100, 181, 246, 0.1)' },
+                        ticks: { color: '#b0b0b0' }
+                    },
+                    y: {
+                        stacked: true,
+                        title: { display: true, text: '累計成本 (USDT)', color: '#e0e0e0' },
+                        grid: { color: 'rgba(100, 181, 246, 0.1)' },
+                        ticks: { color: '#b0b0b0', callback: function(value) { return '$' + value.toLocaleString(); } }
+                    }
+                },
+                interaction: { intersect: false, mode: 'index' }
+            }
+        });
+        new Chart(document.getElementById('costCompositionChart').getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: costComponents.map(component => component.label),
+                datasets: [{
+                    label: '成本 (USD)',
+                    data: costComponents.map(component => costData[component.key]),
+                    backgroundColor: costComponents.map(component => component.color + 'cc')
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: { callbacks: { label: function(context) { return \`$\${context.parsed.x.toFixed(2)}\`; } } }
+                },
+                scales: {
+                    x: { title: { display: true, text: 'USDT', color: '#e0e0e0' }, grid: { color: 'rgba(100, 181, 246, 0.1)' }, ticks: { color: '#b0b0b0' } },
+                    y: { grid: { display: false }, ticks: { color: '#b0b0b0' } }
+                }
+            }
+        });
+    }
+
+    // Monte Carlo Fan Chart
+    if (monteCarloFan) {
+        const toPoints = (values) => values.map((y, i) => ({ x: monteCarloFan.steps[i], y }));
+        new Chart(document.getElementById('monteCarloChart').getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [
+                    { label: '5%', data: toPoints(monteCarloFan.p5), borderColor: 'rgba(215, 48, 39, 0.6)', borderWidth: 1, pointRadius: 0, fill: false },
+                    { label: '95%', data: toPoints(monteCarloFan.p95), borderColor: 'rgba(26, 152, 80, 0.6)', borderWidth: 1, pointRadius: 0, backgroundColor: 'rgba(100, 181, 246, 0.12)', fill: '-1' },
+                    { label: '25%', data: toPoints(monteCarloFan.p25), borderColor: 'rgba(100, 181, 246, 0.5)', borderWidth: 1, pointRadius: 0, fill: false },
+                    { label: '75%', data: toPoints(monteCarloFan.p75), borderColor: 'rgba(100, 181, 246, 0.5)', borderWidth: 1, pointRadius: 0, backgroundColor: 'rgba(100, 181, 246, 0.25)', fill: '-1' },
+                    { label: '中位數', data: toPoints(monteCarloFan.p50), borderColor: '#64b5f6', borderWidth: 2, pointRadius: 0, fill: false },
+                    { label: '歷史路徑', data: toPoints(monteCarloFan.historical), borderColor: '#ffb74d', borderWidth: 2, borderDash: [6, 4], pointRadius: 0, fill: false }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: true, labels: { color: '#e0e0e0' } },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                        titleColor: '#64b5f6',
+                        bodyColor: '#ffffff',
+                        borderColor: '#64b5f6',
+                        borderWidth: 1,
+                        callbacks: {
+                            title: function(context) { return \`第 \${context[0].parsed.x} 筆交易\`; },
+                            label: function(context) { return \`\${context.dataset.label}: $\${context.parsed.y.toFixed(2)}\`; }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: { display: true, text: '交易筆數', color: '#e0e0e0' },
+                        grid: { color: 'rgba(100, 181, 246, 0.1)' },
+                        ticks: { color: '#b0b0b0' }
+                    },
+                    y: {
+                        title: { display: true, text: '權益 (USDT)', color: '#e0e0e0' },
+                        grid: { color: 'rgba(100, 181, 246, 0.1)' },
+                        ticks: { color: '#b0b0b0', callback: function(value) { return '$' + value.toLocaleString(); } }
+                    }
+                },
+                interaction: { intersect: false, mode: 'index' }
+            }
+        });
+    }
+
+    // Radar
+    const radarCtx = document.getElementById('radarChart').getContext('2d');
+    new Chart(radarCtx, {
+        type: 'radar',
+        data: {
+            labels: radarData.map(item => item.label),
+            datasets: [{
+                label: '績效評分',
+                data: radarData.map(item => item.value),
+                backgroundColor: 'rgba(100, 181, 246, 0.2)',
+                borderColor: '#64b5f6',
+                borderWidth: 3,
+                pointBackgroundColor: '#64b5f6',
+                pointBorderColor: '#ffffff',
+                pointBorderWidth: 2,
+                pointRadius: 4,
+                pointHoverRadius: 6,
+                fill: true
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                    titleColor: '#64b5f6',
+                    bodyColor: '#ffffff',
+                    borderColor: '#64b5f6',
+                    borderWidth: 1,
+                    callbacks: {
+                        label: function(context) {
+                            const dataIndex = context.dataIndex;
+                            const metric = radarData[dataIndex];
+                            return [
+                                \`評分: \${context.parsed.r.toFixed(1)}%\`,
+                                \`實際值: \${metric.formattedValue}\`
+                            ];
                         }
                     }
                 }
@@ -1518,7 +4617,8 @@ class PortfolioHeatmapGenerator {
         `;
     }
 
-    generateFolderSummary(portfolioName, positionModeStr, overallStats, totalPeriods, pnlDistributionData, drawdownDistributionData, equityCurveData) {
+    generateFolderSummary(portfolioName, positionModeStr, overallStats, totalPeriods, pnlDistributionData, drawdownDistributionData, equityCurveData, reportExtras = {}) {
+        const { strategyBreakdown = { strategies: [], correlationMatrix: [] }, subAccountResult = null, monteCarlo = null, sampleSplit = null, benchmark = null, sideSignalBreakdown = null, excursionAnalysis = null, seasonality = null, monthlyReturns = null, rollingMetrics = null, drawdownAnalysis = null, liquidationAnalysis = null, fundingSummary = null, costBreakdown = null } = reportExtras;
         const brokers = Array.from(this.portfolioInfo.brokers).join(', ') || 'N/A';
         const platforms = Array.from(this.portfolioInfo.platforms).join(', ') || 'N/A';
         const symbols = Array.from(this.portfolioInfo.symbols).join(', ') || 'N/A';
@@ -1578,6 +4678,325 @@ class PortfolioHeatmapGenerator {
 總淨利:   $${totalProfit.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})} (${totalProfitPercent.toFixed(2)}%)`.trim();
         }
 
+        let strategyTable = '無策略分項數據。';
+        if (strategyBreakdown.strategies.length > 0) {
+            const legLines = [];
+            const legHeader = padCell('#', 4, true) + padCell('策略', 36, true) + padCell('交易數', 8) + padCell('淨損益', 14) + padCell('貢獻', 10) + padCell('夏普', 10) + padCell('最大回撤', 10);
+            legLines.push(legHeader);
+            legLines.push('─'.repeat(displayWidth(legHeader)));
+            strategyBreakdown.strategies.forEach((leg, i) => {
+                legLines.push(
+                    padCell(String(i + 1), 4, true) +
+                    padCell(leg.label.slice(0, 34), 36, true) +
+                    padCell(String(leg.stats.numTrades), 8) +
+                    padCell(`$${leg.netPnL.toFixed(2)}`, 14) +
+                    padCell(`${leg.contributionPct.toFixed(1)}%`, 10) +
+                    padCell(leg.stats.sharpeRatio.toFixed(3), 10) +
+                    padCell(`${leg.stats.mdd.toFixed(2)}%`, 10)
+                );
+            });
+            if (strategyBreakdown.strategies.length > 1) {
+                legLines.push('', '日損益相關係數:');
+                legLines.push('    ' + strategyBreakdown.strategies.map((_, i) => `#${i + 1}`.padStart(8)).join(''));
+                strategyBreakdown.correlationMatrix.forEach((row, i) => {
+                    legLines.push(`#${i + 1}`.padEnd(4) + row.map(v => v.toFixed(2).padStart(8)).join(''));
+                });
+            }
+            strategyTable = legLines.join('\n');
+        }
+
+        let allocationTable = '';
+        if (subAccountResult) {
+            const allocLines = [];
+            const allocHeader = padCell('子帳戶', 30, true) + padCell('目標權重', 10) + padCell('起始資金', 14) + padCell('最終權益', 14) + padCell('最終權重', 10) + padCell('淨損益', 14);
+            allocLines.push(allocHeader);
+            allocLines.push('─'.repeat(displayWidth(allocHeader)));
+            subAccountResult.accounts.forEach(a => {
+                allocLines.push(
+                    padCell(a.strategyName.slice(0, 28), 30, true) +
+                    padCell(`${(a.targetWeight * 100).toFixed(1)}%`, 10) +
+                    padCell(`$${a.startCapital.toFixed(2)}`, 14) +
+                    padCell(`$${a.finalEquity.toFixed(2)}`, 14) +
+                    padCell(`${(a.finalWeight * 100).toFixed(1)}%`, 10) +
+                    padCell(`$${a.netPnL.toFixed(2)}`, 14)
+                );
+                allocLines.push(`    └ ${this.describeSizing(a.sizing)}`);
+            });
+            allocLines.push('', `再平衡次數: ${subAccountResult.rebalances.length}`);
+            allocationTable = `
+🏦 資金配置與子帳戶
+─────────────────────────────────────────────────────────────
+${allocLines.join('\n')}
+`;
+        }
+
+        let monteCarloSummary = '未執行蒙地卡羅模擬。';
+        if (monteCarlo) {
+            const levels = ['p5', 'p25', 'p50', 'p75', 'p95'];
+            const mcLines = [];
+            mcLines.push(`方法: ${monteCarlo.methodName} × ${monteCarlo.runs} 次 (${monteCarlo.compounding ? '報酬率複利' : 'USD 損益'}，種子 ${monteCarlo.seed ?? '隨機'})`);
+            mcLines.push(`破產機率: ${monteCarlo.ruinProbability.toFixed(2)}% (權益跌破 $${monteCarlo.ruinEquity.toFixed(2)}，即虧損 ${monteCarlo.ruinLevelPct}%)`);
+            mcLines.push('');
+            mcLines.push('百分位'.padEnd(20) + levels.map(l => `${l.replace('p', '')}%`.padStart(13)).join(''));
+            mcLines.push('─'.repeat(85));
+            mcLines.push('最終權益 (USD)'.padEnd(17) + levels.map(l => `$${monteCarlo.finalEquity[l].toFixed(2)}`.padStart(13)).join(''));
+            mcLines.push('最大回撤 (%)'.padEnd(18) + levels.map(l => `${monteCarlo.maxDrawdownPct[l].toFixed(2)}%`.padStart(13)).join(''));
+            mcLines.push('最長水下 (筆)'.padEnd(17) + levels.map(l => `${Math.round(monteCarlo.longestUnderwaterTrades[l])}`.padStart(13)).join(''));
+            mcLines.push('最長水下 (約天)'.padEnd(16) + levels.map(l => `${(monteCarlo.longestUnderwaterTrades[l] * monteCarlo.daysPerTrade).toFixed(0)}`.padStart(13)).join(''));
+            monteCarloSummary = mcLines.join('\n');
+        }
+
+        let sideSignalSummary = '';
+        if (sideSignalBreakdown) {
+            const segmentLines = (title, segments) => {
+                const row = cells => padCell(cells[0], 20, true) + cells.slice(1).map((cell, i) => padCell(cell, i === 2 ? 14 : 10)).join('');
+                const lines = [row([title, '交易數', '勝率(筆)', '淨損益', '貢獻', '夏普', '最大回撤'])];
+                lines.push('─'.repeat(84));
+                segments.forEach(segment => {
+                    lines.push(row([
+                        segment.label.slice(0, 18),
+                        `${segment.numTrades}`,
+                        `${segment.tradeWinRate.toFixed(1)}%`,
+                        `$${segment.netPnL.toFixed(2)}`,
+                        `${segment.contributionPct.toFixed(1)}%`,
+                        segment.stats.sharpeRatio.toFixed(3),
+                        `${segment.stats.mdd.toFixed(2)}%`
+                    ]));
+                });
+                return lines.join('\n');
+            };
+            sideSignalSummary = `
+↕️  多空與信號分項 (各組單獨 KPI / 組合內損益貢獻)
+─────────────────────────────────────────────────────────────
+${segmentLines('方向', sideSignalBreakdown.sides)}
+
+${segmentLines('進場信號', sideSignalBreakdown.signals)}
+`;
+        }
+
+        let liquidationSummary = '';
+        if (liquidationAnalysis) {
+            const usageText = value => isFinite(value) ? `${value.toFixed(1)}%` : '∞';
+            const liqHeader = padCell('出場時間', 21, true) + padCell('方向', 6, true) + padCell('MAE', 9) + padCell('清算距離', 10) + padCell('使用率', 9) + padCell('淨損益', 12) + '  結果';
+            const liqLines = [
+                `清算次數: ${liquidationAnalysis.liquidations} (損失合計 $${liquidationAnalysis.liquidationLoss.toFixed(2)} USDT)`,
+                `險些清算 (使用率 ≥ 80%): ${liquidationAnalysis.nearMisses} 筆`,
+                `最高保證金使用率: ${liquidationAnalysis.maxUsagePct === null ? 'N/A' : usageText(liquidationAnalysis.maxUsagePct)}，最小清算距離: ${liquidationAnalysis.minDistancePct === null ? 'N/A' : `${liquidationAnalysis.minDistancePct.toFixed(2)}%`}`
+            ];
+            if (liquidationAnalysis.unknownTrades > 0) liqLines.push(`缺少 MAE 無法判斷清算: ${liquidationAnalysis.unknownTrades} 筆`);
+            if (liquidationAnalysis.worstTrades.length > 0) {
+                liqLines.push('', '最接近清算的交易:', liqHeader, '─'.repeat(displayWidth(liqHeader)));
+                liquidationAnalysis.worstTrades.forEach(row => {
+                    liqLines.push(
+                        padCell(row.exitTime, 21, true) + padCell(row.side === 'long' ? '做多' : (row.side === 'short' ? '做空' : 'N/A'), 6, true) +
+                        padCell(`${row.maePct.toFixed(2)}%`, 9) + padCell(`${row.distancePct.toFixed(2)}%`, 10) + padCell(usageText(row.usagePct), 9) +
+                        padCell(row.netPnL.toFixed(2), 12) + `  ${row.liquidated ? '已清算' : '未清算'}`
+                    );
+                });
+            }
+            liquidationSummary = `
+💥 槓桿與清算 (${this.describeLeverage()})
+─────────────────────────────────────────────────────────────
+${liqLines.join('\n')}
+`;
+        }
+
+        let costSummary = '';
+        if (costBreakdown) {
+            const costHeader = padCell('成本項目', 20, true) + padCell('金額 (USD)', 14) + padCell('佔總成本', 10);
+            const costRow = (label, value) => padCell(label, 20, true) + padCell(value.toFixed(2), 14) +
+                padCell(costBreakdown.total !== 0 ? `${(value / costBreakdown.total * 100).toFixed(1)}%` : '-', 10);
+            const costLines = [costHeader, '─'.repeat(displayWidth(costHeader))];
+            costLines.push(costRow('進場手續費', costBreakdown.entryFee), costRow('出場手續費', costBreakdown.exitFee), costRow('滑價', costBreakdown.slippage));
+            if (fundingSummary) costLines.push(costRow('資金費用 (淨支付)', costBreakdown.funding));
+            costLines.push(costRow('合計', costBreakdown.total));
+            if (costBreakdown.costPctOfGross !== null) costLines.push('', `成本佔毛利 (扣成本前損益) 比例: ${costBreakdown.costPctOfGross.toFixed(1)}%`);
+            if (costBreakdown.bySchedule.length > 1 || (this.costModelInfo && this.costModelInfo.fallbackTrades > 0)) {
+                const scheduleHeader = padCell('費率表', 20, true) + padCell('交易數', 8) + padCell('手續費', 12) + padCell('滑價', 12);
+                costLines.push('', scheduleHeader, '─'.repeat(displayWidth(scheduleHeader)));
+                costBreakdown.bySchedule.forEach(row => {
+                    costLines.push(padCell(row.label, 20, true) + padCell(String(row.trades), 8) + padCell(row.fees.toFixed(2), 12) + padCell(row.slippage.toFixed(2), 12));
+                });
+            }
+            costSummary = `
+🧾 交易成本拆解
+─────────────────────────────────────────────────────────────
+成本模型: ${this.describeCosts()}
+${costLines.join('\n')}
+`;
+        }
+
+        let fundingSummaryText = '';
+        if (fundingSummary) {
+            const fundingHeader = padCell('交易對', 18, true) + padCell('交易數', 8) + padCell('結算次數', 10) + padCell('資金費用', 14);
+            const fundingLines = [
+                `合計: $${fundingSummary.total.toFixed(2)} USDT (支付 $${fundingSummary.paid.toFixed(2)} / 收取 $${fundingSummary.received.toFixed(2)})`,
+                `跨越結算的交易: ${fundingSummary.chargedTrades} 筆，共 ${fundingSummary.totalMarks} 次結算`
+            ];
+            if (fundingSummary.unknownTrades > 0) fundingLines.push(`缺少進場時間、方向或費率資料而未計費: ${fundingSummary.unknownTrades} 筆`);
+            if (fundingSummary.uncoveredTrades > 0) fundingLines.push(`持倉期間超出費率資料範圍 (僅部分計費): ${fundingSummary.uncoveredTrades} 筆`);
+            if (fundingSummary.missingSymbols.length > 0) fundingLines.push(`找不到費率檔案的交易對: ${fundingSummary.missingSymbols.join(' / ')}`);
+            fundingLines.push('', fundingHeader, '─'.repeat(displayWidth(fundingHeader)));
+            fundingSummary.bySymbol.forEach(row => {
+                fundingLines.push(padCell(row.symbol, 18, true) + padCell(String(row.trades), 8) + padCell(String(row.marks), 10) + padCell(row.funding.toFixed(2), 14));
+            });
+            fundingSummaryText = `
+💸 資金費用 (永續合約)
+─────────────────────────────────────────────────────────────
+費率來源: ${this.describeFunding()}
+${fundingLines.join('\n')}
+`;
+        }
+
+        let excursionSummary = '';
+        if (excursionAnalysis) {
+            const { baseline, whatIf } = excursionAnalysis;
+            const whatIfRow = cells => padCell(cells[0], 16, true) + cells.slice(1).map((cell, i) => padCell(cell, i === 1 ? 14 : 10)).join('');
+            const whatIfLine = (label, affected, row) => whatIfRow([
+                label, affected, `$${row.netPnL.toFixed(2)}`, `${row.tradeWinRate.toFixed(1)}%`, row.sharpeRatio.toFixed(3), `${row.mdd.toFixed(2)}%`
+            ]);
+            const whatIfLines = [whatIfRow(['規則', '受影響', '淨損益', '勝率(筆)', 'Sharpe', '最大回撤']), '─'.repeat(70)];
+            whatIfLines.push(whatIfLine('原始出場', '-', baseline));
+            whatIf.forEach(row => whatIfLines.push(whatIfLine(`${row.rule === 'stopLoss' ? '停損' : '停利'} ${row.level}%`, `${row.affectedTrades}`, row)));
+            excursionSummary = `
+🎯 MAE / MFE 分析
+─────────────────────────────────────────────────────────────
+Edge Ratio:         ${excursionAnalysis.edgeRatio === null ? 'N/A' : excursionAnalysis.edgeRatio.toFixed(3)} (平均 MFE ${excursionAnalysis.avgMfePct.toFixed(3)}% / 平均 MAE ${excursionAnalysis.avgMaePct.toFixed(3)}%)
+獲利交易平均 MAE:   ${excursionAnalysis.winnerAvgMaePct.toFixed(3)}%
+虧損交易平均 MAE:   ${excursionAnalysis.loserAvgMaePct.toFixed(3)}%
+獲利交易 MFE 捕獲:  ${excursionAnalysis.winnerMfeCapture.toFixed(1)}%
+
+假設性停損 / 停利 (同時觸及時保守假設先停損):
+${whatIfLines.join('\n')}
+`;
+        }
+
+        let seasonalitySummary = '';
+        if (seasonality) {
+            const metricProp = this.metricProperties[seasonality.metric];
+            const slotLine = slot => `  ${padCell(slot.label, 14, true)}${padCell(`$${slot.netPnL.toFixed(2)}`, 12)}${padCell(`${slot.numTrades} 筆`, 10)}${padCell(slot.value === null || !isFinite(slot.value) ? 'N/A' : metricProp.format(slot.value), 10)}`;
+            seasonalitySummary = `
+🕐 季節性 (出場時段 × 星期，${seasonality.timezone})
+─────────────────────────────────────────────────────────────
+最佳時段 (淨損益 / 交易數 / ${metricProp.displayName}):
+${seasonality.bestSlots.map(slotLine).join('\n')}
+最差時段:
+${seasonality.worstSlots.map(slotLine).join('\n')}
+完整時段 × 星期與月份 × 年份矩陣請見 HTML 報告與季節性 CSV。
+`;
+        }
+
+        let monthlyReturnsTable = '無月報酬數據。';
+        if (monthlyReturns) {
+            const monthHeader = padCell('年份', 6, true) + Array.from({ length: 12 }, (_, i) => padCell(`${i + 1}月`, 8)).join('') + padCell('YTD', 9) + padCell('年度MDD', 9);
+            const monthLines = [monthHeader, '─'.repeat(displayWidth(monthHeader))];
+            monthlyReturns.years.forEach(row => {
+                monthLines.push(
+                    padCell(row.year, 6, true) +
+                    row.months.map(v => padCell(v === null ? '-' : v.toFixed(2), 8)).join('') +
+                    padCell(`${row.ytd.toFixed(2)}%`, 9) +
+                    padCell(`${row.maxDrawdown.toFixed(2)}%`, 9)
+                );
+            });
+            monthLines.push('', `(單位: %，正報酬月份 ${monthlyReturns.positiveMonths} / ${monthlyReturns.totalMonths})`);
+            monthlyReturnsTable = monthLines.join('\n');
+        }
+
+        let drawdownEventSummary = '';
+        if (drawdownAnalysis && drawdownAnalysis.numEvents > 0) {
+            const { durationStats } = drawdownAnalysis;
+            const dayCell = value => padCell(value === undefined ? '-' : value.toFixed(1), 8);
+            const statHeader = padCell('項目', 22, true) + ['事件數', '平均', '中位數', 'P75', 'P90', 'P95', '最長'].map(h => padCell(h, 8)).join('');
+            const ddLines = [statHeader, '─'.repeat(displayWidth(statHeader))];
+            [['總持續 (高點→恢復)', durationStats.duration], ['跌至谷底 (高點→谷底)', durationStats.toTrough], ['恢復 (谷底→前高)', durationStats.recovery]].forEach(([label, stats]) => {
+                ddLines.push(padCell(label, 22, true) + padCell(String(stats ? stats.count : 0), 8) + ['mean', 'median', 'p75', 'p90', 'p95', 'max'].map(key => dayCell(stats ? stats[key] : undefined)).join(''));
+            });
+            ddLines.push('(單位: 天；進行中的回撤不計入恢復時間)', '');
+            const rankHeader = padCell('#', 4, true) + padCell('高點日期', 12, true) + padCell('谷底日期', 12, true) + padCell('恢復日期', 12, true) + padCell('深度%', 9) + padCell('至谷底', 8) + padCell('恢復', 8) + padCell('總天數', 8) + '  狀態';
+            ddLines.push(`最深 ${drawdownAnalysis.topEvents.length} 個回撤:`, rankHeader, '─'.repeat(displayWidth(rankHeader)));
+            drawdownAnalysis.topEvents.forEach(ev => {
+                ddLines.push(
+                    padCell(String(ev.rank), 4, true) + padCell(ev.startDate, 12, true) + padCell(ev.troughDate, 12, true) + padCell(ev.recovered ? ev.endDate : '-', 12, true) +
+                    padCell(`-${ev.depthPct.toFixed(2)}`, 9) + padCell(String(ev.toTroughDays), 8) + padCell(ev.recovered ? String(ev.recoveryDays) : '-', 8) + padCell(String(ev.fullDurationDays), 8) +
+                    `  ${ev.recovered ? '已恢復' : '進行中'}`
+                );
+            });
+            drawdownEventSummary = `
+⏳ 回撤時間與恢復 (共 ${drawdownAnalysis.numEvents} 次，已恢復 ${drawdownAnalysis.recoveredCount} 次)
+─────────────────────────────────────────────────────────────
+${ddLines.join('\n')}
+`;
+        }
+
+        let rollingSummary = '';
+        if (rollingMetrics) {
+            const { latest, windowDays } = rollingMetrics;
+            const lastCross = rollingMetrics.crossBelowZero[rollingMetrics.crossBelowZero.length - 1];
+            rollingSummary = `
+🔄 滾動視窗指標 (${windowDays} 日視窗，最新 ${latest.date})
+─────────────────────────────────────────────────────────────
+滾動 Sharpe:    ${latest.sharpeRatio.toFixed(3)} (區間 ${rollingMetrics.minSharpe.toFixed(3)} ~ ${rollingMetrics.maxSharpe.toFixed(3)})
+滾動 Sortino:   ${latest.sortinoRatio === null ? 'N/A' : latest.sortinoRatio.toFixed(3)}
+年化波動率:     ${latest.volatility.toFixed(2)}%
+勝率(盈利日):   ${latest.winRate.toFixed(1)}%
+視窗最大回撤:   ${latest.mdd.toFixed(2)}%
+Sharpe < 0:     ${rollingMetrics.belowZeroPct.toFixed(1)}% 的天數，跌破 0 共 ${rollingMetrics.crossBelowZero.length} 次${lastCross ? ` (最近 ${lastCross})` : ''}
+${rollingMetrics.belowZeroSince ? `⚠️ 滾動 Sharpe 自 ${rollingMetrics.belowZeroSince} 起低於 0` : '✅ 滾動 Sharpe 目前高於 0'}
+`;
+        }
+
+        let benchmarkSummary = '';
+        if (benchmark) {
+            const captureText = value => value === null ? 'N/A' : `${value.toFixed(1)}%`;
+            const strategyReturnPct = this.initialCapital > 0 ? (overallStats.totalReturn / this.initialCapital) * 100 : 0;
+            benchmarkSummary = `
+📈 基準比較 (${benchmark.label} 買入持有)
+─────────────────────────────────────────────────────────────
+基準資料: ${benchmark.sourceFile} (${benchmark.range})
+                      策略         基準
+總報酬率:     ${strategyReturnPct.toFixed(2).padStart(12)}%${benchmark.benchmarkStats.totalReturnPct.toFixed(2).padStart(12)}%
+年化報酬率:   ${overallStats.annualReturn.toFixed(2).padStart(12)}%${benchmark.benchmarkStats.annualReturn.toFixed(2).padStart(12)}%
+最大回撤:     ${overallStats.mdd.toFixed(2).padStart(12)}%${benchmark.benchmarkStats.mdd.toFixed(2).padStart(12)}%
+Sharpe Ratio: ${overallStats.sharpeRatio.toFixed(3).padStart(12)} ${benchmark.benchmarkStats.sharpeRatio.toFixed(3).padStart(12)}
+
+年化 Alpha: ${benchmark.alpha.toFixed(2)}%
+Beta: ${benchmark.beta.toFixed(3)}
+相關係數: ${benchmark.correlation.toFixed(3)}
+Information Ratio: ${benchmark.informationRatio.toFixed(3)}
+追蹤誤差: ${benchmark.trackingError.toFixed(2)}%
+上漲捕獲率: ${captureText(benchmark.upCapture)}
+下跌捕獲率: ${captureText(benchmark.downCapture)}
+`;
+        }
+
+        let sampleSplitSummary = '';
+        if (sampleSplit) {
+            const splitLines = [sampleSplit.description, ''];
+            splitLines.push('指標'.padEnd(22) + '樣本內'.padStart(14) + '樣本外'.padStart(14) + 'OOS/IS'.padStart(10));
+            splitLines.push('─'.repeat(64));
+            Object.entries(this.metricProperties).forEach(([key, prop]) => {
+                const ratio = key in sampleSplit.ratios ? (sampleSplit.ratios[key] === null ? 'N/A' : sampleSplit.ratios[key].toFixed(2)) : '';
+                splitLines.push(
+                    prop.displayName.padEnd(22) +
+                    prop.format(sampleSplit.inSample[key]).padStart(17) +
+                    prop.format(sampleSplit.outOfSample[key]).padStart(17) +
+                    ratio.padStart(10)
+                );
+            });
+            splitLines.push(`樣本內: ${sampleSplit.inSampleRange}`, `樣本外: ${sampleSplit.outOfSampleRange}`);
+            if (sampleSplit.windows.length > 0) {
+                splitLines.push('', '視窗  樣本外期間                  IS Sharpe  OOS Sharpe');
+                sampleSplit.windows.forEach(w => {
+                    splitLines.push(`${String(w.index).padEnd(6)}${w.outOfSampleRange.padEnd(28)}${w.inSample.sharpeRatio.toFixed(3).padStart(9)}${w.outOfSample.sharpeRatio.toFixed(3).padStart(12)}`);
+                });
+            }
+            sampleSplitSummary = `
+✂️  樣本內 / 樣本外
+─────────────────────────────────────────────────────────────
+${splitLines.join('\n')}
+`;
+        }
+
         return `
 📊 策略資訊
 ─────────────────────────────────────────────────────────────
@@ -1590,15 +5009,23 @@ class PortfolioHeatmapGenerator {
 💰 下注設定
 ─────────────────────────────────────────────────────────────
 下注模式: ${positionModeStr}
+下注模型: ${this.describeSizing()}
+資金配置: ${this.describeAllocation()}
+槓桿保證金: ${this.describeLeverage()}
 初始資金: $${this.initialCapital.toLocaleString()} USDT
-手續費率: ${(this.commissionRate * 100).toFixed(3)}% (雙向)
+交易成本: ${this.describeCosts()}
+資金費率: ${this.describeFunding()}
+輸入時區: ${this.parseTimezone(this.inputTimezone).name}
+報告換日: ${this.describeReportDay()}
+日序列:   ${this.describeDailySeries()}
+報酬口徑: ${this.describeReturnConventions()}
 
 📈 總體績效 (日級 KPI)
 ─────────────────────────────────────────────────────────────
 總交易數:     ${overallStats.numTrades}
 總日數:       ${overallStats.numDays ?? '-'}
 總回報:       $${overallStats.totalReturn.toFixed(2)} USDT
-年化回報率:   ${overallStats.annualReturn.toFixed(2)}%
+${costBreakdown ? `交易成本:     $${(costBreakdown.fees + costBreakdown.slippage).toFixed(2)} USDT (手續費 $${costBreakdown.fees.toFixed(2)} / 滑價 $${costBreakdown.slippage.toFixed(2)}，已計入總回報)\n` : ''}${fundingSummary ? `資金費用:     $${fundingSummary.total.toFixed(2)} USDT (支付 $${fundingSummary.paid.toFixed(2)} / 收取 $${fundingSummary.received.toFixed(2)}，已計入總回報)\n` : ''}年化回報率:   ${overallStats.annualReturn.toFixed(2)}%
 夏普比率:     ${overallStats.sharpeRatio.toFixed(3)}
 索提諾比率:   ${overallStats.sortinoRatio.toFixed(3)}
 卡瑪比率:     ${overallStats.calmarRatio.toFixed(3)}
@@ -1611,6 +5038,18 @@ CVaR 95%:     $${overallStats.cvar95.toFixed(2)} USDT
 📉 權益曲線摘要
 ─────────────────────────────────────────────────────────────
 ${equitySummary}
+${rollingSummary}${allocationTable}
+🧩 策略分項 (各策略單獨 KPI / 組合內損益貢獻)
+─────────────────────────────────────────────────────────────
+${strategyTable}
+${sideSignalSummary}${excursionSummary}${liquidationSummary}${costSummary}${fundingSummaryText}${seasonalitySummary}${benchmarkSummary}${sampleSplitSummary}
+🎲 蒙地卡羅模擬 (交易序列重抽樣)
+─────────────────────────────────────────────────────────────
+${monteCarloSummary}
+
+🗓️  月報酬表 (日級權益複利)
+─────────────────────────────────────────────────────────────
+${monthlyReturnsTable}
 
 📈 PnL 分布 (基於單筆交易損益)
 ─────────────────────────────────────────────────────────────
@@ -1619,16 +5058,21 @@ ${pnlChart}
 📉 回撤分布 (基於回撤事件深度 USD)
 ─────────────────────────────────────────────────────────────
 ${drawdownChart}
-
+${drawdownEventSummary}
 📋 分析週期
 ─────────────────────────────────────────────────────────────
 總週期數: ${totalPeriods}
-週期類型: 日週期 (每日)
+週期類型: ${this.periodDescription}
 
 📁 包含檔案
 ─────────────────────────────────────────────────────────────
-• HTML 報告: 互動式熱力圖 / PnL / Drawdown / Radar / Equity
+• HTML 報告: 互動式熱力圖 / PnL / Drawdown / Radar / Equity (圖表資源: ${this.describeReportAssets()})
 • CSV 數據: 各週期詳細績效指標
+• 策略分項 CSV: 各策略 KPI、損益貢獻與相關係數
+• 交易明細 CSV: 以交易 # 配對進出場的完整交易回合
+• 季節性 CSV: 時段 × 星期、月份 × 年份的淨損益 / 交易數 / 指標 (長表格式)
+• 月報酬 CSV: 年份 × 月份複利報酬、YTD 與年度最大回撤
+• 滾動指標 CSV: 逐日滾動 Sharpe / Sortino / 年化波動率 / 勝率 / 最大回撤
 • 權益曲線: 資金變化軌跡數據
 • 本摘要檔: 快速瀏覽報告重點
 
@@ -1639,9 +5083,16 @@ ${sourceFiles.map((file, index) => `${index + 1}. ${file}`).join('\n')}
 ⚠️  重要說明
 ─────────────────────────────────────────────────────────────
 • 本報告 KPI 已改為「日級」計算 (每日聚合)。
+• 日報酬序列採${this.describeDailySeries()}；Sharpe / Sortino / 勝率 / VaR 與各週期統計皆以此序列計算。
+• Sharpe / Sortino 為年化值 (${this.describeReturnConventions()})；Sharpe 以扣除無風險利率後的超額報酬計算，Sortino 以目標報酬為下檔門檻。
 • 回撤事件基於每日權益終值 (endEquity) 偵測。
-• 已考慮手續費成本 (${(this.commissionRate * 100).toFixed(3)}% 雙向)。
-• ${this.positionSizeType === 'fixed' ? '使用固定下注金額模式。' : '使用滾倉複利模式。'}
+• ${this.isLeverageModelled() ? `槓桿 ${this.leverage}x ${this.marginMode === 'cross' ? '全倉' : '逐倉'}：以每筆 MAE 判斷是否觸及清算價，清算交易以損失全部擔保品取代 TradingView 損益${this.marginMode === 'cross' ? '，全倉清算損失直接計入帳戶權益' : ''}。` : '未使用槓桿，未模擬清算。'}
+• 交易以「交易 #」配對進場與出場列重建為完整回合 (含加碼與分批出場)，損益計於最後一次出場時間。
+• 交易時間以 ${this.parseTimezone(this.inputTimezone).name} 解讀，每日以 ${this.describeReportDay()} 換日。
+• 手續費依進場與出場的實際名目部位分別計算 (${this.describeCosts()})${this.costModelInfo && this.costModelInfo.fallbackTrades > 0 ? `；${this.costModelInfo.fallbackTrades} 筆交易的交易所不在費率表中，改用單一費率` : ''}。
+• ${fundingSummary ? '資金費用以進場名目部位乘上持倉期間跨越的各期結算費率計算，未反映持倉中名目價值的變動。' : '未計入永續合約資金費用。'}
+• ${this.subAccountResult ? '使用子帳戶資金配置模式，各子帳戶依自身下注設定獨立計算。' : (this.positionSizeType === 'fixed' ? '使用固定下注金額模式。' : (this.positionSizeType === 'percentage' ? '使用滾倉複利模式。' : `使用動態下注模型 (${this.describeSizing()})${this.positionSizeType === 'risk' && this.riskStopPct === null ? '；以該筆 MAE 作為停損距離，等同假設停損恰好設在最大逆行處 (含前視)。' : '，每筆部位只依進場前已平倉的資訊決定。'}`))}
+• 蒙地卡羅模擬只重新排列 / 重抽已實現的交易結果，無法反映歷史上未出現過的行情。
 • 過去績效不代表未來表現，請謹慎評估風險。
 
 報告生成時間: ${new Date().toLocaleString('zh-TW')}
@@ -1651,7 +5102,9 @@ ${sourceFiles.map((file, index) => `${index + 1}. ${file}`).join('\n')}
     async generateAllOutputs(periodType = 'day', periodLength = 1, chosenMetric = 'sharpeRatio') {
         try {
             console.log('\n🚀 開始生成組合策略分析報告...');
+            this.buildChartLibraryTags(); // 先確認圖表函式庫可內嵌，避免分析完才發現報告無法離線開啟
             await this.autoReadAllFilesAndCombine();
+            this.simulateSubAccounts();
             this.calculatePeriods(periodType, periodLength);
             // 為整體統計建立日級資料
             const dailyBuildAll = this.buildDailySeries(this.trades, this.initialCapital);
@@ -1671,6 +5124,18 @@ ${sourceFiles.map((file, index) => `${index + 1}. ${file}`).join('\n')}
             console.log(`   總日數: ${overallStats.numDays ?? '-'}`);
 
             const equityCurveData = this.generateEquityCurveData();
+            const strategyBreakdown = this.generateStrategyBreakdown(dailyBuildAll.tradePnLs);
+            const sideSignalBreakdown = this.generateSideSignalBreakdown(dailyBuildAll.tradePnLs);
+            const excursionAnalysis = this.generateExcursionAnalysis(dailyBuildAll.tradePnLs);
+            const liquidationAnalysis = this.generateLiquidationAnalysis();
+            const fundingSummary = this.generateFundingSummary();
+            const costBreakdown = this.generateCostBreakdown();
+            const seasonality = this.generateSeasonalityData(dailyBuildAll.tradePnLs, chosenMetric);
+            const monthlyReturns = this.generateMonthlyReturns(this.dailyRecords);
+            const rollingMetrics = this.generateRollingMetrics(this.dailyRecords);
+            const monteCarlo = this.runMonteCarloSimulation();
+            const sampleSplit = this.generateSampleSplitAnalysis();
+            const benchmark = this.generateBenchmarkComparison(this.dailyRecords);
             const radarData = this.generateRadarChartData(overallStats);
             const fullPnlDistributionData = this.generatePnLDistributionData();
 
@@ -1683,13 +5148,14 @@ ${sourceFiles.map((file, index) => `${index + 1}. ${file}`).join('\n')}
             const drawdownEvents = this.generateDrawdownEventsFromDaily(this.dailyRecords);
             console.log(`📉 共偵測到 ${drawdownEvents.length} 個回撤事件`);
             const fullDrawdownDistribution = this.generateDrawdownDistributionData(drawdownEvents);
+            const drawdownAnalysis = this.generateDrawdownAnalysis(this.dailyRecords, drawdownEvents);
             const htmlDrawdownDistributionData = fullDrawdownDistribution.filter(bin =>
                 Math.abs(bin.standardDeviations) <= this.pnlDistributionDisplayRangeSD
             );
             console.log(`🎨 HTML Drawdown 圖表顯示 ${htmlDrawdownDistributionData.length} 個區間 (±${this.pnlDistributionDisplayRangeSD} SD)`);
 
             const portfolioName = Array.from(this.portfolioInfo.strategyNames).join('_') || '組合策略';
-            const outputFolderName = `${portfolioName} 回測報告`;
+            const outputFolderName = path.join(this.outputFolder, `${portfolioName} 回測報告`);
             if (!fs.existsSync(outputFolderName)) {
                 fs.mkdirSync(outputFolderName, { recursive: true });
                 console.log(`📁 已創建輸出資料夾: ${outputFolderName}`);
@@ -1697,13 +5163,24 @@ ${sourceFiles.map((file, index) => `${index + 1}. ${file}`).join('\n')}
                 console.log(`📁 使用現有資料夾: ${outputFolderName}`);
             }
             const dateStr = new Date().toISOString().split('T')[0];
-            const positionModeStr = this.positionSizeType === 'fixed' ? `固定${this.positionSize}U` : `滾倉${this.positionSize}%`;
+            const positionModeStr = this.describeSizingShort();
             const htmlFileName = `${portfolioName}_組合策略熱力圖_${positionModeStr}_${dateStr}.html`;
             const csvFileName = `${portfolioName}_組合策略數據_${positionModeStr}_${dateStr}.csv`;
             const equityCSVFileName = `${portfolioName}_權益曲線_${positionModeStr}_${dateStr}.csv`;
+            const strategyCSVFileName = `${portfolioName}_策略分項_${positionModeStr}_${dateStr}.csv`;
+            const tradesCSVFileName = `${portfolioName}_交易明細_${positionModeStr}_${dateStr}.csv`;
+            const seasonalityCSVFileName = `${portfolioName}_季節性_${positionModeStr}_${dateStr}.csv`;
+            const monthlyCSVFileName = `${portfolioName}_月報酬_${positionModeStr}_${dateStr}.csv`;
+            const rollingCSVFileName = `${portfolioName}_滾動指標_${positionModeStr}_${dateStr}.csv`;
             const htmlFilePath = path.join(outputFolderName, htmlFileName);
             const csvFilePath = path.join(outputFolderName, csvFileName);
             const equityCSVFilePath = path.join(outputFolderName, equityCSVFileName);
+            const strategyCSVFilePath = path.join(outputFolderName, strategyCSVFileName);
+            const tradesCSVFilePath = path.join(outputFolderName, tradesCSVFileName);
+            const seasonalityCSVFilePath = path.join(outputFolderName, seasonalityCSVFileName);
+            const monthlyCSVFilePath = path.join(outputFolderName, monthlyCSVFileName);
+            const rollingCSVFilePath = path.join(outputFolderName, rollingCSVFileName);
+            const reportExtras = { strategyBreakdown, subAccountResult: this.subAccountResult, monteCarlo, sampleSplit, benchmark, sideSignalBreakdown, excursionAnalysis, seasonality, monthlyReturns, rollingMetrics, drawdownAnalysis, liquidationAnalysis, fundingSummary, costBreakdown };
 
             const htmlContent = this.generateHeatmapHTML(
                 heatmapData,
@@ -1714,7 +5191,8 @@ ${sourceFiles.map((file, index) => `${index + 1}. ${file}`).join('\n')}
                 equityCurveData,
                 htmlPnlDistributionData,
                 radarData,
-                htmlDrawdownDistributionData
+                htmlDrawdownDistributionData,
+                reportExtras
             );
             fs.writeFileSync(htmlFilePath, htmlContent, 'utf8');
             console.log(`✅ HTML 熱力圖報告已生成: ${htmlFilePath}`);
@@ -1748,8 +5226,8 @@ ${sourceFiles.map((file, index) => `${index + 1}. ${file}`).join('\n')}
 
             const equityCSVData = equityCurveData.map(point => ({
                 時間戳: new Date(point.x).toISOString(),
-                日期: new Date(point.x).toISOString().split('T')[0],
-                時間: new Date(point.x).toTimeString().split(' ')[0],
+                日期: this.getReportDayKey(new Date(point.x)),
+                時間: this.formatReportTime(new Date(point.x)),
                 權益_USD: point.y,
                 盈虧_USD: (point.y - this.initialCapital).toFixed(2),
                 盈虧_百分比: (((point.y - this.initialCapital) / this.initialCapital) * 100).toFixed(2)
@@ -1764,6 +5242,149 @@ ${sourceFiles.map((file, index) => `${index + 1}. ${file}`).join('\n')}
                 console.log(`✅ 權益曲線 CSV 已生成: ${equityCSVFilePath}`);
             }
 
+            const strategyCSVData = strategyBreakdown.strategies.map((leg, i) => ({
+                策略: leg.label,
+                來源檔案: leg.sourceFile,
+                交易數: leg.stats.numTrades,
+                日數: leg.stats.numDays,
+                組合內淨損益_USD: leg.netPnL.toFixed(2),
+                損益貢獻_百分比: leg.contributionPct.toFixed(2),
+                總回報_USD: leg.stats.totalReturn.toFixed(2),
+                年化回報率_百分比: leg.stats.annualReturn.toFixed(2),
+                夏普比率: leg.stats.sharpeRatio.toFixed(3),
+                索提諾比率: leg.stats.sortinoRatio.toFixed(3),
+                卡瑪比率: leg.stats.calmarRatio.toFixed(3),
+                最大回撤_百分比: leg.stats.mdd.toFixed(2),
+                勝率_百分比: leg.stats.winRate.toFixed(1),
+                歐米茄比率: leg.stats.omegaRatio.toFixed(3),
+                VaR_95_USD: leg.stats.var95.toFixed(2),
+                CVaR_95_USD: leg.stats.cvar95.toFixed(2),
+                ...Object.fromEntries(strategyBreakdown.correlationMatrix[i].map((v, j) => [`相關係數_${strategyBreakdown.strategies[j].label}`, v.toFixed(3)]))
+            }));
+            if (strategyCSVData.length > 0) {
+                const strategyCSVWriter = createCsvWriter({
+                    path: strategyCSVFilePath,
+                    header: Object.keys(strategyCSVData[0]).map(key => ({ id: key, title: key })),
+                    encoding: 'utf8'
+                });
+                await strategyCSVWriter.writeRecords(strategyCSVData);
+                console.log(`✅ 策略分項 CSV 已生成: ${strategyCSVFilePath}`);
+            }
+
+            let runningEquity = this.initialCapital;
+            const tradesCSVData = this.trades.map((trade, i) => {
+                const netPnL = dailyBuildAll.tradePnLs[i] || 0;
+                runningEquity += netPnL;
+                return {
+                    交易編號: trade.tradeNumber,
+                    策略: trade.strategyName,
+                    交易對: trade.symbol,
+                    方向: trade.side === 'long' ? '做多' : (trade.side === 'short' ? '做空' : 'N/A'),
+                    進場時間: trade.entryDate ? this.formatReportDateTime(trade.entryDate) : '',
+                    出場時間: this.formatReportDateTime(trade.exitDate),
+                    持倉時間_小時: isNaN(trade.holdingMinutes) ? '' : (trade.holdingMinutes / 60).toFixed(2),
+                    進場均價: isNaN(trade.entryPrice) ? '' : trade.entryPrice.toFixed(4),
+                    出場均價: isNaN(trade.exitPrice) ? '' : trade.exitPrice.toFixed(4),
+                    數量: trade.quantity,
+                    進場次數: trade.entryCount,
+                    出場次數: trade.exitCount,
+                    進場信號: trade.entrySignals,
+                    出場信號: trade.exitSignals,
+                    TV損益_USD: (parseFloat(trade[this.detectedPnlColumn]) || 0).toFixed(2),
+                    TV損益_百分比: (parseFloat(trade['P&L %']) || 0).toFixed(4),
+                    模擬淨損益_USD: netPnL.toFixed(2),
+                    ...(costBreakdown ? {
+                        費率表: trade.costSchedule ? trade.costSchedule.label : '',
+                        進場手續費_USD: costBreakdown.perTrade[i].entryFee.toFixed(4),
+                        出場手續費_USD: costBreakdown.perTrade[i].exitFee.toFixed(4),
+                        滑價_USD: costBreakdown.perTrade[i].slippage.toFixed(4)
+                    } : {}),
+                    ...(fundingSummary ? {
+                        資金費用_USD: fundingSummary.perTrade[i].toFixed(2),
+                        結算次數: trade.fundingMarks ?? ''
+                    } : {}),
+                    權益_USD: runningEquity.toFixed(2),
+                    ...(liquidationAnalysis ? (() => {
+                        const liquidation = liquidationAnalysis.perTrade[i];
+                        return {
+                            清算距離_百分比: liquidation ? liquidation.distancePct.toFixed(4) : '',
+                            保證金使用率_百分比: liquidation && liquidation.usagePct !== null && isFinite(liquidation.usagePct) ? liquidation.usagePct.toFixed(2) : '',
+                            清算: liquidation && liquidation.liquidated ? '是' : ''
+                        };
+                    })() : {})
+                };
+            });
+            if (tradesCSVData.length > 0) {
+                const tradesCSVWriter = createCsvWriter({
+                    path: tradesCSVFilePath,
+                    header: Object.keys(tradesCSVData[0]).map(key => ({ id: key, title: key })),
+                    encoding: 'utf8'
+                });
+                await tradesCSVWriter.writeRecords(tradesCSVData);
+                console.log(`✅ 交易明細 CSV 已生成: ${tradesCSVFilePath}`);
+            }
+
+            const seasonalityCSVData = [];
+            if (seasonality) {
+                const metricName = this.metricProperties[chosenMetric].displayName;
+                [['時段×星期', seasonality.hourGrid], ['月份×年份', seasonality.monthGrid]].forEach(([type, grid]) => {
+                    grid.cells.forEach((row, r) => row.forEach((cell, c) => {
+                        seasonalityCSVData.push({
+                            類型: type,
+                            列: grid.rowLabels[r],
+                            欄: grid.colLabels[c],
+                            交易數: cell.numTrades,
+                            淨損益_USD: cell.netPnL.toFixed(2),
+                            [metricName]: cell.numTrades > 0 && cell.value !== null && isFinite(cell.value) ? cell.value.toFixed(3) : ''
+                        });
+                    }));
+                });
+            }
+            if (seasonalityCSVData.length > 0) {
+                const seasonalityCSVWriter = createCsvWriter({
+                    path: seasonalityCSVFilePath,
+                    header: Object.keys(seasonalityCSVData[0]).map(key => ({ id: key, title: key })),
+                    encoding: 'utf8'
+                });
+                await seasonalityCSVWriter.writeRecords(seasonalityCSVData);
+                console.log(`✅ 季節性 CSV 已生成: ${seasonalityCSVFilePath}`);
+            }
+
+            const monthlyCSVData = monthlyReturns ? monthlyReturns.years.map(row => ({
+                年份: row.year,
+                ...Object.fromEntries(row.months.map((v, i) => [`${i + 1}月_百分比`, v === null ? '' : v.toFixed(2)])),
+                YTD_百分比: row.ytd.toFixed(2),
+                年度最大回撤_百分比: row.maxDrawdown.toFixed(2)
+            })) : [];
+            if (monthlyCSVData.length > 0) {
+                const monthlyCSVWriter = createCsvWriter({
+                    path: monthlyCSVFilePath,
+                    header: Object.keys(monthlyCSVData[0]).map(key => ({ id: key, title: key })),
+                    encoding: 'utf8'
+                });
+                await monthlyCSVWriter.writeRecords(monthlyCSVData);
+                console.log(`✅ 月報酬 CSV 已生成: ${monthlyCSVFilePath}`);
+            }
+
+            const rollingCSVData = rollingMetrics ? rollingMetrics.points.map(point => ({
+                日期: point.date,
+                視窗天數: rollingMetrics.windowDays,
+                滾動Sharpe: point.sharpeRatio.toFixed(4),
+                滾動Sortino: point.sortinoRatio === null ? '' : point.sortinoRatio.toFixed(4),
+                年化波動率_百分比: point.volatility.toFixed(4),
+                勝率_百分比: point.winRate.toFixed(2),
+                最大回撤_百分比: point.mdd.toFixed(4)
+            })) : [];
+            if (rollingCSVData.length > 0) {
+                const rollingCSVWriter = createCsvWriter({
+                    path: rollingCSVFilePath,
+                    header: Object.keys(rollingCSVData[0]).map(key => ({ id: key, title: key })),
+                    encoding: 'utf8'
+                });
+                await rollingCSVWriter.writeRecords(rollingCSVData);
+                console.log(`✅ 滾動指標 CSV 已生成: ${rollingCSVFilePath}`);
+            }
+
             const summaryContent = this.generateFolderSummary(
                 portfolioName,
                 positionModeStr,
@@ -1771,7 +5392,8 @@ ${sourceFiles.map((file, index) => `${index + 1}. ${file}`).join('\n')}
                 heatmapData.length,
                 fullPnlDistributionData,
                 fullDrawdownDistribution,
-                equityCurveData
+                equityCurveData,
+                reportExtras
             );
             const summaryFilePath = path.join(outputFolderName, 'README.txt');
             fs.writeFileSync(summaryFilePath, summaryContent, 'utf8');
@@ -1783,9 +5405,14 @@ ${sourceFiles.map((file, index) => `${index + 1}. ${file}`).join('\n')}
             console.log(`   ├── ${htmlFileName} (互動式熱力圖報告)`);
             console.log(`   ├── ${csvFileName} (週期績效數據)`);
             console.log(`   ├── ${equityCSVFileName} (權益曲線數據)`);
+            console.log(`   ├── ${strategyCSVFileName} (策略分項數據)`);
+            console.log(`   ├── ${tradesCSVFileName} (交易回合明細)`);
+            console.log(`   ├── ${seasonalityCSVFileName} (季節性矩陣)`);
+            console.log(`   ├── ${monthlyCSVFileName} (月報酬表)`);
+            if (rollingMetrics) console.log(`   ├── ${rollingCSVFileName} (滾動指標)`);
             console.log(`   └── README.txt (資料夾摘要)`);
 
-            if (process.platform === 'win32') {
+            if (this.openOutputFolder && process.platform === 'win32') {
                 try {
                     const { exec } = require('child_process');
                     exec(`explorer "${path.resolve(outputFolderName)}"`, (error) => {
@@ -1804,6 +5431,11 @@ ${sourceFiles.map((file, index) => `${index + 1}. ${file}`).join('\n')}
                 htmlFilePath,
                 csvFilePath,
                 equityCSVFilePath,
+                strategyCSVFilePath,
+                tradesCSVFilePath,
+                seasonalityCSVFilePath,
+                monthlyCSVFilePath,
+                rollingCSVFilePath: rollingMetrics ? rollingCSVFilePath : null,
                 summaryFilePath,
                 outputFolder: outputFolderName,
                 overallStats,
@@ -1816,6 +5448,384 @@ ${sourceFiles.map((file, index) => `${index + 1}. ${file}`).join('\n')}
         }
     }
 
+    // === 新增：套用 CLI / 設定檔參數 (已由 normalizeSettings 驗證型別) ===
+    applySettings(settings = {}) {
+        const runOptions = { periodType: 'day', periodLength: 1, chosenMetric: 'sharpeRatio' };
+        Object.entries(settings).forEach(([key, value]) => {
+            if (value === undefined || value === null) return;
+            switch (key) {
+                case 'commissionPercent':
+                    this.commissionRate = value / 100;
+                    break;
+                case 'periodType':
+                    runOptions.periodType = value;
+                    break;
+                case 'periodLength':
+                    runOptions.periodLength = value;
+                    break;
+                case 'inputTimezone':
+                case 'reportTimezone':
+                    this.parseTimezone(value);
+                    this[key] = value;
+                    break;
+                case 'sessionRollover':
+                    this.parseSessionRollover(value);
+                    this[key] = value;
+                    break;
+                case 'metric':
+                    if (!this.metricProperties[value]) {
+                        throw new Error(`❌ 不支援的指標: ${value} (可用: ${Object.keys(this.metricProperties).join(', ')})`);
+                    }
+                    runOptions.chosenMetric = value;
+                    break;
+                default:
+                    this[key] = value;
+            }
+        });
+        return runOptions;
+    }
+
+    // === 新增：參數敏感度掃描 ===
+    // 回傳各維度的掃描值；未指定範圍的維度固定為目前設定
+    getSweepDimensions() {
+        const dimensions = Object.entries(SWEEP_DIMENSIONS).map(([key, dim]) => {
+            const values = this[dim.settingKey];
+            return { key, label: dim.label, values: values && values.length > 0 ? Array.from(new Set(values)) : [dim.current(this)], swept: !!(values && values.length > 0) };
+        });
+        const swept = dimensions.filter(d => d.swept && d.values.length > 1);
+        if (swept.length === 0) throw new Error('❌ 參數掃描至少需要一個含多個值的範圍 (--sweep-size / --sweep-capital / --sweep-commission / --sweep-slippage / --sweep-mode)');
+        const pick = (requested, fallback, axis) => {
+            if (!requested) return fallback;
+            const dim = dimensions.find(d => d.key === requested);
+            if (!dim.swept || dim.values.length < 2) throw new Error(`❌ ${axis} 指定的維度 ${requested} 沒有設定多個掃描值`);
+            return dim;
+        };
+        const xDim = pick(this.sweepX, swept[0], '--sweep-x');
+        const yDim = pick(this.sweepY, swept.find(d => d !== xDim) || null, '--sweep-y');
+        if (yDim && yDim.key === xDim.key) throw new Error('❌ --sweep-x 與 --sweep-y 不可為同一個維度');
+        const runs = dimensions.reduce((n, d) => n * d.values.length, 1);
+        if (runs > this.sweepMaxRuns) throw new Error(`❌ 參數組合共 ${runs} 組，超過上限 ${this.sweepMaxRuns} (可用 --sweep-max-runs 調整)`);
+        return { dimensions, xKey: xDim.key, yKey: yDim ? yDim.key : null, runs };
+    }
+
+    // 交易紀錄只讀取一次；每個組合重新套用下注模型、成本模型與子帳戶後，以 calculatePeriodStats 計算完整日級 KPI
+    async runSensitivitySweep(chosenMetric) {
+        const { dimensions, xKey, yKey, runs } = this.getSweepDimensions();
+        await this.autoReadAllFilesAndCombine();
+        const metricInfo = this.metricProperties[chosenMetric];
+        const baseline = Object.fromEntries(['positionSizeType', 'positionSize', 'initialCapital', 'commissionRate', 'makerFeePct', 'takerFeePct', 'slippageBps'].map(key => [key, this[key]]));
+        const combos = dimensions.reduce((list, dim) => list.flatMap(combo => dim.values.map(value => ({ ...combo, [dim.key]: value }))), [{}]);
+        console.log(`\n🧪 參數敏感度掃描: ${runs} 組 (${dimensions.filter(d => d.swept).map(d => `${d.key} × ${d.values.length}`).join('，')})`);
+        const rows = combos.map((params, index) => {
+            Object.assign(this, baseline);
+            Object.entries(params).forEach(([key, value]) => SWEEP_DIMENSIONS[key].apply(this, value));
+            const label = Object.entries(params).map(([key, value]) => `${key}=${value}`).join(' ');
+            try {
+                this.applySizingModel(this.trades);
+                this.applyCostModel(this.trades);
+                this.simulateSubAccounts();
+                const stats = this.calculatePeriodStats(this.trades, this.initialCapital);
+                console.log(`   [${index + 1}/${runs}] ${label} → ${metricInfo.displayName} ${isFinite(stats[chosenMetric]) ? metricInfo.format(stats[chosenMetric]) : 'N/A'}`);
+                return { params, stats, error: null };
+            } catch (error) {
+                console.error(`   [${index + 1}/${runs}] ${label} → ❌ ${error.message}`);
+                return { params, stats: null, error: error.message };
+            }
+        });
+        Object.assign(this, baseline);
+        this.applySizingModel(this.trades);
+        this.applyCostModel(this.trades);
+        this.simulateSubAccounts();
+        const baselineParams = Object.fromEntries(dimensions.map(d => [d.key, SWEEP_DIMENSIONS[d.key].current(this)]));
+        return { dimensions, xKey, yKey, rows, baselineParams };
+    }
+
+    generateSweepHTML(sweep, chosenMetric) {
+        const { dimensions, xKey, yKey, rows, baselineParams } = sweep;
+        const portfolioName = Array.from(this.portfolioInfo.strategyNames).join(' + ') || '組合策略';
+        const dimOf = key => dimensions.find(d => d.key === key);
+        const xDim = dimOf(xKey);
+        const yDim = yKey ? dimOf(yKey) : null;
+        // 其餘有多個值的維度各自成為一張熱力圖
+        const panelDims = dimensions.filter(d => d.key !== xKey && d.key !== yKey && d.values.length > 1);
+        const panelCombos = panelDims.reduce((list, dim) => list.flatMap(combo => dim.values.map(value => ({ ...combo, [dim.key]: value }))), [{}]);
+        const formatStat = (prop, value) => (value !== null && value !== undefined && isFinite(value)) ? prop.format(value) : 'N/A';
+        const sweepMetricViews = Object.fromEntries(Object.entries(this.metricProperties).map(([key, prop]) => {
+            const values = rows.map(row => row.stats ? row.stats[key] : null);
+            return [key, {
+                displayName: prop.displayName,
+                legendHTML: this.generateMetricLegendHTML(prop),
+                cells: rows.map(row => row.stats
+                    ? { color: this.getMetricColor(key, row.stats[key], values), label: formatStat(prop, row.stats[key]) }
+                    : { color: '#2a2a2a', label: '錯誤' })
+            }];
+        }));
+        const findRow = params => rows.find(row => Object.entries(params).every(([key, value]) => row.params[key] === value));
+        const isBaseline = params => dimensions.every(d => params[d.key] === baselineParams[d.key]);
+        const panelsHTML = panelCombos.map(panelParams => {
+            const title = panelDims.length > 0 ? panelDims.map(d => `${d.label}: ${panelParams[d.key]}`).join('，') : '';
+            const yValues = yDim ? yDim.values : [null];
+            const bodyRows = yValues.map(yValue => {
+                const cells = xDim.values.map(xValue => {
+                    const row = findRow({ ...panelParams, [xKey]: xValue, ...(yDim ? { [yKey]: yValue } : {}) });
+                    const index = rows.indexOf(row);
+                    const tooltip = row.stats
+                        ? Object.entries(this.metricProperties).map(([key, prop]) => `${prop.displayName}: ${formatStat(prop, row.stats[key])}`).join('&#10;') + `&#10;交易數: ${row.stats.numTrades}`
+                        : row.error;
+                    const { color, label } = sweepMetricViews[chosenMetric].cells[index];
+                    return `<td class="sweep-cell${isBaseline(row.params) ? ' baseline' : ''}" data-index="${index}" style="background-color: ${color};" title="${String(tooltip).replace(/"/g, '&quot;')}">${label}</td>`;
+                }).join('');
+                return `<tr><th class="text-left">${yDim ? yValue : ''}</th>${cells}</tr>`;
+            }).join('');
+            return `
+        ${title ? `<h3 class="sub-title">${title}</h3>` : ''}
+        <div class="table-container">
+            <table class="data-table sweep-table">
+                <thead><tr><th class="text-left">${yDim ? `${yDim.label} ↓ / ${xDim.label} →` : xDim.label}</th>${xDim.values.map(v => `<th>${v}</th>`).join('')}</tr></thead>
+                <tbody>${bodyRows}</tbody>
+            </table>
+        </div>`;
+        }).join('');
+        const fixedDims = dimensions.filter(d => d.values.length === 1);
+        return `
+    <!DOCTYPE html>
+    <html lang="zh-TW">
+    <head>
+    <meta charset="UTF-8">
+    <title>${portfolioName} 參數敏感度分析</title>
+    <style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background: #000000; color: #e0e0e0; line-height: 1.6; }
+    .container { max-width: 1400px; margin: 0 auto; padding: 30px; background: linear-gradient(145deg, #1a1a1a 0%, #000000 100%); min-height: 100vh; border-radius: 20px; }
+    h1 { text-align: center; color: #ffffff; }
+    h2 { font-size: 24px; margin-top: 40px; padding-bottom: 12px; border-bottom: 2px solid rgba(100, 181, 246, 0.3); }
+    .position-details { font-size: 14px; color: #e0e0e0; line-height: 1.6; padding: 20px; background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); border-radius: 12px; border: 1px solid rgba(100, 181, 246, 0.2); }
+    .metric-selector { display: flex; align-items: center; justify-content: flex-end; gap: 10px; margin-bottom: 10px; color: #b0b0b0; }
+    .metric-selector select { background: #1a1a1a; color: #e0e0e0; border: 1px solid rgba(100, 181, 246, 0.4); border-radius: 6px; padding: 6px 10px; font-size: 14px; }
+    .table-container { overflow-x: auto; padding: 20px; background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); border-radius: 15px; margin-bottom: 20px; border: 1px solid rgba(100, 181, 246, 0.2); }
+    .data-table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    .data-table th { color: #64b5f6; font-weight: 600; padding: 8px 10px; border-bottom: 1px solid rgba(100, 181, 246, 0.3); white-space: nowrap; text-align: right; }
+    .data-table .text-left { text-align: left; }
+    .sweep-table td.sweep-cell { text-align: center; font-weight: 600; color: #ffffff; text-shadow: 1px 1px 2px rgba(0,0,0,0.6); padding: 12px 8px; border: 2px solid #0f0f0f; border-radius: 6px; cursor: default; }
+    .sweep-table td.baseline { outline: 2px solid #ffffff; outline-offset: -4px; }
+    .legend-section { margin-top: 30px; padding: 20px; background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); border-radius: 12px; border: 1px solid rgba(100, 181, 246, 0.2); }
+    .legend-section h3 { margin-top: 0; text-align: center; font-size: 16px; color: #ffffff; }
+    .legend { display: flex; flex-wrap: wrap; justify-content: center; gap: 20px; }
+    .legend-item { display: flex; align-items: center; font-size: 13px; color: #e0e0e0; }
+    .legend-color { width: 16px; height: 16px; border-radius: 4px; margin-right: 8px; border: 1px solid rgba(255,255,255,0.2); }
+    .sub-title { color: #ffffff; font-size: 18px; margin: 25px 0 12px 0; }
+    .table-note { font-size: 12px; color: #888; margin: 12px 0 0 0; }
+    </style>
+    </head>
+    <body>
+    <div class="container">
+        <h1>${portfolioName} 參數敏感度分析</h1>
+        <div class="position-details">
+            <strong>掃描維度:</strong> ${dimensions.filter(d => d.values.length > 1).map(d => `${d.label} [${d.values.join(', ')}]`).join('；')}<br>
+            <strong>固定設定:</strong> ${fixedDims.map(d => `${d.label} ${d.values[0]}`).join('；') || '無'}<br>
+            <strong>交易成本:</strong> ${this.describeCosts()}<br>
+            <strong>槓桿 / 保證金:</strong> ${this.describeLeverage()}<br>
+            <strong>資金費率:</strong> ${this.describeFunding()}<br>
+            <strong>日序列:</strong> ${this.describeDailySeries()}<br>
+            <strong>報酬口徑:</strong> ${this.describeReturnConventions()}<br>
+            <strong>交易日期:</strong> ${this.portfolioInfo.tradingDateRange}
+        </div>
+        <h2>敏感度熱力圖 (<span id="sweepMetricName">${this.metricProperties[chosenMetric].displayName}</span>)</h2>
+        <div class="metric-selector">
+            <label for="sweepMetricSelect">切換指標:</label>
+            <select id="sweepMetricSelect">
+                ${Object.entries(this.metricProperties).map(([key, prop]) => `<option value="${key}"${key === chosenMetric ? ' selected' : ''}>${prop.displayName}</option>`).join('')}
+            </select>
+        </div>
+        ${panelsHTML}
+        <p class="table-note">共 ${rows.length} 組參數，每組皆以完整日級 KPI 流程重新計算；白框為目前設定，滑鼠移到格子上可查看全部指標。${rows.some(row => row.error) ? ` ${rows.filter(row => row.error).length} 組計算失敗 (標示為「錯誤」)。` : ''}</p>
+        <div id="sweepLegend">${this.generateMetricLegendHTML(this.metricProperties[chosenMetric])}</div>
+        <div class="footer"><p class="table-note">報告生成於 ${new Date().toLocaleString('zh-TW')} | 數據來源: ${Array.from(this.portfolioInfo.sourceFiles).join(', ')} | 回測分析工具創作者: LionAlgo</p></div>
+    </div>
+    <script>
+    const sweepMetricViews = ${JSON.stringify(sweepMetricViews)};
+    const sweepMetricSelect = document.getElementById('sweepMetricSelect');
+    const applySweepMetric = (metricKey) => {
+        const view = sweepMetricViews[metricKey];
+        document.querySelectorAll('.sweep-cell').forEach(cell => {
+            const entry = view.cells[cell.dataset.index];
+            cell.style.backgroundColor = entry.color;
+            cell.textContent = entry.label;
+        });
+        document.getElementById('sweepMetricName').textContent = view.displayName;
+        document.getElementById('sweepLegend').innerHTML = view.legendHTML;
+    };
+    sweepMetricSelect.addEventListener('change', () => applySweepMetric(sweepMetricSelect.value));
+    </script>
+    </body>
+    </html>`;
+    }
+
+    // === 新增：批次模式索引頁 (依指標排名所有報告) ===
+    generateBatchIndexHTML(batch, chosenMetric) {
+        const { results, batchFolder, workers, durationMs } = batch;
+        const metricInfo = this.metricProperties[chosenMetric];
+        const formatStat = (prop, value) => (value !== null && value !== undefined && isFinite(value)) ? prop.format(value) : 'N/A';
+        const relativeLink = filePath => path.relative(batchFolder, filePath).split(path.sep).map(encodeURIComponent).join('/');
+        const ranked = results
+            .filter(result => result.ok && isFinite(result.stats[chosenMetric]))
+            .sort((a, b) => metricInfo.higherIsBetter ? b.stats[chosenMetric] - a.stats[chosenMetric] : a.stats[chosenMetric] - b.stats[chosenMetric]);
+        const unranked = results.filter(result => result.ok && !ranked.includes(result));
+        const failed = results.filter(result => !result.ok);
+        const metricEntries = Object.entries(this.metricProperties);
+        const columnValues = Object.fromEntries(metricEntries.map(([key]) => [key, ranked.map(result => result.stats[key])]));
+        const rowHTML = (result, rank) => `
+                    <tr${result.isCombined ? ' class="combined-row"' : ''}>
+                        <td>${rank}</td>
+                        <td class="text-left"><a href="${relativeLink(result.htmlFilePath)}">${result.label}</a>${result.isCombined ? ' <span class="tag">組合</span>' : ''}</td>
+                        <td>${result.stats.numTrades}</td>
+                        <td>${result.stats.numDays}</td>
+                        ${metricEntries.map(([key, prop]) => `<td class="metric-cell" style="background-color: ${rank === '-' ? 'transparent' : this.getMetricColor(key, result.stats[key], columnValues[key])};">${formatStat(prop, result.stats[key])}</td>`).join('')}
+                        <td>${(result.durationMs / 1000).toFixed(1)}s</td>
+                    </tr>`;
+        const failedHTML = failed.length === 0 ? '' : `
+        <h2>失敗的檔案 (${failed.length})</h2>
+        <div class="table-container">
+            <table class="data-table">
+                <thead><tr><th class="text-left">檔案</th><th class="text-left">錯誤</th><th class="text-left">執行紀錄</th></tr></thead>
+                <tbody>
+                    ${failed.map(result => `<tr><td class="text-left">${result.label}</td><td class="text-left error-text">${result.error}</td><td class="text-left">${result.logFilePath ? `<a href="${relativeLink(result.logFilePath)}">${path.basename(result.logFilePath)}</a>` : '-'}</td></tr>`).join('')}
+                </tbody>
+            </table>
+        </div>`;
+        return `
+    <!DOCTYPE html>
+    <html lang="zh-TW">
+    <head>
+    <meta charset="UTF-8">
+    <title>批次回測總覽 (${metricInfo.displayName})</title>
+    <style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background: #000000; color: #e0e0e0; line-height: 1.6; }
+    .container { max-width: 1600px; margin: 0 auto; padding: 30px; background: linear-gradient(145deg, #1a1a1a 0%, #000000 100%); min-height: 100vh; border-radius: 20px; }
+    h1 { text-align: center; color: #ffffff; }
+    h2 { font-size: 24px; margin-top: 40px; padding-bottom: 12px; border-bottom: 2px solid rgba(100, 181, 246, 0.3); }
+    a { color: #64b5f6; text-decoration: none; }
+    a:hover { text-decoration: underline; }
+    .position-details { font-size: 14px; color: #e0e0e0; line-height: 1.6; padding: 20px; background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); border-radius: 12px; border: 1px solid rgba(100, 181, 246, 0.2); }
+    .table-container { overflow-x: auto; padding: 20px; background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); border-radius: 15px; margin-bottom: 20px; border: 1px solid rgba(100, 181, 246, 0.2); }
+    .data-table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    .data-table th { color: #64b5f6; font-weight: 600; padding: 8px 10px; border-bottom: 1px solid rgba(100, 181, 246, 0.3); white-space: nowrap; text-align: right; }
+    .data-table th.chosen { color: #ffffff; }
+    .data-table td { padding: 8px 10px; border-bottom: 1px solid rgba(255, 255, 255, 0.05); text-align: right; white-space: nowrap; }
+    .data-table .text-left { text-align: left; }
+    .data-table td.metric-cell { color: #ffffff; font-weight: 600; text-shadow: 1px 1px 2px rgba(0,0,0,0.6); border: 2px solid #0f0f0f; }
+    .combined-row td { border-top: 2px solid rgba(255, 255, 255, 0.4); border-bottom: 2px solid rgba(255, 255, 255, 0.4); }
+    .tag { font-size: 11px; padding: 1px 6px; border-radius: 4px; background: rgba(100, 181, 246, 0.25); color: #ffffff; }
+    .error-text { color: #ef5350; white-space: normal; }
+    .legend-section { margin-top: 30px; padding: 20px; background: linear-gradient(145deg, #1a1a1a 0%, #0f0f0f 100%); border-radius: 12px; border: 1px solid rgba(100, 181, 246, 0.2); }
+    .legend-section h3 { margin-top: 0; text-align: center; font-size: 16px; color: #ffffff; }
+    .legend { display: flex; flex-wrap: wrap; justify-content: center; gap: 20px; }
+    .legend-item { display: flex; align-items: center; font-size: 13px; color: #e0e0e0; }
+    .legend-color { width: 16px; height: 16px; border-radius: 4px; margin-right: 8px; border: 1px solid rgba(255,255,255,0.2); }
+    .table-note { font-size: 12px; color: #888; margin: 12px 0 0 0; }
+    </style>
+    </head>
+    <body>
+    <div class="container">
+        <h1>批次回測總覽</h1>
+        <div class="position-details">
+            <strong>輸入資料夾:</strong> ${this.inputFolder}<br>
+            <strong>報告數:</strong> ${results.length} (成功 ${results.length - failed.length}，失敗 ${failed.length})<br>
+            <strong>排名指標:</strong> ${metricInfo.displayName} (${metricInfo.higherIsBetter ? '越高越好' : '越低越好'})<br>
+            <strong>下注模型:</strong> ${this.describeSizingShort()}，初始資金 $${this.initialCapital}<br>
+            <strong>交易成本:</strong> ${this.describeCosts()}<br>
+            <strong>槓桿 / 保證金:</strong> ${this.describeLeverage()}<br>
+            <strong>日序列:</strong> ${this.describeDailySeries()}<br>
+            <strong>執行:</strong> ${workers} 個 worker 平行處理，總耗時 ${(durationMs / 1000).toFixed(1)}s
+        </div>
+        <h2>報告排名 (依 ${metricInfo.displayName})</h2>
+        <div class="table-container">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>#</th><th class="text-left">報告</th><th>交易數</th><th>日數</th>
+                        ${metricEntries.map(([key, prop]) => `<th${key === chosenMetric ? ' class="chosen"' : ''}>${prop.displayName}</th>`).join('')}
+                        <th>耗時</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${ranked.map((result, index) => rowHTML(result, index + 1)).join('')}
+                    ${unranked.map(result => rowHTML(result, '-')).join('')}
+                </tbody>
+            </table>
+        </div>
+        <p class="table-note">每個檔案各自以相同設定獨立回測 (各自的初始資金與權益)，組合報告則合併所有單檔報告成功的檔案；點擊名稱開啟完整報告。各指標欄位依該欄數值著色，${metricInfo.displayName} 無法計算的報告列於最後。</p>
+        ${failedHTML}
+        ${this.generateMetricLegendHTML(metricInfo)}
+        <div class="footer"><p class="table-note">報告生成於 ${new Date().toLocaleString('zh-TW')} | 回測分析工具創作者: LionAlgo</p></div>
+    </div>
+    </body>
+    </html>`;
+    }
+
+    // === 新增：只檢查輸入資料，不產生報告 ===
+    async validateInputs() {
+        const issues = [];
+        await this.autoReadAllFilesAndCombine();
+        this.failedFiles.forEach(f => issues.push(`檔案讀取失敗: ${f.fileName} (${f.error})`));
+        if (this.invalidDateCount > 0) {
+            issues.push(`${this.invalidDateCount} 筆交易的日期無法解析，已被略過`);
+        }
+        const pnlColumn = this.detectPnlColumn(this.trades[0]);
+        const badPnlRows = this.trades.filter(trade =>
+            isNaN(parseFloat(String(trade[pnlColumn]).replace(/,/g, '')))
+        ).length;
+        if (badPnlRows > 0) {
+            issues.push(`${badPnlRows} 筆交易的損益欄位 "${pnlColumn}" 不是數字`);
+        }
+        if (this.benchmarkPath) {
+            try {
+                const benchmarkFile = this.resolveBenchmarkFile();
+                const bars = this.readOhlcvFile(benchmarkFile);
+                console.log(`   基準資料: ${path.basename(benchmarkFile)} (${bars[0].dayKey} ~ ${bars[bars.length - 1].dayKey})`);
+            } catch (error) {
+                issues.push(`基準資料無法使用: ${error.message.replace(/^❌ /, '')}`);
+            }
+        }
+        if (this.costModelInfo && this.costModelInfo.fallbackTrades > 0) {
+            issues.push(`${this.costModelInfo.fallbackTrades} 筆交易的交易所不在費率表中，改用單一費率`);
+        }
+        if (this.slippageTicks > 0 && !(this.tickSize > 0)) {
+            issues.push('已設定跳動點滑價但未設定 tickSize，跳動點滑價不會計入');
+        } else if (this.costModelInfo && this.costModelInfo.noPriceTrades > 0) {
+            issues.push(`${this.costModelInfo.noPriceTrades} 筆交易缺少進出場價格，未計跳動點滑價`);
+        }
+        if (this.fundingInfo) {
+            if (this.fundingInfo.missingSymbols.length > 0) {
+                issues.push(`找不到 ${this.fundingInfo.missingSymbols.join(' / ')} 的資金費率檔案，這些交易未計資金費用`);
+            } else if (this.fundingInfo.unknownTrades > 0) {
+                issues.push(`${this.fundingInfo.unknownTrades} 筆交易缺少進場時間或方向，未計資金費用`);
+            }
+            if (this.fundingInfo.uncoveredTrades > 0) {
+                issues.push(`${this.fundingInfo.uncoveredTrades} 筆交易的持倉期間超出資金費率資料範圍`);
+            }
+        }
+        if (this.marginMode === 'isolated' && 1 / this.leverage <= this.maintenanceMarginRate / 100) {
+            issues.push(`槓桿 ${this.leverage}x 的初始保證金率已不高於維持保證金率 ${this.maintenanceMarginRate}%，每筆交易都會被清算`);
+        }
+        try {
+            this.buildChartLibraryTags();
+        } catch (error) {
+            issues.push(error.message.replace(/^❌ /, ''));
+        }
+        console.log('\n🔎 資料檢查結果:');
+        console.log(`   檔案數: ${this.portfolioInfo.sourceFiles.size}`);
+        console.log(`   交易數: ${this.trades.length}`);
+        console.log(`   日期欄位: ${this.detectedDateColumn}`);
+        console.log(`   損益欄位: ${pnlColumn}`);
+        console.log(`   交易日期: ${this.portfolioInfo.tradingDateRange}`);
+        if (issues.length === 0) {
+            console.log('✅ 所有檢查通過');
+        } else {
+            issues.forEach(issue => console.log(`   ⚠️ ${issue}`));
+        }
+        return { ok: issues.length === 0, issues, numTrades: this.trades.length };
+    }
+
     async promptUserSettings() {
         const rl = readline.createInterface({
             input: process.stdin,
@@ -1829,13 +5839,44 @@ ${sourceFiles.map((file, index) => `${index + 1}. ${file}`).join('\n')}
             console.log('\n💰 下注模式選擇:');
             console.log('1. 固定金額模式 (每筆交易使用相同金額)');
             console.log('2. 滾倉模式 (使用當前權益的百分比，複利效應)');
-            const modeChoice = await question('請選擇下注模式 (1-2): ');
+            console.log('3. 固定比例風險 (依停損距離或 MAE 決定部位，每筆承擔固定權益風險)');
+            console.log('4. 波動率目標 (依近期日報酬波動率調整部位)');
+            console.log('5. Kelly (依近期勝率與盈虧比，全 / 部分 Kelly)');
+            console.log('6. 馬丁格爾 (連虧後加碼，適合網格策略)');
+            console.log('7. 反馬丁格爾 (連贏後加碼)');
+            const modeChoice = await question('請選擇下注模式 (1-7): ');
+            const askNumber = async (prompt, fallback) => {
+                const input = await question(`${prompt} (預設 ${fallback}): `);
+                const value = parseFloat(input);
+                return input.trim() && isFinite(value) ? value : fallback;
+            };
 
             if (modeChoice === '2') {
                 this.positionSizeType = 'percentage';
                 const percentInput = await question('請輸入每筆交易使用權益的百分比 (例: 10 代表 10%): ');
                 this.positionSize = parseFloat(percentInput) || 10;
                 console.log(`✅ 已設定為滾倉模式，每筆交易使用 ${this.positionSize}% 權益`);
+            } else if (['3', '4', '5', '6', '7'].includes(modeChoice)) {
+                this.positionSizeType = { 3: 'risk', 4: 'volatility', 5: 'kelly', 6: 'martingale', 7: 'antimartingale' }[modeChoice];
+                if (this.positionSizeType === 'risk') {
+                    this.riskPerTradePct = await askNumber('每筆承擔的權益風險 %', this.riskPerTradePct);
+                    const stopInput = await question('固定停損距離 % (留空 = 使用每筆交易的 MAE): ');
+                    this.riskStopPct = parseFloat(stopInput) > 0 ? parseFloat(stopInput) : null;
+                } else {
+                    this.positionSize = await askNumber(this.positionSizeType.includes('martingale') ? '基礎下注權益 %' : '暖機期下注權益 %', 10);
+                }
+                if (this.positionSizeType === 'volatility') {
+                    this.volTargetPct = await askNumber('目標年化波動率 %', this.volTargetPct);
+                    this.volLookbackDays = Math.max(2, Math.round(await askNumber('波動率回看天數', this.volLookbackDays)));
+                } else if (this.positionSizeType === 'kelly') {
+                    this.kellyFraction = await askNumber('Kelly 倍數 (1 = 全 Kelly，0.5 = 半 Kelly)', this.kellyFraction);
+                    this.kellyLookbackTrades = Math.max(1, Math.round(await askNumber('回看交易筆數', this.kellyLookbackTrades)));
+                } else if (this.positionSizeType.includes('martingale')) {
+                    this.martingaleMultiplier = await askNumber('每階下注倍數', this.martingaleMultiplier);
+                    this.martingaleMaxSteps = Math.max(0, Math.round(await askNumber('最多加碼階數', this.martingaleMaxSteps)));
+                }
+                this.maxPositionPct = await askNumber('單筆部位上限 (權益 %)', this.maxPositionPct);
+                console.log(`✅ 已設定為 ${this.describeSizing()}`);
             } else {
                 this.positionSizeType = 'fixed';
                 const amountInput = await question('請輸入每筆交易的固定金額 (USDT): ');
@@ -1849,18 +5890,38 @@ ${sourceFiles.map((file, index) => `${index + 1}. ${file}`).join('\n')}
             }
             console.log(`✅ 初始資金設定為 $${this.initialCapital.toLocaleString()} USDT`);
 
-            const feeInput = await question(`請輸入手續費率 (%, 預設 ${this.commissionRate * 100}): `);
+            const feeInput = await question(`請輸入手續費率 (%, 單邊，預設 ${this.commissionRate * 100}): `);
             if (feeInput.trim()) {
                 this.commissionRate = (parseFloat(feeInput) || 0) / 100;
             }
-            console.log(`✅ 手續費率設定為 ${(this.commissionRate * 100).toFixed(3)}% (雙向)`);
+            console.log(`✅ 交易成本設定為 ${this.describeCosts()}`);
+
+            console.log('\n🌐 時區設定 (例: UTC、UTC+8、Asia/Taipei):');
+            const inputTzInput = await question(`匯出檔中的時間屬於哪個時區 (預設 ${this.inputTimezone}): `);
+            if (inputTzInput.trim()) {
+                this.parseTimezone(inputTzInput.trim());
+                this.inputTimezone = inputTzInput.trim();
+            }
+            const reportTzInput = await question(`日級 KPI 使用哪個時區換日 (預設 ${this.reportTimezone}): `);
+            if (reportTzInput.trim()) {
+                this.parseTimezone(reportTzInput.trim());
+                this.reportTimezone = reportTzInput.trim();
+            }
+            const rolloverInput = await question(`換日時間 HH:mm (預設 ${this.sessionRollover}): `);
+            if (rolloverInput.trim()) {
+                this.parseSessionRollover(rolloverInput.trim());
+                this.sessionRollover = rolloverInput.trim();
+            }
+            console.log(`✅ 輸入時區: ${this.parseTimezone(this.inputTimezone).name}，報告換日: ${this.describeReportDay()}`);
 
             console.log('\n📅 時間分割週期設定:');
             console.log('1. 日週期 (每日一個週期)');
             console.log('2. 週週期 (每週一個週期)');
             console.log('3. 月週期 (每月一個週期)');
             console.log('4. 自訂週期 (自訂天數)');
-            const periodChoice = await question('請選擇時間週期 (1-4, 預設: 1): ');
+            console.log('5. 季週期 (每季一個週期)');
+            console.log('6. 年週期 (每年一個週期)');
+            const periodChoice = await question('請選擇時間週期 (1-6, 預設: 1): ');
             let periodType = 'day';
             let periodLength = 1;
             switch (periodChoice) {
@@ -1872,10 +5933,27 @@ ${sourceFiles.map((file, index) => `${index + 1}. ${file}`).join('\n')}
                     periodLength = parseInt(customDays) || 1;
                     console.log(`✅ 已設定為 ${periodLength} 天週期`);
                     break;
+                case '5': periodType = 'quarter'; periodLength = 1; console.log('✅ 已設定為季週期'); break;
+                case '6': periodType = 'year'; periodLength = 1; console.log('✅ 已設定為年週期'); break;
                 default:
                     console.log('✅ 已設定為日週期');
             }
 
+            if (['day', 'week', 'month'].includes(periodType)) {
+                console.log('\n📐 週期對齊方式:');
+                console.log('1. 日曆對齊 (真實的日 / 週 / 月邊界，無交易的週期也會保留)');
+                console.log('2. 滾動固定長度 (自第一筆交易起算，月 = 30 天)');
+                const alignChoice = await question('請選擇對齊方式 (1-2, 預設: 1): ');
+                this.periodAlignment = alignChoice === '2' ? 'rolling' : 'calendar';
+            } else {
+                this.periodAlignment = 'calendar';
+            }
+            if (periodType === 'week' && this.periodAlignment === 'calendar') {
+                const weekStartChoice = await question('每週起始日 (1. 週一 ISO 週 / 2. 週日, 預設: 1): ');
+                this.weekStart = weekStartChoice === '2' ? 'sunday' : 'monday';
+            }
+            console.log(`✅ 週期設定: ${this.describePeriodSetting(periodType, periodLength)}`);
+
             console.log('\n📊 選擇熱力圖主要指標:');
             const metricOptions = Object.entries(this.metricProperties);
             metricOptions.forEach(([key, prop], index) => {
@@ -1918,6 +5996,680 @@ ${sourceFiles.map((file, index) => `${index + 1}. ${file}`).join('\n')}
     }
 }
 
+// === 新增：命令列參數定義 (旗標 > 設定檔 > 預設值) ===
+const CLI_COMMANDS = {
+    analyze: '讀取交易紀錄並產生完整報告 (預設)',
+    validate: '只檢查輸入檔案與設定，不產生報告',
+    compare: '逐一分析每個輸入檔案並依指標排名',
+    sweep: '掃描下注大小 / 資金 / 手續費 / 滑價 / 下注模型的組合，輸出敏感度熱力圖',
+    batch: '每個輸入檔案各產生一份報告 + 合併組合報告 (worker threads 平行處理)，並輸出排名索引頁'
+};
+
+const SIZING_MODELS = ['fixed', 'percentage', 'risk', 'volatility', 'kelly', 'martingale', 'antimartingale'];
+
+const CLI_OPTIONS = [
+    { flag: 'config', alias: 'c', key: 'config', type: 'string', arg: '<file>', desc: 'JSON / YAML 設定檔路徑' },
+    { flag: 'input', alias: 'i', key: 'inputFolder', type: 'string', arg: '<dir>', desc: '交易紀錄資料夾 (預設: trade log input)' },
+    { flag: 'output', alias: 'o', key: 'outputFolder', type: 'string', arg: '<dir>', desc: '報告輸出的上層資料夾 (預設: 目前目錄)' },
+    { flag: 'files', key: 'includeFiles', type: 'list', arg: '<a,b>', desc: '只讀取指定檔名 (以逗號分隔)' },
+    { flag: 'mode', alias: 'm', key: 'positionSizeType', type: 'choice', choices: SIZING_MODELS, arg: '<model>', desc: `下注模型: ${SIZING_MODELS.join(' / ')}` },
+    { flag: 'size', alias: 's', key: 'positionSize', type: 'number', min: 0, arg: '<n>', desc: '每筆下注金額 (USDT) 或權益百分比 (%，動態模型的基礎 / 暖機比例)' },
+    { flag: 'risk-pct', key: 'riskPerTradePct', type: 'number', min: 0, arg: '<pct>', desc: 'risk: 每筆承擔的權益風險 % (預設 1)' },
+    { flag: 'risk-stop', key: 'riskStopPct', type: 'number', min: 0, arg: '<pct>', desc: 'risk: 固定停損距離 % (預設使用該筆 MAE)' },
+    { flag: 'vol-target', key: 'volTargetPct', type: 'number', min: 0, arg: '<pct>', desc: 'volatility: 目標年化波動率 % (預設 20)' },
+    { flag: 'vol-lookback', key: 'volLookbackDays', type: 'integer', min: 2, arg: '<days>', desc: 'volatility: 波動率回看天數 (預設 30)' },
+    { flag: 'kelly-fraction', key: 'kellyFraction', type: 'number', min: 0, arg: '<x>', desc: 'kelly: Kelly 倍數 (預設 0.5 = 半 Kelly)' },
+    { flag: 'kelly-lookback', key: 'kellyLookbackTrades', type: 'integer', min: 1, arg: '<n>', desc: 'kelly: 勝率 / 盈虧比回看筆數 (預設 50)' },
+    { flag: 'step-multiplier', key: 'martingaleMultiplier', type: 'number', min: 0, arg: '<x>', desc: 'martingale / antimartingale: 每階下注倍數 (預設 2)' },
+    { flag: 'max-steps', key: 'martingaleMaxSteps', type: 'integer', min: 0, arg: '<n>', desc: 'martingale / antimartingale: 最多加碼階數 (預設 3)' },
+    { flag: 'max-position', key: 'maxPositionPct', type: 'number', min: 0, arg: '<pct>', desc: '動態模型單筆部位上限，權益 % (預設 100)' },
+    { flag: 'capital', key: 'initialCapital', type: 'number', min: 0, arg: '<usdt>', desc: '初始資金 (USDT)' },
+    { flag: 'commission', key: 'commissionPercent', type: 'number', min: 0, arg: '<pct>', desc: '手續費率 (%, 單邊，進出場各收一次)' },
+    { flag: 'leverage', key: 'leverage', type: 'number', min: 1, arg: '<x>', desc: '槓桿倍數 (預設 1 = 不模擬清算)' },
+    { flag: 'margin-mode', key: 'marginMode', type: 'choice', choices: ['isolated', 'cross'], arg: '<isolated|cross>', desc: '保證金模式: 逐倉 (預設) / 全倉' },
+    { flag: 'mmr', key: 'maintenanceMarginRate', type: 'number', min: 0, arg: '<pct>', desc: '維持保證金率 % (預設 0.5)' },
+    { flag: 'fee-exchange', key: 'feeExchange', type: 'string', arg: '<flat|auto|EXCHANGE>', desc: `手續費來源: flat = --commission 單一費率 (預設)，auto = 依檔名交易所，或指定 ${Object.keys(EXCHANGE_FEE_SCHEDULES).join(' / ')}` },
+    { flag: 'fee-tier', key: 'feeTier', type: 'string', arg: '<tier>', desc: '交易所費率等級 (例: VIP1，預設為一般用戶等級)' },
+    { flag: 'fee-schedules', key: 'feeSchedules', type: 'feeSchedules', arg: '<EX[:tier]=m/t[/min],...>', desc: '覆寫或新增交易所費率 % (例: "BYBIT=0.02/0.05,OKX:VIP1=0.015/0.04")' },
+    { flag: 'maker-fee', key: 'makerFeePct', type: 'number', min: 0, arg: '<pct>', desc: '覆寫 maker 費率 (%, 單邊)' },
+    { flag: 'taker-fee', key: 'takerFeePct', type: 'number', min: 0, arg: '<pct>', desc: '覆寫 taker 費率 (%, 單邊)' },
+    { flag: 'entry-order', key: 'entryOrderType', type: 'choice', choices: ['maker', 'taker'], arg: '<maker|taker>', desc: '進場成交方式 (預設 taker)' },
+    { flag: 'exit-order', key: 'exitOrderType', type: 'choice', choices: ['maker', 'taker'], arg: '<maker|taker>', desc: '出場成交方式 (預設 taker)' },
+    { flag: 'slippage-bps', key: 'slippageBps', type: 'number', min: 0, arg: '<bps>', desc: 'taker 成交滑價 (基點，每邊)' },
+    { flag: 'slippage-ticks', key: 'slippageTicks', type: 'number', min: 0, arg: '<n>', desc: 'taker 成交滑價 (跳動點數，每邊，需搭配 --tick-size)' },
+    { flag: 'tick-size', key: 'tickSize', type: 'number', min: 0, arg: '<price>', desc: '價格最小跳動單位' },
+    { flag: 'min-fee', key: 'minFeeUSD', type: 'number', min: 0, arg: '<usdt>', desc: '每次成交的最低手續費 (USDT)' },
+    { flag: 'sweep-mode', key: 'sweepModes', type: 'choiceList', choices: SIZING_MODELS, arg: '<a,b>', desc: '參數掃描: 下注模型清單' },
+    { flag: 'sweep-size', key: 'sweepSizes', type: 'range', arg: '<a,b|start:end:step>', desc: '參數掃描: 下注大小 (fixed: USDT / 其他: %)' },
+    { flag: 'sweep-capital', key: 'sweepCapitals', type: 'range', arg: '<a,b|start:end:step>', desc: '參數掃描: 初始資金 (USDT)' },
+    { flag: 'sweep-commission', key: 'sweepCommissions', type: 'range', arg: '<a,b|start:end:step>', desc: '參數掃描: 手續費率 (%, 單邊，同時覆寫 maker / taker)' },
+    { flag: 'sweep-slippage', key: 'sweepSlippages', type: 'range', arg: '<a,b|start:end:step>', desc: '參數掃描: 滑價 (bps)' },
+    { flag: 'sweep-x', key: 'sweepX', type: 'choice', choices: Object.keys(SWEEP_DIMENSIONS), arg: '<dim>', desc: `敏感度熱力圖橫軸: ${Object.keys(SWEEP_DIMENSIONS).join(' / ')} (預設第一個掃描維度)` },
+    { flag: 'sweep-y', key: 'sweepY', type: 'choice', choices: Object.keys(SWEEP_DIMENSIONS), arg: '<dim>', desc: '敏感度熱力圖縱軸 (預設第二個掃描維度)' },
+    { flag: 'sweep-max-runs', key: 'sweepMaxRuns', type: 'integer', min: 1, arg: '<n>', desc: '參數組合數上限 (預設 500)' },
+    { flag: 'workers', key: 'batchWorkers', type: 'integer', min: 1, arg: '<n>', desc: '批次模式: 同時處理的檔案數 (預設 CPU 核心數)' },
+    { flag: 'funding', key: 'fundingRatePath', type: 'string', arg: '<file|dir>', desc: '永續合約資金費率 CSV (time, fundingRate)，或依交易對自動尋找的資料夾' },
+    { flag: 'allocations', key: 'allocations', type: 'allocations', arg: '<name=w[:mode:size],...>', desc: '子帳戶資金配置 (例: "Grid A=60,Grid B=40:percentage:10")' },
+    { flag: 'rebalance', key: 'rebalanceSchedule', type: 'choice', choices: ['none', 'monthly', 'quarterly'], arg: '<none|monthly|quarterly>', desc: '子帳戶定期再平衡 (預設 none)' },
+    { flag: 'rebalance-threshold', key: 'rebalanceThreshold', type: 'number', min: 0, arg: '<pct>', desc: '權重偏離超過 N 個百分點時再平衡 (0 = 關閉)' },
+    { flag: 'mc-runs', key: 'monteCarloRuns', type: 'integer', min: 0, arg: '<n>', desc: '蒙地卡羅模擬次數 (預設 1000，0 = 關閉)' },
+    { flag: 'mc-method', key: 'monteCarloMethod', type: 'choice', choices: ['shuffle', 'bootstrap', 'block'], arg: '<shuffle|bootstrap|block>', desc: '重抽樣方法 (預設 bootstrap)' },
+    { flag: 'mc-block', key: 'monteCarloBlockSize', type: 'integer', min: 0, arg: '<n>', desc: '區塊重抽樣長度 (筆，0 = √交易數)' },
+    { flag: 'mc-seed', key: 'monteCarloSeed', type: 'integer', arg: '<n>', desc: '亂數種子 (預設 42，結果可重現)' },
+    { flag: 'ruin', key: 'ruinLevelPct', type: 'number', min: 0, arg: '<pct>', desc: '破產門檻: 虧損初始資金的百分比 (預設 50)' },
+    { flag: 'rolling-window', key: 'rollingWindowDays', type: 'integer', min: 2, arg: '<days>', desc: '滾動 Sharpe / Sortino / 波動率 / 勝率 / 回撤的視窗天數 (預設 90)' },
+    { flag: 'top-drawdowns', key: 'topDrawdownCount', type: 'integer', min: 1, arg: '<n>', desc: '回撤排行表列出最深的前 N 個回撤 (預設 10)' },
+    { flag: 'edge-window', key: 'edgeRatioWindow', type: 'integer', min: 1, arg: '<n>', desc: 'Edge Ratio 滾動視窗筆數 (預設 100)' },
+    { flag: 'what-if-sl', key: 'whatIfStopLevels', type: 'numberList', arg: '<a,b>', desc: '假設停損水位 % (預設依 MAE 分位數)' },
+    { flag: 'what-if-tp', key: 'whatIfTakeProfitLevels', type: 'numberList', arg: '<a,b>', desc: '假設停利水位 % (預設依 MFE 分位數)' },
+    { flag: 'benchmark', alias: 'b', key: 'benchmarkPath', type: 'string', arg: '<file|dir>', desc: '買入持有基準 OHLCV CSV，或依交易對自動尋找的資料夾' },
+    { flag: 'split-date', key: 'splitDate', type: 'date', arg: '<YYYY-MM-DD>', desc: '樣本外起始日，之前為樣本內' },
+    { flag: 'wf-is-days', key: 'walkForwardInSampleDays', type: 'integer', min: 0, arg: '<n>', desc: '滾動前進: 樣本內天數' },
+    { flag: 'wf-oos-days', key: 'walkForwardOutSampleDays', type: 'integer', min: 0, arg: '<n>', desc: '滾動前進: 樣本外天數 (亦為前進步長)' },
+    { flag: 'daily-series', key: 'dailySeriesMode', type: 'choice', choices: ['calendar', 'trading'], arg: '<calendar|trading>', desc: '日報酬序列: 補齊無交易日 (預設) / 僅交易日' },
+    { flag: 'annualization', key: 'annualizationFactor', type: 'number', min: 1, arg: '<365|252|n>', desc: '年化因子 (預設 365，1 = 不年化)' },
+    { flag: 'risk-free', key: 'riskFreeRate', type: 'number', arg: '<pct>', desc: '年化無風險利率 % (預設 0)' },
+    { flag: 'risk-free-file', key: 'riskFreeRateFile', type: 'string', arg: '<file>', desc: '無風險利率 CSV (日期, 年化 %)' },
+    { flag: 'sortino-target', key: 'sortinoTarget', type: 'number', arg: '<pct>', desc: 'Sortino 目標報酬 MAR，年化 % (預設 0)' },
+    { flag: 'variance', key: 'varianceMode', type: 'choice', choices: ['sample', 'population'], arg: '<sample|population>', desc: '標準差: 樣本 (n-1，預設) / 母體 (n)' },
+    { flag: 'offline', key: 'offlineReport', type: 'boolean', arg: '[true|false]', desc: 'HTML 內嵌 Chart.js，離線可開啟 (預設 true；false = 由 CDN 載入)' },
+    { flag: 'open-output', key: 'openOutputFolder', type: 'boolean', arg: '[true|false]', desc: '完成後自動開啟輸出資料夾 (僅 Windows，預設 true；false = 腳本 / 排程執行時不開啟)' },
+    { flag: 'period', alias: 'p', key: 'periodType', type: 'choice', choices: ['day', 'week', 'month', 'quarter', 'year'], arg: '<day|week|month|quarter|year>', desc: '熱力圖週期類型' },
+    { flag: 'period-length', key: 'periodLength', type: 'integer', min: 1, arg: '<n>', desc: '每個週期包含幾個單位' },
+    { flag: 'alignment', key: 'periodAlignment', type: 'choice', choices: ['calendar', 'rolling'], arg: '<calendar|rolling>', desc: '週期對齊: 日曆邊界 (預設) / 自第一筆交易起的固定長度' },
+    { flag: 'week-start', key: 'weekStart', type: 'choice', choices: ['monday', 'sunday'], arg: '<monday|sunday>', desc: '日曆週起始日 (預設: monday，ISO 週)' },
+    { flag: 'input-tz', key: 'inputTimezone', type: 'string', arg: '<tz>', desc: '匯出檔時間所屬時區 (例: UTC, UTC+8, Asia/Taipei；預設 UTC)' },
+    { flag: 'report-tz', key: 'reportTimezone', type: 'string', arg: '<tz>', desc: '日級 KPI / 週期邊界的時區 (預設 UTC)' },
+    { flag: 'rollover', key: 'sessionRollover', type: 'string', arg: '<HH:mm>', desc: '報告時區中的換日時間 (預設 00:00)' },
+    { flag: 'metric', key: 'metric', type: 'string', arg: '<key>', desc: '熱力圖指標 (例: sharpeRatio, calmarRatio, mdd)' },
+    { flag: 'bin-size', key: 'binSizeInStdDev', type: 'number', min: 0, arg: '<sd>', desc: '分佈圖區間大小 (標準差倍數)' },
+    { flag: 'display-sd', key: 'pnlDistributionDisplayRangeSD', type: 'number', min: 0, arg: '<sd>', desc: '分佈圖顯示範圍 (±N 標準差)' },
+    { flag: 'help', alias: 'h', key: 'help', type: 'boolean', desc: '顯示本說明' }
+];
+
+const DEFAULT_CONFIG_FILES = ['heatmap.config.json', 'heatmap.config.yaml', 'heatmap.config.yml'];
+
+// 中文字元佔兩格寬，依顯示寬度補空白讓主控台表格欄位對齊
+function displayWidth(text) {
+    return text.length + (text.match(/[^\x00-\xff]/g) || []).length;
+}
+
+function padCell(text, width, alignLeft = false) {
+    const padding = ' '.repeat(Math.max(0, width - displayWidth(text)));
+    return alignLeft ? text + padding : padding + text;
+}
+
+function findCliOption(name) {
+    return CLI_OPTIONS.find(opt => opt.flag === name || opt.alias === name || opt.key === name);
+}
+
+function coerceOptionValue(option, rawValue, source) {
+    const label = `${source} 的 "${option.flag}"`;
+    switch (option.type) {
+        case 'boolean':
+            if (typeof rawValue === 'boolean') return rawValue;
+            if (['true', '1', 'yes'].includes(String(rawValue).toLowerCase())) return true;
+            if (['false', '0', 'no'].includes(String(rawValue).toLowerCase())) return false;
+            throw new Error(`❌ ${label} 必須是 true 或 false`);
+        case 'number':
+        case 'integer': {
+            const value = Number(rawValue);
+            if (rawValue === '' || !isFinite(value)) throw new Error(`❌ ${label} 必須是數字，收到: ${rawValue}`);
+            if (option.type === 'integer' && !Number.isInteger(value)) throw new Error(`❌ ${label} 必須是整數，收到: ${rawValue}`);
+            if (option.min !== undefined && value < option.min) throw new Error(`❌ ${label} 不可小於 ${option.min}`);
+            return value;
+        }
+        case 'choice': {
+            const value = String(rawValue).toLowerCase();
+            if (!option.choices.includes(value)) throw new Error(`❌ ${label} 必須是 ${option.choices.join(' / ')}，收到: ${rawValue}`);
+            return value;
+        }
+        case 'date': {
+            // YAML 會把未加引號的日期解析為 Date 物件
+            const value = rawValue instanceof Date ? rawValue.toISOString().split('T')[0] : String(rawValue).trim();
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value + 'T00:00:00Z').getTime())) {
+                throw new Error(`❌ ${label} 必須是 YYYY-MM-DD 日期，收到: ${rawValue}`);
+            }
+            return value;
+        }
+        case 'allocations':
+            return parseAllocations(rawValue, label);
+        case 'feeSchedules':
+            return parseFeeSchedules(rawValue, label);
+        case 'numberList': {
+            const values = (Array.isArray(rawValue) ? rawValue : String(rawValue).split(',')).map(v => parseFloat(v));
+            if (values.length === 0 || values.some(v => !isFinite(v) || v <= 0)) {
+                throw new Error(`❌ ${label} 必須是以逗號分隔的正數，收到: ${rawValue}`);
+            }
+            return values;
+        }
+        case 'range': {
+            // 數值清單 "a,b,c" 或等差範圍 "起:迄:步長" (含迄值)
+            const text = Array.isArray(rawValue) ? null : String(rawValue).trim();
+            let values;
+            if (text && /^[^,]+:[^,]+:[^,]+$/.test(text)) {
+                const [start, end, step] = text.split(':').map(Number);
+                if (![start, end, step].every(isFinite) || step <= 0 || end < start) {
+                    throw new Error(`❌ ${label} 的範圍需為 起:迄:步長 且步長為正，收到: ${rawValue}`);
+                }
+                const count = Math.floor((end - start) / step + 1e-9) + 1;
+                if (count > 1000) throw new Error(`❌ ${label} 的範圍產生 ${count} 個值，請加大步長`);
+                values = Array.from({ length: count }, (_, i) => parseFloat((start + i * step).toFixed(10)));
+            } else {
+                values = (Array.isArray(rawValue) ? rawValue : text.split(',')).map(v => parseFloat(v));
+            }
+            if (values.length === 0 || values.some(v => !isFinite(v) || v < 0)) {
+                throw new Error(`❌ ${label} 必須是以逗號分隔的非負數或 起:迄:步長，收到: ${rawValue}`);
+            }
+            return values;
+        }
+        case 'choiceList': {
+            const values = (Array.isArray(rawValue) ? rawValue : String(rawValue).split(',')).map(v => String(v).trim().toLowerCase()).filter(Boolean);
+            const invalid = values.filter(v => !option.choices.includes(v));
+            if (values.length === 0 || invalid.length > 0) throw new Error(`❌ ${label} 必須是 ${option.choices.join(' / ')} 的清單，收到: ${rawValue}`);
+            return values;
+        }
+        case 'list':
+            return (Array.isArray(rawValue) ? rawValue : String(rawValue).split(','))
+                .map(v => String(v).trim())
+                .filter(Boolean);
+        default:
+            return String(rawValue);
+    }
+}
+
+// 資金配置: 設定檔中為物件陣列，命令列為 "名稱=權重[:模式:金額]" 以逗號分隔 (也接受 JSON 字串)
+function parseAllocations(rawValue, label) {
+    let entries = rawValue;
+    if (typeof rawValue === 'string') {
+        const text = rawValue.trim();
+        if (text.startsWith('[')) {
+            try {
+                entries = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`❌ ${label} 不是有效的 JSON: ${error.message}`);
+            }
+        } else {
+            entries = text.split(',').filter(Boolean).map(part => {
+                const eq = part.lastIndexOf('=');
+                if (eq <= 0) throw new Error(`❌ ${label} 格式錯誤 (應為 名稱=權重): ${part}`);
+                const [weight, positionSizeType, positionSize] = part.slice(eq + 1).split(':');
+                return { match: part.slice(0, eq).trim(), weight, positionSizeType, positionSize };
+            });
+        }
+    }
+    if (!Array.isArray(entries) || entries.length === 0) throw new Error(`❌ ${label} 必須是非空的配置清單`);
+    return entries.map(entry => {
+        if (!entry || !entry.match) throw new Error(`❌ ${label} 的每個項目都需要 match (檔名或策略名稱)`);
+        const weight = Number(entry.weight);
+        if (!isFinite(weight) || weight < 0) throw new Error(`❌ ${label} 中 "${entry.match}" 的權重無效: ${entry.weight}`);
+        const result = { match: String(entry.match), weight };
+        if (entry.positionSizeType) {
+            const mode = String(entry.positionSizeType).toLowerCase();
+            if (!SIZING_MODELS.includes(mode)) throw new Error(`❌ ${label} 中 "${entry.match}" 的下注模式無效: ${entry.positionSizeType}`);
+            result.positionSizeType = mode;
+        }
+        if (entry.positionSize !== undefined && entry.positionSize !== '') {
+            const size = Number(entry.positionSize);
+            if (!isFinite(size) || size < 0) throw new Error(`❌ ${label} 中 "${entry.match}" 的下注金額無效: ${entry.positionSize}`);
+            result.positionSize = size;
+        }
+        return result;
+    });
+}
+
+// 交易所費率: 設定檔中為 { 交易所: { maker, taker, minFee } } 或 { 交易所: { 等級: {...} } }，
+// 命令列為 "交易所[:等級]=maker/taker[/最低手續費]" 以逗號分隔 (也接受 JSON 字串)；未指定等級者套用至一般用戶等級
+function parseFeeSchedules(rawValue, label) {
+    let entries = rawValue;
+    if (typeof rawValue === 'string') {
+        const text = rawValue.trim();
+        if (text.startsWith('{')) {
+            try {
+                entries = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`❌ ${label} 不是有效的 JSON: ${error.message}`);
+            }
+        } else {
+            entries = {};
+            text.split(',').filter(Boolean).forEach(part => {
+                const eq = part.indexOf('=');
+                if (eq <= 0) throw new Error(`❌ ${label} 格式錯誤 (應為 交易所[:等級]=maker/taker): ${part}`);
+                const [exchange, tier] = part.slice(0, eq).trim().split(':');
+                const [maker, taker, minFee] = part.slice(eq + 1).split('/');
+                const rates = { maker, taker, ...(minFee !== undefined ? { minFee } : {}) };
+                entries[exchange] = { ...(entries[exchange] || {}), [tier || '']: rates };
+            });
+        }
+    }
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) throw new Error(`❌ ${label} 必須是交易所費率物件`);
+    const toRates = (rates, name) => {
+        const result = {};
+        ['maker', 'taker', 'minFee'].forEach(field => {
+            if (rates[field] === undefined || rates[field] === '') return;
+            const value = Number(rates[field]);
+            if (!isFinite(value) || value < 0) throw new Error(`❌ ${label} 中 ${name} 的 ${field} 無效: ${rates[field]}`);
+            result[field] = value;
+        });
+        if (result.maker === undefined || result.taker === undefined) throw new Error(`❌ ${label} 中 ${name} 需同時指定 maker 與 taker 費率`);
+        return result;
+    };
+    const schedules = {};
+    Object.entries(entries).forEach(([rawExchange, value]) => {
+        const exchange = rawExchange.trim().toUpperCase();
+        if (!value || typeof value !== 'object') throw new Error(`❌ ${label} 中 ${exchange} 的費率格式錯誤`);
+        const builtInTiers = EXCHANGE_FEE_SCHEDULES[exchange];
+        const defaultTier = builtInTiers ? Object.keys(builtInTiers)[0] : 'DEFAULT';
+        schedules[exchange] = {};
+        if ('maker' in value || 'taker' in value) {
+            schedules[exchange][defaultTier] = toRates(value, exchange);
+        } else {
+            Object.entries(value).forEach(([tier, rates]) => {
+                if (!rates || typeof rates !== 'object') throw new Error(`❌ ${label} 中 ${exchange} ${tier} 的費率格式錯誤`);
+                schedules[exchange][tier.trim() ? tier.trim().toUpperCase() : defaultTier] = toRates(rates, `${exchange} ${tier}`.trim());
+            });
+        }
+    });
+    return schedules;
+}
+
+// 將設定檔或命令列的原始值轉為 applySettings 可用的物件
+function normalizeSettings(rawSettings, source) {
+    const settings = {};
+    Object.entries(rawSettings || {}).forEach(([name, rawValue]) => {
+        const option = findCliOption(name);
+        if (!option) throw new Error(`❌ ${source} 中有未知的設定項目: ${name}`);
+        settings[option.key] = coerceOptionValue(option, rawValue, source);
+    });
+    return settings;
+}
+
+function loadConfigFile(configPath) {
+    const resolved = path.resolve(configPath);
+    if (!fs.existsSync(resolved)) throw new Error(`❌ 找不到設定檔: ${configPath}`);
+    const content = fs.readFileSync(resolved, 'utf8');
+    let parsed;
+    try {
+        parsed = path.extname(resolved).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+    } catch (error) {
+        throw new Error(`❌ 設定檔格式錯誤 (${configPath}): ${error.message}`);
+    }
+    if (parsed === undefined || parsed === null) return {};
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error(`❌ 設定檔內容必須是物件 (${configPath})`);
+    }
+    return normalizeSettings(parsed, `設定檔 ${path.basename(resolved)}`);
+}
+
+function findDefaultConfig() {
+    return DEFAULT_CONFIG_FILES.find(name => fs.existsSync(path.resolve(name))) || null;
+}
+
+function parseCliArgs(argv) {
+    const result = { command: null, flags: {}, legacy: false };
+    let i = 0;
+    if (argv[0] === 'fixed' || argv[0] === 'percentage') {
+        // 舊版位置參數: <mode> <size> <capital> <commission%> <metric>
+        result.legacy = true;
+        result.command = 'analyze';
+        const [mode, size, capital, commission, metric] = argv;
+        result.flags.mode = mode;
+        result.flags.size = parseFloat(size) || (mode === 'fixed' ? 100 : 10);
+        if (capital) result.flags.capital = capital;
+        if (commission) result.flags.commission = commission;
+        if (metric) result.flags.metric = metric;
+        return result;
+    }
+    if (argv[0] && !argv[0].startsWith('-')) {
+        if (!CLI_COMMANDS[argv[0]]) throw new Error(`❌ 未知的子命令: ${argv[0]} (可用: ${Object.keys(CLI_COMMANDS).join(', ')})`);
+        result.command = argv[0];
+        i = 1;
+    }
+    for (; i < argv.length; i++) {
+        const arg = argv[i];
+        const match = /^--?([^=]+)(?:=(.*))?$/.exec(arg);
+        if (!match) throw new Error(`❌ 無法辨識的參數: ${arg}`);
+        const option = CLI_OPTIONS.find(opt => opt.flag === match[1] || opt.alias === match[1]);
+        if (!option) throw new Error(`❌ 未知的選項: ${arg} (使用 --help 查看所有選項)`);
+        let value = match[2];
+        if (value === undefined) {
+            if (option.type === 'boolean') {
+                // 允許 "--offline false" 寫法：下一個參數是 true / false 時視為該旗標的值
+                const next = argv[i + 1];
+                value = next !== undefined && ['true', 'false'].includes(next.toLowerCase()) ? argv[++i] : true;
+            } else {
+                value = argv[++i];
+                if (value === undefined) throw new Error(`❌ 選項 --${option.flag} 需要一個值`);
+            }
+        }
+        result.flags[option.flag] = value;
+    }
+    return result;
+}
+
+function printHelp() {
+    const lines = [
+        '用法: node Sharpe_Ratio_Heatmap_Generator.js [子命令] [選項]',
+        '      node Sharpe_Ratio_Heatmap_Generator.js <fixed|percentage> <size> [capital] [commission%] [metric]  (舊版快速模式)',
+        '      不帶任何參數時進入互動設定模式。',
+        '',
+        '子命令:'
+    ];
+    Object.entries(CLI_COMMANDS).forEach(([name, desc]) => lines.push(`  ${name.padEnd(12)}${desc}`));
+    lines.push('', '選項:');
+    const optionNames = CLI_OPTIONS.map(opt => `${opt.alias ? `-${opt.alias}, ` : '    '}--${opt.flag}${opt.arg ? ` ${opt.arg}` : ''}`);
+    const nameWidth = Math.max(...optionNames.map(names => names.length)) + 2;
+    CLI_OPTIONS.forEach((opt, index) => {
+        const names = optionNames[index];
+        lines.push(`  ${names.padEnd(nameWidth)}${opt.desc}${opt.key !== opt.flag && opt.type !== 'boolean' ? ` [設定檔: ${opt.key}]` : ''}`);
+    });
+    lines.push(
+        '',
+        '設定優先順序: 命令列旗標 > 設定檔 > 程式預設值',
+        `未指定 --config 時，會自動讀取目前目錄下的 ${DEFAULT_CONFIG_FILES.join(' / ')}。`,
+        '設定檔的鍵可使用上方 [設定檔: ...] 名稱或旗標名稱，例如:',
+        '',
+        '  # heatmap.config.yaml',
+        '  inputFolder: trade log input',
+        '  positionSizeType: percentage',
+        '  positionSize: 10',
+        '  commissionPercent: 0.055',
+        '  periodType: week',
+        '  metric: calmarRatio',
+        '  allocations:',
+        '    - { match: Mean Reversion (Grid), weight: 60, positionSizeType: percentage, positionSize: 10 }',
+        '    - { match: Grid Copy, weight: 40 }',
+        '  rebalance: monthly',
+        '',
+        '範例:',
+        '  node Sharpe_Ratio_Heatmap_Generator.js analyze --mode fixed --size 100 --capital 10000 --period week',
+        '  node Sharpe_Ratio_Heatmap_Generator.js validate --input exports',
+        '  node Sharpe_Ratio_Heatmap_Generator.js analyze --wf-is-days 180 --wf-oos-days 60',
+        '  node Sharpe_Ratio_Heatmap_Generator.js analyze --mode kelly --size 10 --kelly-fraction 0.5 --max-position 50',
+        '  node Sharpe_Ratio_Heatmap_Generator.js analyze --fee-exchange auto --fee-tier VIP1 --entry-order maker --slippage-bps 2',
+        '  node Sharpe_Ratio_Heatmap_Generator.js compare --config heatmap.config.yaml --metric calmarRatio',
+        '  node Sharpe_Ratio_Heatmap_Generator.js sweep --mode percentage --sweep-size 5:25:5 --sweep-commission 0,0.02,0.055 --metric calmarRatio',
+        '  node Sharpe_Ratio_Heatmap_Generator.js batch --input exports --workers 4 --metric sharpeRatio'
+    );
+    console.log(lines.join('\n'));
+}
+
+// === 新增：逐檔分析並依指標排名 ===
+async function runCompare(settings) {
+    const probe = new PortfolioHeatmapGenerator();
+    const { chosenMetric } = probe.applySettings(settings);
+    const metricInfo = probe.metricProperties[chosenMetric];
+    const formatStat = (prop, value) => (value !== null && value !== undefined && isFinite(value)) ? prop.format(value) : 'N/A';
+    const files = probe.findAllFiles();
+    const rows = [];
+    for (const file of files) {
+        const generator = new PortfolioHeatmapGenerator();
+        generator.applySettings({ ...settings, includeFiles: [file.fileName] });
+        try {
+            await generator.autoReadAllFilesAndCombine();
+            const stats = generator.calculatePeriodStats(generator.trades, generator.initialCapital);
+            rows.push({ fileName: file.fileName, strategyName: generator.parseFileName(file.fileName).strategyName, ...stats });
+        } catch (error) {
+            console.error(`❌ 比較時略過 ${file.fileName}: ${error.message}`);
+        }
+    }
+    if (rows.length === 0) throw new Error('❌ 沒有任何檔案可供比較');
+    // 指標無法計算 (NaN / null) 的檔案不參與排名，列在最後
+    const ranked = rows
+        .filter(row => row[chosenMetric] !== null && isFinite(row[chosenMetric]))
+        .sort((a, b) => metricInfo.higherIsBetter ? b[chosenMetric] - a[chosenMetric] : a[chosenMetric] - b[chosenMetric]);
+    const unranked = rows.filter(row => !ranked.includes(row));
+    const ordered = [...ranked, ...unranked];
+
+    console.log(`\n🏆 策略比較 (依 ${metricInfo.displayName} 排名)`);
+    console.log('─'.repeat(90));
+    console.log(padCell('#', 4, true) + padCell('策略', 36, true) + padCell(metricInfo.displayName, 20) + padCell('交易數', 10) + padCell('總回報 (USD)', 16));
+    ordered.forEach((row, index) => {
+        console.log(
+            padCell(String(index < ranked.length ? index + 1 : '-'), 4, true) +
+            padCell(row.strategyName.slice(0, 34), 36, true) +
+            padCell(formatStat(metricInfo, row[chosenMetric]), 20) +
+            padCell(String(row.numTrades), 10) +
+            padCell(row.totalReturn.toFixed(2), 16)
+        );
+    });
+
+    const outputFolder = probe.outputFolder;
+    if (!fs.existsSync(outputFolder)) fs.mkdirSync(outputFolder, { recursive: true });
+    const dateStr = new Date().toISOString().split('T')[0];
+    const csvFilePath = path.join(outputFolder, `策略比較_${chosenMetric}_${dateStr}.csv`);
+    const csvData = ordered.map((row, index) => ({
+        排名: index < ranked.length ? index + 1 : '',
+        策略: row.strategyName,
+        檔案: row.fileName,
+        交易數: row.numTrades,
+        日數: row.numDays,
+        ...Object.fromEntries(Object.entries(probe.metricProperties).map(([key, prop]) => [
+            prop.displayName,
+            isFinite(row[key]) && row[key] !== null ? prop.format(row[key]) : ''
+        ]))
+    }));
+    const csvWriter = createCsvWriter({
+        path: csvFilePath,
+        header: Object.keys(csvData[0]).map(key => ({ id: key, title: key })),
+        encoding: 'utf8'
+    });
+    await csvWriter.writeRecords(csvData);
+    console.log(`\n✅ 比較結果 CSV 已生成: ${csvFilePath}`);
+    return { rows: ordered, csvFilePath };
+}
+
+// === 新增：參數敏感度掃描 ===
+async function runSweep(settings) {
+    const generator = new PortfolioHeatmapGenerator();
+    const { chosenMetric } = generator.applySettings(settings);
+    const metricInfo = generator.metricProperties[chosenMetric];
+    const sweep = await generator.runSensitivitySweep(chosenMetric);
+    const ranked = sweep.rows
+        .filter(row => row.stats && isFinite(row.stats[chosenMetric]))
+        .sort((a, b) => metricInfo.higherIsBetter ? b.stats[chosenMetric] - a.stats[chosenMetric] : a.stats[chosenMetric] - b.stats[chosenMetric]);
+    if (ranked.length === 0) throw new Error('❌ 所有參數組合都計算失敗');
+
+    const describeParams = params => Object.entries(params)
+        .filter(([key]) => sweep.dimensions.find(d => d.key === key).values.length > 1)
+        .map(([key, value]) => `${key}=${value}`).join(' ');
+    console.log(`\n🏆 參數組合排名 (依 ${metricInfo.displayName}，前 ${Math.min(10, ranked.length)} 名)`);
+    console.log('─'.repeat(90));
+    console.log(padCell('#', 4, true) + padCell('參數', 48, true) + padCell(metricInfo.displayName, 20) + padCell('總回報 (USD)', 16));
+    ranked.slice(0, 10).forEach((row, index) => {
+        console.log(
+            padCell(String(index + 1), 4, true) +
+            padCell(describeParams(row.params).slice(0, 46), 48, true) +
+            padCell(metricInfo.format(row.stats[chosenMetric]), 20) +
+            padCell(row.stats.totalReturn.toFixed(2), 16)
+        );
+    });
+
+    const outputFolder = generator.outputFolder;
+    if (!fs.existsSync(outputFolder)) fs.mkdirSync(outputFolder, { recursive: true });
+    const dateStr = new Date().toISOString().split('T')[0];
+    const baseName = `參數敏感度_${[sweep.xKey, sweep.yKey].filter(Boolean).join('x')}_${dateStr}`;
+    const htmlFilePath = path.join(outputFolder, `${baseName}.html`);
+    const csvFilePath = path.join(outputFolder, `${baseName}.csv`);
+    fs.writeFileSync(htmlFilePath, generator.generateSweepHTML(sweep, chosenMetric), 'utf8');
+    console.log(`\n✅ 敏感度熱力圖已生成: ${htmlFilePath}`);
+
+    // 長表格式: 每組參數一列，參數與指標各自成欄
+    const csvData = sweep.rows.map((row, index) => ({
+        組合編號: index + 1,
+        下注模型: row.params.mode,
+        下注大小: row.params.size,
+        初始資金_USD: row.params.capital,
+        手續費率_百分比: row.params.commission,
+        滑價_bps: row.params.slippage,
+        交易數: row.stats ? row.stats.numTrades : '',
+        日數: row.stats ? row.stats.numDays : '',
+        ...Object.fromEntries(Object.entries(generator.metricProperties).map(([key, prop]) => [
+            prop.displayName,
+            row.stats && isFinite(row.stats[key]) ? prop.format(row.stats[key]) : ''
+        ])),
+        錯誤: row.error || ''
+    }));
+    const csvWriter = createCsvWriter({
+        path: csvFilePath,
+        header: Object.keys(csvData[0]).map(key => ({ id: key, title: key })),
+        encoding: 'utf8'
+    });
+    await csvWriter.writeRecords(csvData);
+    console.log(`✅ 參數掃描 CSV 已生成: ${csvFilePath}`);
+    return { sweep, htmlFilePath, csvFilePath };
+}
+
+// === 新增：批次模式 (每個檔案各一份報告 + 合併組合報告，以 worker threads 平行處理) ===
+// 在 worker 中以 includeFiles 指定的檔案產生一份報告
+async function runBatchJob({ settings, includeFiles, outputFolder }) {
+    const generator = new PortfolioHeatmapGenerator();
+    const { periodType, periodLength, chosenMetric } = generator.applySettings({
+        ...settings,
+        includeFiles,
+        outputFolder,
+        openOutputFolder: false
+    });
+    const result = await generator.generateAllOutputs(periodType, periodLength, chosenMetric);
+    const statKeys = ['numTrades', 'numDays', 'totalReturn', ...Object.keys(generator.metricProperties)];
+    return {
+        htmlFilePath: result.htmlFilePath,
+        reportFolder: result.outputFolder,
+        stats: Object.fromEntries(statKeys.map(key => [key, result.overallStats[key]]))
+    };
+}
+
+// 啟動一個 worker 執行單一報告，輸出寫入執行紀錄；任何失敗都回傳 { ok: false }，不會中斷其他報告
+function runBatchWorker(job, logFilePath) {
+    return new Promise(resolve => {
+        const log = fs.createWriteStream(logFilePath);
+        const worker = new Worker(__filename, { workerData: { batchJob: job }, stdout: true, stderr: true });
+        const streamsDone = [worker.stdout, worker.stderr].map(stream => {
+            stream.pipe(log, { end: false });
+            return new Promise(done => stream.on('end', done));
+        });
+        let outcome = null;
+        worker.on('message', message => { outcome = message; });
+        worker.on('error', error => { outcome = { ok: false, error: error.message }; });
+        worker.on('exit', code => {
+            Promise.all(streamsDone).then(() => log.end(() => resolve(outcome || { ok: false, error: `worker 異常結束 (結束代碼 ${code})` })));
+        });
+    });
+}
+
+async function runBatch(settings) {
+    const probe = new PortfolioHeatmapGenerator();
+    const { chosenMetric } = probe.applySettings(settings);
+    const metricInfo = probe.metricProperties[chosenMetric];
+    const formatStat = value => (value !== null && value !== undefined && isFinite(value)) ? metricInfo.format(value) : 'N/A';
+    const files = probe.findAllFiles();
+    const dateStr = new Date().toISOString().split('T')[0];
+    const batchFolder = path.resolve(probe.outputFolder, `批次報告_${dateStr}`);
+    const indexWidth = String(files.length).length;
+    const jobs = files.map((file, index) => {
+        const { strategyName, symbol } = probe.parseFileName(file.fileName);
+        return {
+            label: `${strategyName}${symbol && symbol !== 'N/A' ? ` (${symbol})` : ''}`,
+            fileName: file.fileName,
+            includeFiles: [file.fileName],
+            folderName: `${String(index + 1).padStart(indexWidth, '0')}_${path.parse(file.fileName).name}`
+        };
+    });
+    const totalReports = jobs.length + 1;
+    const workers = Math.max(1, Math.min(probe.batchWorkers || os.cpus().length, jobs.length));
+    console.log(`\n🗂️  批次模式: ${totalReports} 份報告 (${files.length} 個檔案 + 組合)，${workers} 個 worker 平行處理`);
+    console.log(`   輸出資料夾: ${batchFolder}`);
+
+    const results = [];
+    const startedAt = Date.now();
+    const runJob = async job => {
+        const jobFolder = path.join(batchFolder, job.folderName);
+        fs.mkdirSync(jobFolder, { recursive: true });
+        const logFilePath = path.join(jobFolder, '執行紀錄.log');
+        const jobStartedAt = Date.now();
+        const outcome = await runBatchWorker({ settings, includeFiles: job.includeFiles, outputFolder: jobFolder }, logFilePath);
+        const result = { ...job, ...outcome, isCombined: !job.fileName, logFilePath, durationMs: Date.now() - jobStartedAt };
+        results.push(result);
+        const seconds = (result.durationMs / 1000).toFixed(1);
+        if (result.ok) {
+            console.log(`✅ [${results.length}/${totalReports}] ${job.label}: ${metricInfo.displayName} ${formatStat(result.stats[chosenMetric])} (${seconds}s)`);
+        } else {
+            console.error(`❌ [${results.length}/${totalReports}] ${job.label}: ${result.error} (詳見 ${logFilePath})`);
+        }
+        return result;
+    };
+    let nextJob = 0;
+    const runNextJobs = async () => {
+        while (nextJob < jobs.length) await runJob(jobs[nextJob++]);
+    };
+    await Promise.all(Array.from({ length: workers }, runNextJobs));
+
+    // 組合報告最後執行，只合併單檔報告成功的檔案，避免單一壞檔拖垮整個組合
+    const succeededFiles = files.map(file => file.fileName).filter(fileName => results.some(result => result.ok && result.fileName === fileName));
+    const combinedJob = { label: `組合 (${succeededFiles.length} 個檔案)`, fileName: null, includeFiles: succeededFiles, folderName: `${'0'.repeat(indexWidth)}_組合` };
+    if (succeededFiles.length > 0) {
+        await runJob(combinedJob);
+    } else {
+        results.push({ ...combinedJob, ok: false, isCombined: true, error: '沒有任何檔案成功產生報告，略過組合報告', logFilePath: null, durationMs: 0 });
+    }
+    const durationMs = Date.now() - startedAt;
+
+    const failed = results.filter(result => !result.ok);
+    if (failed.length === results.length) throw new Error('❌ 批次模式中所有報告都產生失敗');
+    const ranked = results
+        .filter(result => result.ok && isFinite(result.stats[chosenMetric]))
+        .sort((a, b) => metricInfo.higherIsBetter ? b.stats[chosenMetric] - a.stats[chosenMetric] : a.stats[chosenMetric] - b.stats[chosenMetric]);
+    const unranked = results.filter(result => result.ok && !ranked.includes(result));
+
+    console.log(`\n🏆 批次報告排名 (依 ${metricInfo.displayName})`);
+    console.log('─'.repeat(90));
+    console.log(padCell('#', 4, true) + padCell('報告', 36, true) + padCell(metricInfo.displayName, 20) + padCell('交易數', 10) + padCell('總回報 (USD)', 16));
+    [...ranked, ...unranked].forEach((result, index) => {
+        console.log(
+            padCell(String(index < ranked.length ? index + 1 : '-'), 4, true) +
+            padCell(result.label.slice(0, 34), 36, true) +
+            padCell(formatStat(result.stats[chosenMetric]), 20) +
+            padCell(String(result.stats.numTrades), 10) +
+            padCell(result.stats.totalReturn.toFixed(2), 16)
+        );
+    });
+
+    const indexFilePath = path.join(batchFolder, 'index.html');
+    fs.writeFileSync(indexFilePath, probe.generateBatchIndexHTML({ results, batchFolder, workers, durationMs }, chosenMetric), 'utf8');
+    const csvFilePath = path.join(batchFolder, `批次排名_${chosenMetric}.csv`);
+    const csvData = [...ranked, ...unranked, ...failed].map(result => ({
+        排名: ranked.includes(result) ? ranked.indexOf(result) + 1 : '',
+        報告: result.label,
+        類型: result.isCombined ? '組合' : '單一檔案',
+        檔案: result.fileName || result.includeFiles.join(', '),
+        狀態: result.ok ? '成功' : '失敗',
+        交易數: result.ok ? result.stats.numTrades : '',
+        日數: result.ok ? result.stats.numDays : '',
+        ...Object.fromEntries(Object.entries(probe.metricProperties).map(([key, prop]) => [
+            prop.displayName,
+            result.ok && isFinite(result.stats[key]) ? prop.format(result.stats[key]) : ''
+        ])),
+        耗時_秒: (result.durationMs / 1000).toFixed(1),
+        報告路徑: result.ok ? path.relative(batchFolder, result.htmlFilePath) : '',
+        錯誤: result.error || ''
+    }));
+    const csvWriter = createCsvWriter({
+        path: csvFilePath,
+        header: Object.keys(csvData[0]).map(key => ({ id: key, title: key })),
+        encoding: 'utf8'
+    });
+    await csvWriter.writeRecords(csvData);
+
+    console.log(`\n✅ 批次索引頁已生成: ${indexFilePath}`);
+    console.log(`✅ 批次排名 CSV 已生成: ${csvFilePath}`);
+    console.log(`⏱️  總耗時 ${(durationMs / 1000).toFixed(1)}s`);
+    if (failed.length > 0) {
+        console.error(`⚠️ ${failed.length} 份報告產生失敗: ${failed.map(result => result.label).join(', ')}`);
+        process.exitCode = 1;
+    }
+    return { results, indexFilePath, csvFilePath };
+}
+
 // 主程式執行
 async function main() {
     try {
@@ -1925,23 +6677,43 @@ async function main() {
         console.log('🔧 創作者: LionAlgo');
         console.log('📅 支援 TradingView 回測數據轉實際下注分析');
         console.log('═'.repeat(60));
+        const cli = parseCliArgs(process.argv.slice(2));
+        const cliSettings = normalizeSettings(cli.flags, '命令列');
+        if (cliSettings.help) {
+            printHelp();
+            return;
+        }
+        const configPath = cliSettings.config || findDefaultConfig();
+        const fileSettings = configPath ? loadConfigFile(configPath) : {};
+        if (configPath) console.log(`⚙️  已載入設定檔: ${configPath}`);
+        delete cliSettings.config;
+        delete fileSettings.config;
+        const settings = { ...fileSettings, ...cliSettings };
+
         const generator = new PortfolioHeatmapGenerator();
-        const args = process.argv.slice(2);
-        if (args.length > 0) {
-            if (args[0] === 'fixed') {
-                generator.positionSizeType = 'fixed';
-                generator.positionSize = parseFloat(args[1]) || 100;
-            } else if (args[0] === 'percentage') {
-                generator.positionSizeType = 'percentage';
-                generator.positionSize = parseFloat(args[1]) || 10;
-            }
-            if (args[2]) generator.initialCapital = parseFloat(args[2]);
-            if (args[3]) generator.commissionRate = parseFloat(args[3]) / 100;
-            const chosenMetric = args[4] || 'sharpeRatio';
-            console.log('⚡ 快速模式執行中...');
-            await generator.generateAllOutputs('day', 1, chosenMetric);
-        } else {
+        const { periodType, periodLength, chosenMetric } = generator.applySettings(settings);
+        if (!cli.command && Object.keys(cli.flags).length === 0) {
             await generator.promptUserSettings();
+            return;
+        }
+        switch (cli.command || 'analyze') {
+            case 'validate': {
+                const result = await generator.validateInputs();
+                if (!result.ok) process.exitCode = 1;
+                break;
+            }
+            case 'compare':
+                await runCompare(settings);
+                break;
+            case 'sweep':
+                await runSweep(settings);
+                break;
+            case 'batch':
+                await runBatch(settings);
+                break;
+            default:
+                console.log(cli.legacy ? '⚡ 快速模式執行中...' : '⚡ 依命令列 / 設定檔執行中...');
+                await generator.generateAllOutputs(periodType, periodLength, chosenMetric);
         }
     } catch (error) {
         console.error(`\n❌ 程式執行失敗: ${error.message}`);
@@ -1950,11 +6722,16 @@ async function main() {
         console.error('2. 資料夾中是否有 CSV 或 Excel 檔案');
         console.error('3. 檔案格式是否正確 (包含交易數據)');
         console.error('4. 檔名是否符合解析格式');
+        console.error('5. 命令列參數或設定檔是否正確 (使用 --help 查看說明)');
         process.exit(1);
     }
 }
 
-if (require.main === module) {
+if (!isMainThread && workerData && workerData.batchJob) {
+    runBatchJob(workerData.batchJob)
+        .then(result => parentPort.postMessage({ ok: true, ...result }))
+        .catch(error => parentPort.postMessage({ ok: false, error: error.message.replace(/^❌ /, '') }));
+} else if (require.main === module) {
     main();
 }
 